@@ -16,6 +16,7 @@ const path = require("path");
 // Import modular components
 const { processUserRequest } = require("./brain");
 const { handleCollect } = require("./handlers/collect");
+const { handleMine } = require("./handlers/mine");
 const { handleCraft } = require("./handlers/craft");
 const { handlePlace } = require("./handlers/place");
 const { handleMove } = require("./handlers/move");
@@ -23,9 +24,66 @@ const { handleFollow } = require("./handlers/follow");
 const { handleInventory } = require("./handlers/inventory");
 const { handleStop, handleUnknown } = require("./handlers/stop");
 const { handleSmelt } = require("./handlers/smelt");
-const { botState } = require("./state/botState");
-const { syncQueue, removeTaskAtIndex, clearQueue } = require("./utils/queue");
+const {
+  handleRepeat,
+  handleIf,
+  handleWait,
+} = require("./handlers/control");
+const { botState, TASK_STATUS } = require("./state/botState");
+const { getReconnectDelay } = require("./utils/reconnect");
+const {
+  loadQueueState,
+  enableQueuePersistence,
+} = require("./state/persistence");
+const {
+  enableTaskHistory,
+  queryHistory,
+  parseTimestamp,
+} = require("./state/history");
+const {
+  getConversation,
+  recordExchange,
+  clearConversation,
+  setClarification,
+  getClarification,
+  takeClarification,
+  describeOutcome,
+  enableConversationOutcomes,
+} = require("./state/conversationMemory");
+const {
+  syncQueue,
+  removeTaskById,
+  clearQueue,
+  failTask,
+  addTasks,
+  getPriorityRank,
+  validateTaskSpecs,
+  insertTasksAtFront,
+  insertTasksNext,
+  toTaskSpec,
+} = require("./utils/queue");
+const {
+  selectNextTask,
+  skipSatisfiedPrerequisites,
+  moveTaskToFront,
+} = require("./utils/taskGraph");
+const {
+  parseQueueMode,
+  parseScheduleCommand,
+} = require("./utils/chatCommands");
+const { parseSimpleCommand } = require("./utils/commandGrammar");
+const {
+  validateTrigger,
+  describeTrigger,
+  loadSchedules,
+  getSchedules,
+  findSchedule,
+  addSchedule,
+  removeSchedule,
+  collectDueSchedules,
+} = require("./utils/scheduler");
 const { getCollectibleBlocks } = require("./utils/blockNames");
+const { buildWorldContext } = require("./utils/worldContext");
 const {
   getCommonCraftableItems,
   getRecipeIngredients,
@@ -47,6 +105,37 @@ let mcData = null;
 // Flag to prevent overlapping task executions
 let isExecuting = false;
 
+// AbortController of the task execution in flight; aborting it cancels the
+// running handler (see cancelExecution)
+let executionController = null;
+
+// The task the in-flight execution is running (checked for preemption)
+let executingTask = null;
+
+// Set while the brain is working out a replacement for a failed task
+// (the "replan" failure policy); the queue waits for the new plan
+let isReplanning = false;
+
+// Checkpoint every queue change to disk, then restore whatever plan was
+// in progress when the process last stopped. It resumes once the bot spawns.
+enableQueuePersistence(botState);
+enableTaskHistory(botState);
+enableConversationOutcomes(botState);
+const savedQueueState = loadQueueState();
+if (savedQueueState && savedQueueState.queue.length > 0) {
+  taskQueue = savedQueueState.queue;
+  console.log(
+    `[Persistence] Restored ${taskQueue.length} task(s) saved at ${savedQueueState.savedAt}`
+  );
+  syncQueue(taskQueue);
+}
+if (savedQueueState && savedQueueState.isPaused) {
+  botState.setPaused(true);
+}
+
+// Recurring schedules ("every 10 minutes ...", "at nightfall ...")
+loadSchedules();
+
 // ============================================================================
 // EXPRESS + SOCKET.IO SERVER SETUP
 // ============================================================================
@@ -84,68 +173,168 @@ app.get("/api/queue", (req, res) => {
 app.post("/api/queue", (req, res) => {
   const { tasks } = req.body;
 
-  if (!tasks || !Array.isArray(tasks)) {
-    return res.status(400).json({ error: "Tasks must be an array" });
+  // Validate tasks
+  const validationError = validateTaskSpecs(tasks);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
   }
 
-  // Validate tasks
   for (const task of tasks) {
-    if (!task.type) {
-      return res.status(400).json({ error: "Each task must have a type" });
+    task.issuedBy = { source: "api" };
+  }
+  addTasks(taskQueue, tasks); // Orders by priority and assigns IDs
+
+  console.log(`[API] Added ${tasks.length} task(s) to queue`);
+  io.emit("queue:updated", botState.getQueueState());
+
+  res.json({
+    success: true,
+    taskIds: tasks.map((task) => task.id),
+    queue: taskQueue,
+  });
+});
+
+// Query the history of finished tasks (newest first)
+// Filters: outcome, type, source, user, since, until; paging: limit, offset
+app.get("/api/history", (req, res) => {
+  const { outcome, type, source, user, since, until, limit, offset } =
+    req.query;
+
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && isNaN(parseTimestamp(value))) {
+      return res.status(400).json({ error: `Invalid ${name} date: ${value}` });
     }
   }
 
-  taskQueue.push(...tasks);
-  syncQueue(taskQueue);
+  res.json(
+    queryHistory({ outcome, type, source, user, since, until, limit, offset })
+  );
+});
 
-  console.log(`[API] Added ${tasks.length} task(s) to queue`);
-  io.emit("queue:updated", { queue: taskQueue, isExecuting });
+// List recurring schedules
+app.get("/api/schedules", (req, res) => {
+  res.json({ schedules: getSchedules() });
+});
+
+// Create a schedule: { trigger, tasks, description? }
+app.post("/api/schedules", (req, res) => {
+  const { trigger, tasks, description } = req.body;
+
+  const triggerError = validateTrigger(trigger);
+  if (triggerError) {
+    return res.status(400).json({ error: triggerError });
+  }
+  const tasksError = validateTaskSpecs(tasks);
+  if (tasksError) {
+    return res.status(400).json({ error: tasksError });
+  }
+  if (tasks.length === 0) {
+    return res.status(400).json({ error: "A schedule needs at least one task" });
+  }
+
+  const schedule = addSchedule({
+    trigger,
+    tasks: tasks.map(toTaskSpec),
+    description,
+    issuedBy: { source: "api" },
+  });
+  res.status(201).json({ success: true, schedule });
+});
+
+// Delete a schedule by ID
+app.delete("/api/schedules/:scheduleId", (req, res) => {
+  const schedule = findSchedule(req.params.scheduleId);
+  if (!schedule || schedule.id !== req.params.scheduleId) {
+    return res.status(404).json({ error: "Schedule not found" });
+  }
+
+  removeSchedule(schedule.id);
+  res.json({ success: true, removed: schedule });
+});
+
+// Conversation memory: a player's recent requests, plans and outcomes
+app.get("/api/conversations/:player", (req, res) => {
+  const exchanges = getConversation(req.params.player).map((exchange) => ({
+    request: exchange.request,
+    plan: exchange.plan,
+    outcome: describeOutcome(exchange),
+    at: exchange.at,
+  }));
+  res.json({
+    player: req.params.player,
+    exchanges,
+    pendingQuestion: getClarification(req.params.player),
+  });
+});
 
-  res.json({ success: true, queue: taskQueue });
+app.delete("/api/conversations/:player", (req, res) => {
+  const forgotten = clearConversation(req.params.player);
+  res.json({ success: true, forgotten });
 });
 
-// Remove task at index
-app.delete("/api/queue/:index", (req, res) => {
-  const index = parseInt(req.params.index, 10);
+app.delete("/api/conversations", (req, res) => {
+  const forgotten = clearConversation();
+  res.json({ success: true, forgotten });
+});
 
-  if (isNaN(index) || index < 0 || index >= taskQueue.length) {
-    return res.status(400).json({ error: "Invalid index" });
+// Get a task (queued or recently finished) by ID
+app.get("/api/tasks/:taskId", (req, res) => {
+  const task = botState.getTask(req.params.taskId);
+
+  if (!task) {
+    return res.status(404).json({ error: "Task not found" });
+  }
+
+  res.json({ task });
+});
+
+// Remove task by ID
+app.delete("/api/queue/:taskId", (req, res) => {
+  const { taskId } = req.params;
+  const task = taskQueue.find((t) => t.id === taskId);
+
+  if (!task) {
+    return res.status(404).json({ error: "Task not found in queue" });
   }
 
   // Don't allow removing currently executing task
-  if (index === 0 && isExecuting) {
+  if (task.status === TASK_STATUS.RUNNING) {
     return res
       .status(400)
       .json({ error: "Cannot remove currently executing task" });
   }
 
-  const removed = removeTaskAtIndex(taskQueue, index);
-  console.log(`[API] Removed task at index ${index}:`, removed);
-  io.emit("queue:updated", { queue: taskQueue, isExecuting });
+  const removed = removeTaskById(taskQueue, taskId);
+  console.log(`[API] Removed task ${taskId}:`, removed);
+  io.emit("queue:updated", botState.getQueueState());
 
   res.json({ success: true, removed, queue: taskQueue });
 });
 
 // Clear entire queue
 app.delete("/api/queue", (req, res) => {
-  // Stop any current pathfinding
-  try {
-    if (bot && bot.pathfinder) {
-      bot.pathfinder.stop();
-    }
-  } catch (e) {
-    // Pathfinder might not be active
-  }
-
-  clearQueue(taskQueue);
-  isExecuting = false;
+  // Cancel the running task, then drop everything queued
+  cancelExecution("Queue cleared from the web UI");
+  clearQueue(taskQueue, "Queue cleared from the web UI");
 
   console.log("[API] Queue cleared");
-  io.emit("queue:updated", { queue: taskQueue, isExecuting });
+  io.emit("queue:updated", botState.getQueueState());
 
   res.json({ success: true, queue: [] });
 });
 
+// Pause the supervisor, keeping the queue intact
+app.post("/api/pause", (req, res) => {
+  pauseExecution("web UI");
+  res.json({ success: true, ...botState.getQueueState() });
+});
+
+// Resume the supervisor where it left off
+app.post("/api/resume", (req, res) => {
+  resumeExecution("web UI");
+  res.json({ success: true, ...botState.getQueueState() });
+});
+
 // Get current inventory
 app.get("/api/inventory", (req, res) => {
   if (!bot) {
@@ -178,6 +367,7 @@ app.get("/api/status", (req, res) => {
     health: bot ? bot.health : null,
     food: bot ? bot.food : null,
     isExecuting,
+    isPaused: botState.isPaused(),
     currentTask: taskQueue.length > 0 ? taskQueue[0] : null,
     queueLength: taskQueue.length,
   });
@@ -312,11 +502,7 @@ io.on("connection", (socket) => {
     version: bot ? bot.version : null,
   });
 
-  socket.emit("queue:updated", {
-    queue: taskQueue,
-    isExecuting,
-    currentTask: taskQueue.length > 0 ? taskQueue[0] : null,
-  });
+  socket.emit("queue:updated", botState.getQueueState());
 
   if (bot) {
     socket.emit(
@@ -351,6 +537,100 @@ botState.on("task:failed", (data) => {
   io.emit("task:failed", data);
 });
 
+botState.on("task:cancelled", (data) => {
+  io.emit("task:cancelled", data);
+});
+
+botState.on("task:retrying", (data) => {
+  io.emit("task:retrying", data);
+});
+
+botState.on("task:suspended", (data) => {
+  io.emit("task:suspended", data);
+});
+
+/**
+ * Takes a snapshot of the bot's world for the brain's prompt
+ * @param {string|null} username - The player who made the request
+ * @returns {Object|null} - The snapshot, or null if the bot isn't in game
+ */
+function getWorldContext(username) {
+  if (!bot || !botState.isConnected() || !bot.entity) return null;
+  try {
+    return buildWorldContext(bot, mcData, { username, taskQueue });
+  } catch (error) {
+    console.error("[Brain] Failed to build world context:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Plans a player's request: simple commands ("stop", "collect 5 oak_log",
+ * "goto 10 64 -20"...) are parsed directly, anything else goes to the LLM
+ * @param {string} request - The request
+ * @param {string} username - The player who made it
+ * @param {Object} options - { remember: whether to use and add to the
+ *   player's conversation memory (default true; off for plans that don't
+ *   run now, like schedules) }
+ * @returns {Promise<Array|null>} - The tasks, or null if it couldn't be planned
+ */
+async function planRequest(request, username, { remember = true } = {}) {
+  const tasks = parseSimpleCommand(request, { username, mcData });
+  if (tasks) {
+    console.log(`[Chat] Parsed without the LLM: ${JSON.stringify(tasks)}`);
+    // Remembered like an LLM plan, so "do that again" still works
+    if (remember) recordExchange(username, request, tasks);
+    return tasks;
+  }
+
+  bot.chat("Planning...");
+  return processUserRequest(request, mcData, {
+    username,
+    worldContext: getWorldContext(username),
+    remember,
+  });
+}
+
+// "replan" failure policy: ask the brain for another way to do the failed task
+botState.on("task:replan", async ({ task, message }) => {
+  isReplanning = true;
+  try {
+    const request = `This step failed: ${JSON.stringify(
+      toTaskSpec(task)
+    )} (reason: "${message}"). Plan a different way to achieve the same goal.`;
+    console.log(`[Replan] ${request}`);
+
+    const user = task.issuedBy?.user || null;
+    const newTasks = await processUserRequest(request, mcData, {
+      username: user,
+      worldContext: getWorldContext(user),
+      remember: false, // Not something the player said
+      clarify: false, // Nobody is waiting to answer a question
+    });
+    if (newTasks && newTasks.length > 0) {
+      for (const newTask of newTasks) {
+        newTask.issuedBy = task.issuedBy;
+        newTask.priority = newTask.priority || task.priority;
+      }
+      // The new plan takes the failed task's place as a prerequisite of
+      // whatever needed it; a top-level task's replacement has no parent
+      const parent =
+        taskQueue.find((queued) => queued.dependsOn?.includes(task.id)) ||
+        null;
+      insertTasksAtFront(taskQueue, newTasks, null, null, parent);
+      bot.chat(`New plan: ${newTasks.length} step(s).`);
+    } else {
+      clearQueue(taskQueue, "Replanning failed");
+      bot.chat("I couldn't find another way, stopping.");
+    }
+  } catch (error) {
+    console.error("[Replan] Error:", error.message);
+    clearQueue(taskQueue, "Replanning failed");
+  } finally {
+    isReplanning = false;
+  }
+});
+
 botState.on("inventory:updated", (data) => {
   io.emit("inventory:updated", data);
 });
@@ -358,19 +638,72 @@ botState.on("inventory:updated", (data) => {
 // ============================================================================
 // BOT INITIALIZATION
 // ============================================================================
-const bot = mineflayer.createBot({
-  host: process.env.MC_HOST || "localhost",
-  port: parseInt(process.env.MC_PORT) || 25565,
-  username: process.env.BOT_USERNAME || "AllenIverson",
-  version: false, // Auto-detect Minecraft version
-});
+// The bot instance is recreated by the reconnect supervisor after a disconnect,
+// so every consumer must read this binding rather than capture it once.
+let bot = null;
+
+// Reconnect supervisor state
+let reconnectAttempts = 0;
+let reconnectTimer = null;
+
+/**
+ * Creates a mineflayer bot, loads its plugins and binds all event handlers.
+ * Called once on startup and again by the reconnect supervisor.
+ */
+function createBotInstance() {
+  bot = mineflayer.createBot({
+    host: process.env.MC_HOST || "localhost",
+    port: parseInt(process.env.MC_PORT) || 25565,
+    username: process.env.BOT_USERNAME || "AllenIverson",
+    version: false, // Auto-detect Minecraft version
+  });
+
+  // Store bot reference in botState
+  botState.setBot(bot);
+
+  // Load plugins
+  bot.loadPlugin(pathfinder);
+  bot.loadPlugin(collectBlock);
+
+  bindBotEvents(bot);
+}
 
-// Store bot reference in botState
-botState.setBot(bot);
+/**
+ * Schedules a reconnect attempt using exponential backoff.
+ * The pending task queue is kept in memory (and on disk) and resumes on spawn.
+ */
+function scheduleReconnect() {
+  if (reconnectTimer) return; // Already scheduled
+
+  const delay = getReconnectDelay(reconnectAttempts);
+  if (delay === null) {
+    console.error(
+      `[Reconnect] Giving up after ${reconnectAttempts} attempt(s). Restart the process to try again.`
+    );
+    return;
+  }
+  reconnectAttempts++;
+
+  console.log(
+    `[Reconnect] Attempt ${reconnectAttempts} in ${(delay / 1000).toFixed(1)}s...`
+  );
+  io.emit("bot:status", {
+    connected: false,
+    reconnecting: true,
+    attempt: reconnectAttempts,
+    retryInMs: delay,
+  });
 
-// Load plugins
-bot.loadPlugin(pathfinder);
-bot.loadPlugin(collectBlock);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    try {
+      createBotInstance();
+    } catch (error) {
+      console.error("[Reconnect] Failed to create bot:", error.message);
+      scheduleReconnect();
+    }
+  }, delay);
+}
 
 // ============================================================================
 // THE "BODY" - SUPERVISION LOOP
@@ -381,123 +714,343 @@ bot.loadPlugin(collectBlock);
  * Runs every second to manage task execution sequentially.
  */
 function supervisionLoop() {
-  // If no tasks or already executing, skip
-  if (taskQueue.length === 0 || isExecuting) {
+  // Nothing can run while the bot is disconnected or reconnecting
+  if (!bot || !botState.isConnected()) {
     return;
   }
 
-  // Get the current task (front of queue)
-  const currentTask = taskQueue[0];
+  // Nothing runs while paused; the queue is kept as-is
+  if (botState.isPaused()) {
+    return;
+  }
+
+  // A more urgent task queued ahead of the running one preempts it; the
+  // next tick starts the urgent task once the old handler has been cancelled
+  if (isExecuting && shouldPreempt()) {
+    preemptExecution();
+    return;
+  }
+
+  // If no tasks, already executing, or waiting on a new plan, skip
+  if (taskQueue.length === 0 || isExecuting || isReplanning) {
+    return;
+  }
+
+  // Drop prerequisites the inventory has made unnecessary
+  skipSatisfiedPrerequisites(bot, mcData, taskQueue);
+
+  // Pick the next ready task: its prerequisites are done and it isn't
+  // waiting out a retry backoff. Handlers expect it at the front.
+  const currentTask = selectNextTask(taskQueue);
+  if (!currentTask) {
+    return;
+  }
+  moveTaskToFront(taskQueue, currentTask);
+
+  // Remember which bot instance this execution belongs to; the handler
+  // keeps using it even if the bot reconnects while it is unwinding
+  const session = bot;
+
+  // Every execution gets its own cancellation signal. Once it is aborted the
+  // handler stops and can no longer complete, fail or requeue tasks.
+  const controller = new AbortController();
+  const { signal } = controller;
+  executionController = controller;
+  executingTask = currentTask;
 
   // Mark as executing to prevent overlapping calls
   isExecuting = true;
   botState.setExecuting(true);
 
   console.log(`[Supervisor] Executing task: ${JSON.stringify(currentTask)}`);
-  io.emit("task:started", { task: currentTask });
+  if (currentTask.status === TASK_STATUS.SUSPENDED) {
+    bot.chat(`Back to ${currentTask.type}.`);
+  }
+  botState.markTaskStarted(currentTask);
 
   // Dispatch to appropriate handler based on task type
   (async () => {
     try {
       switch (currentTask.type) {
         case "collect":
-          await handleCollect(bot, mcData, taskQueue, currentTask);
+          await handleCollect(session, mcData, taskQueue, currentTask, signal);
+          break;
+        case "mine":
+          await handleMine(session, mcData, taskQueue, currentTask, signal);
           break;
         case "craft":
-          await handleCraft(bot, mcData, taskQueue, currentTask);
+          await handleCraft(session, mcData, taskQueue, currentTask, signal);
           break;
         case "smelt":
-          await handleSmelt(bot, mcData, taskQueue, currentTask);
+          await handleSmelt(session, mcData, taskQueue, currentTask, signal);
           break;
         case "place":
-          await handlePlace(bot, taskQueue, currentTask, mcData);
+          await handlePlace(session, taskQueue, currentTask, mcData, signal);
           break;
         case "move":
-          await handleMove(bot, taskQueue, currentTask);
+          await handleMove(session, taskQueue, currentTask, signal);
           break;
         case "follow":
           // Follow is continuous, handled differently
-          await handleFollow(bot, taskQueue, currentTask);
+          await handleFollow(session, taskQueue, currentTask, signal);
           // Don't complete - follow stays active until interrupted
           break;
+        case "repeat":
+          await handleRepeat(session, mcData, taskQueue, currentTask, signal);
+          break;
+        case "if":
+          await handleIf(session, taskQueue, currentTask, signal);
+          break;
+        case "wait":
+          await handleWait(session, taskQueue, currentTask, signal);
+          break;
         case "inventory":
-          handleInventory(bot, taskQueue, currentTask);
+          handleInventory(session, taskQueue, currentTask);
           break;
         case "stop":
-          handleStop(bot, taskQueue);
+          handleStop(session, taskQueue);
           break;
         case "unknown":
-          handleUnknown(bot, taskQueue, currentTask);
+          handleUnknown(session, taskQueue, currentTask);
           break;
         default:
           console.log(`[Supervisor] Unknown task type: ${currentTask.type}`);
           taskQueue.shift(); // Remove unknown task
           syncQueue(taskQueue);
+          botState.markTaskFailed(
+            currentTask,
+            `Unknown task type: ${currentTask.type}`
+          );
       }
     } catch (error) {
       console.error("[Supervisor] Execution error:", error.message);
-      const { failTask } = require("./utils/queue");
-      failTask(bot, taskQueue, `Task failed: ${error.message}`);
+      failTask(session, taskQueue, `Task failed: ${error.message}`, signal);
     } finally {
-      isExecuting = false;
-      botState.setExecuting(false);
-      // Emit inventory update after each task
-      io.emit(
-        "inventory:updated",
-        bot.inventory.items().map((item) => ({
-          name: item.name,
-          count: item.count,
-          displayName: item.displayName,
-        }))
-      );
+      // A handler that queued prerequisites returns without finishing its
+      // task; it goes back to pending and runs again once they are done
+      if (currentTask.status === TASK_STATUS.RUNNING) {
+        botState.markTaskPending(currentTask);
+      }
+
+      // A cancelled execution was already cleaned up by cancelExecution()
+      if (executionController === controller) {
+        executionController = null;
+        executingTask = null;
+        isExecuting = false;
+        botState.setExecuting(false);
+        // Emit inventory update after each task (from the bot it ran on;
+        // the global one may have been replaced by a reconnect)
+        io.emit(
+          "inventory:updated",
+          session.inventory.items().map((item) => ({
+            name: item.name,
+            count: item.count,
+            displayName: item.displayName,
+          }))
+        );
+      }
     }
   })();
 }
 
+/**
+ * Enqueues the tasks of every schedule whose trigger fired. Runs alongside
+ * the supervision loop; gameTime triggers only fire while in game.
+ */
+function runDueSchedules() {
+  const timeOfDay =
+    bot && botState.isConnected() && bot.time ? bot.time.timeOfDay : null;
+
+  for (const schedule of collectDueSchedules({ now: Date.now(), timeOfDay })) {
+    // Don't pile up runs while the previous one is still queued
+    if (taskQueue.some((task) => task.issuedBy?.scheduleId === schedule.id)) {
+      console.log(
+        `[Scheduler] Skipping "${schedule.description}", previous run still queued`
+      );
+      continue;
+    }
+
+    const tasks = schedule.tasks.map((task) => ({
+      ...structuredClone(task),
+      issuedBy: {
+        source: "schedule",
+        scheduleId: schedule.id,
+        user: schedule.issuedBy?.user,
+      },
+    }));
+    addTasks(taskQueue, tasks);
+    console.log(
+      `[Scheduler] "${schedule.description}" queued ${tasks.length} task(s)`
+    );
+    if (bot && botState.isConnected()) {
+      bot.chat(`Scheduled: ${schedule.description}`);
+    }
+  }
+}
+
+/**
+ * Stops whatever the bot is physically doing right now (pathfinding,
+ * digging, block collection) without touching the task queue.
+ */
+function haltCurrentAction() {
+  if (!bot) return;
+
+  try {
+    bot.pathfinder.stop();
+  } catch (e) {
+    // Pathfinder might not be active, that's okay
+  }
+  try {
+    if (bot.targetDigBlock) {
+      bot.stopDigging();
+    }
+  } catch (e) {
+    // Not digging
+  }
+  if (bot.collectBlock) {
+    bot.collectBlock.cancelTask().catch(() => {});
+  }
+}
+
+/**
+ * Cancels the task execution in flight (if any) and stops whatever the bot
+ * is doing. The cancelled handler unwinds without touching the queue, and
+ * the supervisor is free to start the next task right away.
+ * @param {string} reason - Why the execution was cancelled (for logging)
+ */
+function cancelExecution(reason) {
+  if (executionController) {
+    console.log(`[Supervisor] Cancelling current task: ${reason}`);
+    executionController.abort(reason);
+    executionController = null;
+  }
+  executingTask = null;
+  isExecuting = false;
+  botState.setExecuting(false);
+  haltCurrentAction();
+}
+
+/**
+ * Checks whether a task more urgent than the running one is now at the
+ * front of the queue
+ * @returns {boolean} - True if the running task should be preempted
+ */
+function shouldPreempt() {
+  const nextTask = taskQueue[0];
+  return (
+    !!executingTask &&
+    !!nextTask &&
+    nextTask !== executingTask &&
+    taskQueue.includes(executingTask) &&
+    getPriorityRank(nextTask) < getPriorityRank(executingTask)
+  );
+}
+
+/**
+ * Suspends the running task in favour of the more urgent task at the front
+ * of the queue. The suspended task stays queued and runs again afterwards.
+ */
+function preemptExecution() {
+  const suspendedTask = executingTask;
+  const urgentTask = taskQueue[0];
+  const reason = `Preempted by ${urgentTask.priority} ${urgentTask.type} task`;
+
+  console.log(`[Supervisor] ${reason}, suspending ${suspendedTask.type}`);
+  botState.markTaskSuspended(suspendedTask, reason);
+  cancelExecution(reason);
+  syncQueue(taskQueue);
+  bot.chat(`Putting ${suspendedTask.type} on hold for something more urgent.`);
+}
+
+/**
+ * Pauses the supervision loop mid-task. The queue stays intact and the
+ * running task is marked paused so it starts again on resume.
+ * @param {string} source - Who asked for the pause (for logging)
+ * @returns {boolean} - False if already paused
+ */
+function pauseExecution(source) {
+  if (botState.isPaused()) return false;
+
+  console.log(`[Supervisor] Paused by ${source}`);
+  botState.setPaused(true);
+
+  // The running task may not be at the front if an urgent task was queued
+  const currentTask = executingTask;
+  if (currentTask && currentTask.status === TASK_STATUS.RUNNING) {
+    botState.markTaskPaused(currentTask);
+  }
+  cancelExecution(`Paused by ${source}`);
+  syncQueue(taskQueue);
+  return true;
+}
+
+/**
+ * Resumes the supervision loop; a paused task is picked up again
+ * @param {string} source - Who asked for the resume (for logging)
+ * @returns {boolean} - False if not paused
+ */
+function resumeExecution(source) {
+  if (!botState.isPaused()) return false;
+
+  console.log(`[Supervisor] Resumed by ${source}`);
+  for (const task of taskQueue) {
+    if (task.status === TASK_STATUS.PAUSED) {
+      botState.markTaskPending(task);
+    }
+  }
+  botState.setPaused(false);
+  syncQueue(taskQueue);
+  return true;
+}
+
 // ============================================================================
 // BOT EVENT HANDLERS
 // ============================================================================
 
-// Spawn event - initialize minecraft-data and start supervision loop
-bot.on("spawn", () => {
-  console.log("[Bot] AllenIverson has spawned!");
-
-  // Initialize minecraft-data for the detected version
-  mcData = require("minecraft-data")(bot.version);
-  botState.setMcData(mcData);
-  botState.setConnected(true);
-  console.log(`[Bot] Minecraft version: ${bot.version}`);
-
-  // Configure pathfinder movements
-  const defaultMove = new Movements(bot, mcData);
-  defaultMove.allow1by1towers = false;
-  defaultMove.scafoldingCost = 6.0;
-  defaultMove.allowSprinting = true;
-  defaultMove.canDig = true;
-  defaultMove.canBuild = true;
-  bot.pathfinder.setMovements(defaultMove);
-
-  // Increase pathfinder timeout for complex paths (default is 5 seconds)
-  bot.pathfinder.thinkTimeout = 10000; // 10 seconds
-
-  // Start the supervision loop (check every 1 second)
-  setInterval(supervisionLoop, 1000);
-
-  bot.chat("AllenIverson is ready! Tell me what to do.");
-
-  // Notify connected clients
-  io.emit("bot:status", { connected: true, version: bot.version });
-  io.emit(
-    "inventory:updated",
-    bot.inventory.items().map((item) => ({
-      name: item.name,
-      count: item.count,
-      displayName: item.displayName,
-    }))
-  );
+/**
+ * Binds all event handlers to a bot instance.
+ * Handlers close over the instance they were bound to, so events from a
+ * disconnected bot can never act on its replacement.
+ * @param {Object} bot - The mineflayer bot instance
+ */
+function bindBotEvents(bot) {
+  // Spawn event - initialize minecraft-data and pathfinder movements
+  bot.on("spawn", () => {
+    console.log("[Bot] AllenIverson has spawned!");
+    reconnectAttempts = 0;
+
+    // Initialize minecraft-data for the detected version
+    mcData = require("minecraft-data")(bot.version);
+    botState.setMcData(mcData);
+    botState.setConnected(true);
+    console.log(`[Bot] Minecraft version: ${bot.version}`);
+
+    // Configure pathfinder movements
+    const defaultMove = new Movements(bot, mcData);
+    defaultMove.allow1by1towers = false;
+    defaultMove.scafoldingCost = 6.0;
+    defaultMove.allowSprinting = true;
+    defaultMove.canDig = true;
+    defaultMove.canBuild = true;
+    bot.pathfinder.setMovements(defaultMove);
+
+    // Increase pathfinder timeout for complex paths (default is 5 seconds)
+    bot.pathfinder.thinkTimeout = 10000; // 10 seconds
+
+    if (taskQueue.length > 0 && botState.isPaused()) {
+      bot.chat(
+        `AllenIverson is back! I'm paused with ${taskQueue.length} task(s) queued.`
+      );
+    } else if (taskQueue.length > 0) {
+      bot.chat(
+        `AllenIverson is back! Resuming ${taskQueue.length} task(s) from where I left off.`
+      );
+    } else {
+      bot.chat("AllenIverson is ready! Tell me what to do.");
+    }
 
-  // Inventory change event (must be inside spawn as inventory isn't available before)
-  bot.inventory.on("updateSlot", () => {
+    // Notify connected clients
+    io.emit("bot:status", { connected: true, version: bot.version });
     io.emit(
       "inventory:updated",
       bot.inventory.items().map((item) => ({
@@ -507,76 +1060,232 @@ bot.on("spawn", () => {
       }))
     );
   });
-});
 
-// Chat event - process user commands with interrupt capability
-bot.on("chat", async (username, message) => {
-  // Ignore own messages
-  if (username === bot.username) return;
+  // Inventory change event (must wait for spawn as inventory isn't available
+  // before). Bound once per bot instance since "spawn" also fires on respawn.
+  bot.once("spawn", () => {
+    bot.inventory.on("updateSlot", () => {
+      io.emit(
+        "inventory:updated",
+        bot.inventory.items().map((item) => ({
+          name: item.name,
+          count: item.count,
+          displayName: item.displayName,
+        }))
+      );
+    });
+  });
 
-  // Only process messages that start with "Allen" (case-insensitive)
-  const normalizedMessage = message.trim();
-  if (!normalizedMessage.toLowerCase().startsWith("allen")) {
-    return; // Ignore messages that don't start with "Allen"
-  }
+  // Chat event - process user commands with interrupt capability
+  bot.on("chat", async (username, message) => {
+    // Ignore own messages
+    if (username === bot.username) return;
 
-  // Extract the actual command (remove "Allen" prefix)
-  const command = normalizedMessage.substring(5).trim(); // Remove "Allen" (5 chars)
-  if (!command) {
-    return; // Ignore if there's no command after "Allen"
-  }
+    // Only process messages that start with "Allen" (case-insensitive)
+    const normalizedMessage = message.trim();
+    if (!normalizedMessage.toLowerCase().startsWith("allen")) {
+      return; // Ignore messages that don't start with "Allen"
+    }
 
-  console.log(`[Chat] ${username}: ${message} (command: "${command}")`);
+    // Extract the actual command (remove "Allen" prefix)
+    const command = normalizedMessage.substring(5).trim(); // Remove "Allen" (5 chars)
+    if (!command) {
+      return; // Ignore if there's no command after "Allen"
+    }
 
-  // INTERRUPT: Stop any current action immediately
-  try {
-    bot.pathfinder.stop();
-  } catch (e) {
-    // Pathfinder might not be active, that's okay
-  }
+    console.log(`[Chat] ${username}: ${message} (command: "${command}")`);
+
+    // Start the conversation over: later requests are planned without
+    // remembering earlier ones
+    if (
+      /^(forget (it|that|everything)|reset memory|new conversation)$/i.test(
+        command
+      )
+    ) {
+      clearConversation(username);
+      bot.chat(`Okay ${username}, I've forgotten what we talked about.`);
+      return;
+    }
 
-  // Clear the entire task queue (interrupt current plan)
-  taskQueue = [];
-  isExecuting = false;
-  syncQueue(taskQueue);
+    // Schedule management
+    if (/^(list )?schedules$/i.test(command)) {
+      const schedules = getSchedules();
+      if (schedules.length === 0) {
+        bot.chat("No schedules.");
+      }
+      for (const schedule of schedules) {
+        bot.chat(`[${schedule.id.slice(0, 8)}] ${schedule.description}`);
+      }
+      return;
+    }
+    const unschedule = command.match(/^(?:unschedule|cancel schedule)\s+(\S+)$/i);
+    if (unschedule) {
+      const removed =
+        unschedule[1].toLowerCase() === "all"
+          ? getSchedules().slice().map((schedule) => removeSchedule(schedule.id))
+          : [removeSchedule(unschedule[1])].filter(Boolean);
+      bot.chat(
+        removed.length > 0
+          ? `Removed ${removed.length} schedule(s).`
+          : `No schedule matches "${unschedule[1]}".`
+      );
+      return;
+    }
 
-  // Process the new request through the LLM
-  bot.chat("Planning...");
-  const newTasks = await processUserRequest(command, mcData);
+    // "every 10 minutes ..." / "at nightfall ..." plans once and repeats
+    const scheduled = parseScheduleCommand(command);
+    if (scheduled) {
+      const triggerError = validateTrigger(scheduled.trigger);
+      if (triggerError) {
+        bot.chat(triggerError);
+        return;
+      }
+      // The plan runs later, so it isn't remembered as if it ran now
+      const tasks = await planRequest(scheduled.request, username, {
+        remember: false,
+      });
+      if (tasks?.[0]?.type === "clarify") {
+        bot.chat(`${tasks[0].question} (Say the schedule again with details.)`);
+        return;
+      }
+      if (!tasks || tasks.length === 0) {
+        bot.chat("Sorry, I couldn't understand what to schedule.");
+        return;
+      }
+      if (tasks[0].type === "unknown") {
+        bot.chat(tasks[0].reason || "Sorry, I can't schedule that.");
+        return;
+      }
+      // Stored as templates like schedules from the API: every run gets
+      // fresh IDs and status
+      const specs = tasks.map(toTaskSpec);
+      const tasksError = validateTaskSpecs(specs);
+      if (tasksError) {
+        bot.chat(`I can't schedule that: ${tasksError}`);
+        return;
+      }
+      const schedule = addSchedule({
+        trigger: scheduled.trigger,
+        tasks: specs,
+        description: `${scheduled.request} (${describeTrigger(scheduled.trigger)})`,
+        issuedBy: { source: "chat", user: username },
+      });
+      bot.chat(
+        `Scheduled "${scheduled.request}" ${describeTrigger(
+          scheduled.trigger
+        )} [${schedule.id.slice(0, 8)}].`
+      );
+      return;
+    }
 
-  if (newTasks && newTasks.length > 0) {
-    console.log(
-      `[Chat] New task queue (${newTasks.length} tasks):`,
-      JSON.stringify(newTasks)
-    );
-    taskQueue = newTasks;
-    syncQueue(taskQueue);
+    // Pause/resume keep the current plan instead of replacing it
+    if (/^(pause|hold on)$/i.test(command)) {
+      if (pauseExecution(username)) {
+        bot.chat(`Paused. ${taskQueue.length} task(s) waiting. Say "Allen resume" to continue.`);
+      } else {
+        bot.chat("I'm already paused.");
+      }
+      return;
+    }
+    if (/^(resume|continue|unpause)$/i.test(command)) {
+      if (resumeExecution(username)) {
+        bot.chat(
+          taskQueue.length > 0
+            ? `Resuming ${taskQueue.length} task(s).`
+            : "Resumed, but I have nothing to do."
+        );
+      } else {
+        bot.chat("I'm not paused.");
+      }
+      return;
+    }
 
-    if (newTasks.length > 1) {
-      bot.chat(`Got it! I have ${newTasks.length} steps to complete.`);
+    // "then ..." appends, "first ..." runs next, anything else interrupts
+    let { mode, request } = parseQueueMode(command);
+
+    // An answer to the bot's question continues the original request
+    // (unless it's a complete simple command of its own)
+    const pending = takeClarification(username);
+    if (pending && !parseSimpleCommand(request, { username, mcData })) {
+      mode = pending.mode;
+      request = `${pending.request} (you asked: "${pending.question}", ${username} answered: "${command}")`;
     }
-  } else {
-    bot.chat("Sorry, I couldn't understand that command.");
-  }
-});
 
-// Error handling
-bot.on("error", (err) => {
-  console.error("[Bot] Error:", err.message);
-  io.emit("bot:status", { connected: false, error: err.message });
-});
+    // Process the new request (through the LLM unless it's a simple command)
+    const newTasks = await planRequest(request, username);
+
+    // Ask the player and wait for their answer before planning; the
+    // current plan carries on until there is a new one to replace it
+    if (newTasks?.[0]?.type === "clarify") {
+      setClarification(username, {
+        request,
+        question: newTasks[0].question,
+        mode,
+      });
+      bot.chat(newTasks[0].question);
+      return;
+    }
 
-bot.on("kicked", (reason) => {
-  console.log("[Bot] Kicked:", reason);
-  botState.setConnected(false);
-  io.emit("bot:status", { connected: false, reason });
-});
+    if (newTasks && newTasks.length > 0) {
+      console.log(
+        `[Chat] New tasks (${mode}, ${newTasks.length} tasks):`,
+        JSON.stringify(newTasks)
+      );
+      for (const task of newTasks) {
+        task.issuedBy = { source: "chat", user: username };
+      }
 
-bot.on("end", () => {
-  console.log("[Bot] Disconnected from server");
-  botState.setConnected(false);
-  io.emit("bot:status", { connected: false });
-});
+      if (mode === "append") {
+        addTasks(taskQueue, newTasks);
+        bot.chat(
+          `Added ${newTasks.length} step(s) to the end of my queue (${taskQueue.length} total).`
+        );
+      } else if (mode === "first") {
+        insertTasksNext(taskQueue, newTasks);
+        bot.chat(`I'll do that next (${newTasks.length} step(s)).`);
+      } else {
+        // INTERRUPT: Cancel the current action and clear the entire task
+        // queue (interrupt current plan) now that there's a plan to run
+        cancelExecution(`Interrupted by ${username}`);
+        clearQueue(taskQueue, `Interrupted by ${username}`);
+        addTasks(taskQueue, newTasks);
+
+        if (newTasks.length > 1) {
+          bot.chat(`Got it! I have ${newTasks.length} steps to complete.`);
+        }
+      }
+      if (botState.isPaused()) {
+        bot.chat(`I'm paused, say "Allen resume" to start.`);
+      }
+    } else {
+      bot.chat("Sorry, I couldn't understand that command.");
+    }
+  });
+
+  // Error handling
+  bot.on("error", (err) => {
+    console.error("[Bot] Error:", err.message);
+    io.emit("bot:status", { connected: false, error: err.message });
+  });
+
+  bot.on("kicked", (reason) => {
+    console.log("[Bot] Kicked:", reason);
+    botState.setConnected(false);
+    io.emit("bot:status", { connected: false, reason });
+  });
+
+  bot.on("end", (reason) => {
+    console.log("[Bot] Disconnected from server:", reason);
+    botState.setConnected(false);
+
+    // Any in-flight handler belongs to the dead connection; cancel it so
+    // the supervisor starts fresh on the next session
+    cancelExecution("Disconnected");
+
+    io.emit("bot:status", { connected: false });
+    scheduleReconnect();
+  });
+}
 
 // ============================================================================
 // START SERVERS
@@ -594,3 +1303,11 @@ console.log(
     process.env.MC_PORT || 25565
   }`
 );
+createBotInstance();
+
+// Start the supervision loop once (check every 1 second). It survives
+// reconnects and simply idles while the bot is disconnected.
+setInterval(supervisionLoop, 1000);
+
+// Check recurring schedules on the same cadence
+setInterval(runDueSchedules, 1000);
@@ -1,68 +1,154 @@
 /**
- * LLM Brain - Processes natural language requests using Ollama (Llama3)
+ * LLM Brain - Processes natural language requests using the configured LLM
+ * provider (Ollama by default, see llm/index.js)
  */
 
-const { Ollama } = require("ollama");
+const { createProvider } = require("./llm");
 const {
-  validateTasks,
   getCommonNames,
   getCollectibleBlocks,
 } = require("./utils/blockNames");
 const {
   formatRecipesForPrompt,
+  formatSmeltingForPrompt,
   getCommonCraftableItems,
 } = require("./utils/recipes");
+const { TASK_TYPES, validatePlan } = require("./utils/planValidator");
+const { formatWorldContext } = require("./utils/worldContext");
+const {
+  recordExchange,
+  toChatMessages,
+} = require("./state/conversationMemory");
+const {
+  FAILURE_POLICIES,
+  TASK_PRIORITIES,
+  PLANNING,
+} = require("./config/constants");
+
+// Bump when the system prompt changes, so evaluation results
+// (npm run eval) can be compared per prompt version
+const PROMPT_VERSION = 4;
 
-// Initialize Ollama client
-const ollama = new Ollama({
-  host: process.env.OLLAMA_HOST || "http://localhost:11434",
-});
+// LLM provider, created on first use (or set with setProvider())
+let provider = null;
 
 /**
- * Processes a user's natural language request using Ollama (Llama3)
- * and converts it into an ARRAY of structured JSON tasks for multi-step execution.
- *
- * @param {string} message - The user's chat message
- * @param {Object} mcData - Optional minecraft-data instance for validation (uses default version if not provided)
- * @returns {Promise<Array|null>} - An array of task objects or null if invalid
+ * Gets the LLM provider, creating the configured one on first use
+ * @returns {Object} - The provider
  */
-async function processUserRequest(message, mcData = null) {
-  // Get common block/item names for the prompt
-  // Use provided mcData or default version
-  let commonNames;
-  let validationData = mcData;
-
-  if (!validationData) {
-    // Use default version for validation if mcData not provided
-    try {
-      validationData = require("minecraft-data")("1.20.1");
-    } catch (e) {
-      console.warn("[Brain] Could not load minecraft-data for validation");
-    }
+function getProvider() {
+  if (!provider) {
+    provider = createProvider();
+    console.log(
+      `[Brain] Using LLM provider "${provider.name}" (model ${provider.model})`
+    );
   }
+  return provider;
+}
 
-  if (validationData) {
-    commonNames = getCommonNames("1.20.1");
-  } else {
-    commonNames = { blocks: [], items: [] };
+/**
+ * Replaces the LLM provider (e.g. with a fake one)
+ * @param {Object} newProvider - A provider from llm/index.js
+ */
+function setProvider(newProvider) {
+  provider = newProvider;
+}
+
+/**
+ * Loads game data for the default version, for planning without a server
+ * @returns {Object|null} - Minecraft data instance, or null if unavailable
+ */
+function getDefaultData() {
+  try {
+    return require("minecraft-data")(PLANNING.defaultVersion);
+  } catch (e) {
+    console.warn(
+      `[Brain] Could not load minecraft-data ${PLANNING.defaultVersion} for validation`
+    );
+    return null;
   }
+}
 
-  // Build block/item name lists for the prompt
-  const commonBlocksList = commonNames.blocks.slice(0, 100).join(", ");
-  const commonItemsList = commonNames.items.slice(0, 100).join(", ");
+/**
+ * Processes a user's natural language request using the LLM
+ * and converts it into an ARRAY of structured JSON tasks for multi-step execution.
+ *
+ * @param {string} message - The user's chat message
+ * @param {Object} mcData - minecraft-data instance for the bot's version
+ *   (DEFAULT_MC_VERSION is used if not provided)
+ * @param {Object} options - Optional context:
+ *   username (the player who asked), worldContext (snapshot from
+ *   buildWorldContext() in utils/worldContext.js), remember (default
+ *   true: replay the player's earlier requests and remember this one) and
+ *   clarify (default true: with a username, the LLM may reply with a single
+ *   { type: 'clarify', question } task instead of a plan)
+ * The plan is validated (names, required fields, craft feasibility) and the
+ * errors sent back to the LLM for up to PLAN_REPAIR_ROUNDS corrections; if it
+ * still doesn't validate, a single 'unknown' task explains why.
+ * @returns {Promise<Array|null>} - An array of task objects, or null if the LLM couldn't be reached
+ */
+async function processUserRequest(message, mcData = null, options = {}) {
+  const {
+    username = null,
+    worldContext = null,
+    remember = true,
+    clarify = true,
+  } = options;
+  const canAsk = clarify && !!username;
+  const history = username && remember ? toChatMessages(username) : [];
+  // What the bot already has, so crafts are checked against it
+  const inventoryMap = Object.fromEntries(
+    (worldContext?.inventory || []).map((item) => [item.name, item.count])
+  );
+
+  // Names, recipes and validation all come from the server's version
+  const validationData = mcData || getDefaultData();
+  const commonNames = validationData
+    ? getCommonNames(validationData, 100)
+    : { blocks: [], items: [] };
+
+  // Build block/item name lists for the prompt (most relevant first)
+  const commonBlocksList = commonNames.blocks.join(", ");
+  const commonItemsList = commonNames.items.join(", ");
 
   // Generate dynamic recipe information from minecraft-data
   let recipeInfo = "";
+  let smeltingInfo = "";
   let craftableItemsList = "";
+  let versionInfo = "";
   if (validationData) {
     recipeInfo = formatRecipesForPrompt(validationData, 35);
+    smeltingInfo = formatSmeltingForPrompt(validationData);
     const craftables = getCommonCraftableItems(validationData, 50);
     craftableItemsList = craftables.map((c) => c.name).join(", ");
+    versionInfo = `\nThe server runs Minecraft ${validationData.version.minecraftVersion}: only use names that exist in this version.`;
   }
 
+  // Live world state, so plans account for what the bot has and sees
+  let worldInfo = "";
+  if (worldContext) {
+    worldInfo = `
+CURRENT WORLD STATE (plan around it: skip steps for items the bot already has, prefer blocks that are nearby, use real player names):
+${formatWorldContext({ ...worldContext, username: username || worldContext.username })}
+`;
+  } else if (username) {
+    worldInfo = `
+The player talking to you is ${username}. "me" and "here" refer to them.
+`;
+  }
+
+  // Clarifying questions need a player to answer them
+  const clarifyInfo = canAsk
+    ? `
+If the request is too ambiguous to plan sensibly (e.g. "build a house": out of what, how big?), ask ONE short question instead of guessing:
+[{"type":"clarify","question":"<question for the player>"}]
+Only ask when the answer really changes the plan; check the world state and earlier messages first. A clarify must be the only item in the array.
+`
+    : "";
+
   const systemPrompt = `You are a Minecraft assistant controlling a bot. Translate user commands into a JSON ARRAY of task steps.
 
-CRITICAL: You MUST use EXACT block/item names from Minecraft. All names use lowercase with underscores (e.g., "oak_log", not "Oak Log" or "oak log").
+CRITICAL: You MUST use EXACT block/item names from Minecraft. All names use lowercase with underscores (e.g., "oak_log", not "Oak Log" or "oak log").${versionInfo}
 
 CRITICAL: You MUST always output a JSON ARRAY starting with [ and ending with ]. Even for single tasks, wrap it in an array. Never output a single object without array brackets.
 
@@ -73,16 +159,22 @@ Each task object must have a 'type' field.
 
 Available task types:
 - 'collect': Gather blocks/items from the world
+- 'mine': Dig down and branch mine for an ore that is deep underground (diamonds, redstone, gold...)
 - 'craft': Craft items (bot will handle crafting table and smelting automatically)
 - 'smelt': Smelt items in a furnace (bot will handle furnace placement automatically)
 - 'place': Place a block from inventory
-- 'move': Navigate to a block or a player
+- 'move': Navigate to a block, a player or coordinates
 - 'follow': Continuously follow a player
 - 'inventory': Report what items are in the bot's inventory
 - 'stop': Stop all actions and clear the queue
+- 'repeat': Run a list of tasks several times, or until a condition is true
+- 'if': Run one list of tasks or another depending on a condition
+- 'wait': Wait for a number of seconds, or until a condition is true
 
 IMPORTANT: For items that require smelting (like iron_ingot, gold_ingot), the 'craft' command will automatically handle smelting. You don't need to explicitly use 'smelt' for recipes - just use 'craft' for the final item.
 
+Stone and ores only drop with a good enough pickaxe (iron_ore needs stone_pickaxe, diamond_ore needs iron_pickaxe). The 'craft' command makes the missing tools automatically (wooden_pickaxe -> stone_pickaxe -> iron_pickaxe), so "make a diamond sword" is just a craft of diamond_sword.
+
 TASK FORMATS:
 
 For 'collect' type:
@@ -91,6 +183,10 @@ VALID BLOCK NAMES (use these EXACT names): ${
     commonBlocksList ||
     "oak_log, birch_log, spruce_log, diamond_ore, iron_ore, coal_ore, cobblestone, dirt, sand, stone, grass_block, etc."
   }
+Collecting an ore also mines its deepslate variant (iron_ore covers deepslate_iron_ore). When any kind will do, the target can be a group: "any_log" (every kind of log), "any_planks", or "any_cobblestone" (cobblestone, cobbled_deepslate or blackstone).
+
+For 'mine' type (use for ores that are rarely near the surface, like diamond_ore, redstone_ore, gold_ore, lapis_ore; "y" is optional and defaults to where the ore is most common):
+{ "type": "mine", "target": "<ore_block_name>", "count": <number>, "y": <number> }
 
 For 'craft' type:
 { "type": "craft", "target": "<item_name>", "count": <number> }
@@ -102,14 +198,11 @@ VALID ITEM NAMES (use these EXACT names): ${
 For 'smelt' type (use for direct smelting requests):
 { "type": "smelt", "input": "<input_item>", "output": "<output_item>", "count": <number> }
 SMELTING RECIPES:
-- iron_ingot: raw_iron (from iron_ore)
-- gold_ingot: raw_gold (from gold_ore)
-- copper_ingot: raw_copper (from copper_ore)
+${smeltingInfo || `- iron_ingot: raw_iron (from iron_ore)
 - glass: sand
 - stone: cobblestone
 - cooked_beef: beef
-- cooked_porkchop: porkchop
-- charcoal: oak_log (or any log)
+- charcoal: oak_log (or any log)`}
 
 For 'place' type:
 { "type": "place", "target": "<block_name>" }
@@ -120,6 +213,9 @@ For 'move' type to a block:
 For 'move' type to a player:
 { "type": "move", "player": "<player_name>" }
 
+For 'move' type to coordinates:
+{ "type": "move", "x": <number>, "y": <number>, "z": <number> }
+
 For 'follow' type:
 { "type": "follow", "player": "<player_name>" }
 
@@ -129,6 +225,35 @@ For 'inventory' type:
 For 'stop' type:
 { "type": "stop" }
 
+For 'repeat' type (give "times", "until" or both):
+{ "type": "repeat", "times": <number>, "tasks": [<tasks>] }
+{ "type": "repeat", "until": <condition>, "tasks": [<tasks>] }
+Counts of collect, mine and craft tasks inside a repeat are per iteration.
+
+For 'if' type ("else" is optional):
+{ "type": "if", "condition": <condition>, "then": [<tasks>], "else": [<tasks>] }
+
+For 'wait' type:
+{ "type": "wait", "seconds": <number> }
+{ "type": "wait", "until": <condition>, "timeoutSeconds": <number> }
+
+CONDITIONS (for repeat "until", if "condition" and wait "until"):
+- { "type": "has", "item": "<item_name>", "count": <number> }: the bot has at least that many
+- { "type": "time", "is": "day" } or { "type": "time", "is": "night" }
+- { "type": "health", "below": <number> } or { "type": "health", "above": <number> } (0-20)
+- { "type": "food", "below": <number> } or { "type": "food", "above": <number> } (0-20)
+- { "type": "playerNearby", "player": "<player_name>", "distance": <number> }
+- { "type": "not", "condition": <condition> }
+- { "type": "all", "conditions": [<conditions>] } or { "type": "any", "conditions": [<conditions>] }
+
+OPTIONAL on any task: "onFailure" controls what happens if that step fails:
+"retry" (try again later), "skip" (continue with the next step), "replan" (find another way) or "abort" (stop the whole plan).
+Leave it out unless the user asks for specific behavior.
+
+OPTIONAL on any task: "priority" is one of "urgent", "high", "normal" (default) or "low".
+Urgent tasks interrupt whatever the bot is doing, which resumes afterwards.
+Use "urgent" when the user needs the bot right away (e.g. "come here quick", "help me", "get away from there").
+
 CRAFTING RECIPES (generated from Minecraft data - use exact item names):
 ${recipeInfo || `- oak_planks: 1 oak_log
 - stick: 2 oak_planks
@@ -169,6 +294,22 @@ Output:
   { "type": "move", "block": "crafting_table", "radius": 3 }
 ]
 
+Example: User says "collect oak logs until you have 20"
+Output:
+[
+  { "type": "repeat", "until": { "type": "has", "item": "oak_log", "count": 20 }, "tasks": [
+    { "type": "collect", "target": "oak_log", "count": 4 }
+  ] }
+]
+
+Example: User says "if it's night come to me, otherwise get some wood"
+Output:
+[
+  { "type": "if", "condition": { "type": "time", "is": "night" },
+    "then": [{ "type": "move", "player": "Steve" }],
+    "else": [{ "type": "collect", "target": "oak_log", "count": 5 }] }
+]
+
 Example: User says "stop"
 Output:
 [
@@ -181,13 +322,20 @@ Output:
   { "type": "inventory" }
 ]
 
+${worldInfo}${
+    history.length > 0
+      ? `
+The earlier messages are this player's previous requests, your plans for them and how they turned out. Use them for follow-ups like "do that again", "make two more" or "try that differently".
+`
+      : ""
+  }
 CRITICAL OUTPUT FORMAT:
 - Output ONLY a valid JSON array
 - Start with [ and end with ]
 - No explanations, no markdown code blocks, no text before or after
 - Just the raw JSON array
 - Example format: [{"type":"collect","target":"oak_log","count":2}]
-
+${clarifyInfo}
 If the command doesn't make sense, output: [{"type":"unknown","reason":"<brief explanation>"}]
 
 Remember: Always return an array, even for single tasks!`;
@@ -200,134 +348,175 @@ Remember: Always return an array, even for single tasks!`;
       properties: {
         type: {
           type: "string",
-          enum: [
-            "collect",
-            "craft",
-            "smelt",
-            "place",
-            "move",
-            "follow",
-            "inventory",
-            "stop",
-            "unknown",
-          ],
+          enum: TASK_TYPES,
         },
         target: { type: "string" },
         count: { type: "number" },
         block: { type: "string" },
         radius: { type: "number" },
         player: { type: "string" },
+        x: { type: "number" }, // For move to coordinates
+        y: { type: "number" }, // Also the level a mine task digs down to
+        z: { type: "number" },
         reason: { type: "string" },
+        question: { type: "string" }, // For clarify responses
         input: { type: "string" },  // For smelt tasks
         output: { type: "string" }, // For smelt tasks
+        onFailure: { type: "string", enum: FAILURE_POLICIES },
+        priority: { type: "string", enum: TASK_PRIORITIES },
+        // Control-flow tasks (nested tasks and conditions are left open,
+        // since the schema can't be recursive)
+        times: { type: "number" },
+        seconds: { type: "number" },
+        timeoutSeconds: { type: "number" },
+        tasks: { type: "array", items: { type: "object" } },
+        then: { type: "array", items: { type: "object" } },
+        else: { type: "array", items: { type: "object" } },
+        condition: { type: "object" },
+        until: { type: "object" },
       },
       required: ["type"],
     },
   };
 
+  const messages = [
+    { role: "system", content: systemPrompt },
+    ...history,
+    { role: "user", content: message },
+  ];
+  let errors = [];
+
   try {
-    const response = await ollama.chat({
-      model: process.env.OLLAMA_MODEL || "llama3",
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: message },
-      ],
-      options: {
+    // Ask for a plan, then for corrections until it validates
+    for (let round = 0; round <= PLANNING.maxRepairRounds; round++) {
+      if (round > 0) {
+        console.log(
+          `[Brain] Asking for a corrected plan (round ${round}/${PLANNING.maxRepairRounds})`
+        );
+      }
+
+      const reply = await getProvider().chat({
+        messages,
+        schema: jsonSchema, // Use JSON schema to force array response
         temperature: 0.1, // Low temperature for consistent JSON output
-        num_predict: 800, // Increased for multi-step plans
-      },
-      format: jsonSchema, // Use JSON schema to force array response
-    });
-
-    let content = response.message.content.trim();
-    console.log(`[Brain] LLM Response (raw): ${content}`);
-
-    // Remove markdown code blocks if present (```json ... ```)
-    content = content
-      .replace(/^```json\s*/i, "")
-      .replace(/^```\s*/i, "")
-      .replace(/\s*```$/i, "")
-      .trim();
-
-    // Try to extract JSON from the response if it's wrapped in text
-    // Look for JSON array pattern [...]
-    const jsonMatch = content.match(/\[[\s\S]*\]/);
-    if (jsonMatch) {
-      content = jsonMatch[0];
-    }
+        maxTokens: 800, // Increased for multi-step plans
+      });
 
-    console.log(`[Brain] LLM Response (cleaned): ${content}`);
+      const content = reply.trim();
+      console.log(`[Brain] LLM Response (raw): ${content}`);
 
-    // Parse the JSON response
-    let taskArray;
-    try {
-      taskArray = JSON.parse(content);
-    } catch (parseError) {
-      console.error(`[Brain] JSON parse error: ${parseError.message}`);
-      console.error(`[Brain] Content that failed to parse: ${content}`);
-      return null;
-    }
+      const parsed = parsePlan(content);
+      let taskArray = parsed.tasks;
+      errors = parsed.error ? [parsed.error] : [];
 
-    // Ensure it's always an array
-    if (!Array.isArray(taskArray)) {
-      console.log(
-        `[Brain] Response is not an array, converting: ${JSON.stringify(
-          taskArray
-        )}`
-      );
-      // If it's an object with a 'type' field, wrap it
-      if (taskArray && typeof taskArray === "object" && taskArray.type) {
-        taskArray = [taskArray];
-      } else {
-        console.error(
-          `[Brain] Invalid response format: expected array or task object, got: ${typeof taskArray}`
+      if (errors.length === 0) {
+        console.log(
+          `[Brain] Parsed ${taskArray.length} task(s): ${JSON.stringify(
+            taskArray
+          )}`
         );
-        return null;
+        const validation = validatePlan(
+          taskArray,
+          validationData,
+          inventoryMap,
+          { allowClarify: canAsk }
+        );
+        taskArray = validation.tasks;
+        errors = validation.errors;
       }
-    }
 
-    console.log(
-      `[Brain] Parsed ${taskArray.length} task(s): ${JSON.stringify(taskArray)}`
-    );
-
-    // Validate that each task has a type field
-    for (const task of taskArray) {
-      if (!task || !task.type) {
-        console.error(
-          "[Brain] Invalid task in response: missing 'type' field",
-          task
+      if (errors.length === 0) {
+        console.log(
+          `[Brain] Final validated tasks: ${JSON.stringify(taskArray)}`
         );
-        return null;
+        // A question isn't a plan: the answer is remembered with the request
+        if (username && remember && taskArray[0].type !== "clarify") {
+          recordExchange(username, message, taskArray);
+        }
+        return taskArray;
       }
-    }
 
-    // Validate and correct block/item names using minecraft-data
-    if (validationData) {
-      const originalTasks = JSON.parse(JSON.stringify(taskArray));
-      taskArray = validateTasks(taskArray, validationData);
-
-      // Log any corrections made
-      for (let i = 0; i < taskArray.length; i++) {
-        if (
-          originalTasks[i].target &&
-          taskArray[i].target !== originalTasks[i].target
-        ) {
-          console.log(
-            `[Brain] Corrected block/item name: "${originalTasks[i].target}" -> "${taskArray[i].target}"`
-          );
+      console.error(`[Brain] Invalid plan: ${errors.join("; ")}`);
+      messages.push(
+        { role: "assistant", content },
+        {
+          role: "user",
+          content: `That plan has problems:\n${errors
+            .map((error) => `- ${error}`)
+            .join(
+              "\n"
+            )}\nReply with the corrected JSON array only, or [{"type":"unknown","reason":"<why>"}] if it can't be done.`,
         }
-      }
+      );
     }
-
-    console.log(`[Brain] Final validated tasks: ${JSON.stringify(taskArray)}`);
-
-    return taskArray;
   } catch (error) {
     console.error("[Brain] Error processing request:", error.message);
     return null;
   }
+
+  // Still invalid after every correction round: explain what was wrong
+  return [
+    {
+      type: "unknown",
+      reason: `I couldn't come up with a working plan: ${errors
+        .slice(0, 2)
+        .join("; ")}`,
+    },
+  ];
+}
+
+/**
+ * Extracts the task array from a raw LLM response
+ * @param {string} content - The response text
+ * @returns {Object} - { tasks } or { error } describing why it couldn't be parsed
+ */
+function parsePlan(content) {
+  // Remove markdown code blocks if present (```json ... ```)
+  content = content
+    .replace(/^```json\s*/i, "")
+    .replace(/^```\s*/i, "")
+    .replace(/\s*```$/i, "")
+    .trim();
+
+  // Try to extract JSON from the response if it's wrapped in text
+  // Look for JSON array pattern [...]
+  const jsonMatch = content.match(/\[[\s\S]*\]/);
+  if (jsonMatch) {
+    content = jsonMatch[0];
+  }
+
+  console.log(`[Brain] LLM Response (cleaned): ${content}`);
+
+  // Parse the JSON response
+  let taskArray;
+  try {
+    taskArray = JSON.parse(content);
+  } catch (parseError) {
+    console.error(`[Brain] JSON parse error: ${parseError.message}`);
+    console.error(`[Brain] Content that failed to parse: ${content}`);
+    return { error: `The reply is not valid JSON (${parseError.message})` };
+  }
+
+  // Ensure it's always an array
+  if (!Array.isArray(taskArray)) {
+    console.log(
+      `[Brain] Response is not an array, converting: ${JSON.stringify(
+        taskArray
+      )}`
+    );
+    // If it's an object with a 'type' field, wrap it
+    if (taskArray && typeof taskArray === "object" && taskArray.type) {
+      taskArray = [taskArray];
+    } else {
+      return { error: "The reply must be a JSON array of task objects" };
+    }
+  }
+  return { tasks: taskArray };
 }
 
 module.exports = {
+  PROMPT_VERSION,
   processUserRequest,
+  getProvider,
+  setProvider,
 };
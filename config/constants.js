@@ -2,74 +2,224 @@
  * Configuration constants for the Minecraft bot
  */
 
+const path = require("path");
+
 /**
- * Maps items to the blocks that need to be mined to obtain them.
- * Some items (like cobblestone) don't exist as blocks - you get them by mining other blocks.
- * This is used by the dependency resolver to determine what block to collect for a given item.
+ * Parses a whole-number setting. Unlike `parseInt(...) || fallback`, an
+ * explicit 0 is kept; unset, malformed or negative values use the fallback.
+ * @param {string|undefined} value - The environment variable
+ * @param {number} fallback - Value to use instead
+ * @returns {number} - The setting
  */
-const ITEM_TO_BLOCK_SOURCE = {
-  // Stone drops cobblestone when mined (without silk touch)
-  cobblestone: "stone",
-  
-  // Overworld ores drop items (fortune affects some)
-  diamond: "diamond_ore",
-  coal: "coal_ore",
-  emerald: "emerald_ore",
-  lapis_lazuli: "lapis_ore",
-  redstone: "redstone_ore",
-  raw_iron: "iron_ore",
-  raw_gold: "gold_ore",
-  raw_copper: "copper_ore",
-  
-  // Deepslate variants
-  deepslate_cobblestone: "deepslate",
-  
-  // Deepslate ores (same drops as regular ores)
-  // diamond: "deepslate_diamond_ore", // already mapped above, would need special handling
-  
-  // Nether blocks and ores
-  quartz: "nether_quartz_ore",
-  gold_nugget: "nether_gold_ore",
-  
-  // Gravel drops flint sometimes (10% base chance)
-  flint: "gravel",
-  
-  // Glowstone drops dust (2-4 dust per block)
-  glowstone_dust: "glowstone",
-  
-  // Amethyst
-  amethyst_shard: "amethyst_cluster",
-  
-  // Crops and plants
-  wheat: "wheat", // Breaking mature wheat gives wheat item
-  wheat_seeds: "grass", // Also from breaking wheat
-  beetroot: "beetroots",
-  beetroot_seeds: "beetroots",
-  carrot: "carrots",
-  potato: "potatoes",
-  
-  // String from cobwebs (shears give cobweb block, sword gives string)
-  string: "cobweb",
-  
-  // Sea stuff
-  prismarine_crystals: "sea_lantern",
-  prismarine_shard: "prismarine", // Also from guardians
-  
-  // Ice variants
-  ice: "packed_ice", // Mining packed ice with silk touch logic varies
-  
-  // Leaves drop sticks and saplings but that's random
-  // apple: "oak_leaves", // Random drop, not reliable
-  
-  // Clay
-  clay_ball: "clay",
-  
-  // Snow
-  snowball: "snow", // Snow layer
-  snow_block: "snow_block", // Requires silk touch otherwise drops snowballs
-  
-  // Sculk
-  sculk_catalyst: "sculk_catalyst", // Drops XP, no item without silk touch
+function parseCount(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+}
+
+/**
+ * Where runtime state is stored on disk (override with environment variables)
+ */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+const PERSISTENCE = {
+  // Checkpoint of the task queue, restored on startup
+  queueFile: process.env.QUEUE_STATE_FILE || path.join(DATA_DIR, "queue.json"),
+  // Append-only log of finished tasks (one JSON object per line)
+  historyFile:
+    process.env.HISTORY_FILE || path.join(DATA_DIR, "history.jsonl"),
+  // Recurring/scheduled task definitions
+  schedulesFile:
+    process.env.SCHEDULES_FILE || path.join(DATA_DIR, "schedules.json"),
+  // Planner evaluation runs (npm run eval), one JSON object per line
+  evalResultsFile:
+    process.env.EVAL_RESULTS_FILE || path.join(DATA_DIR, "eval-results.jsonl"),
+};
+
+/**
+ * Reconnect supervisor backoff: the delay starts at initialDelayMs and is
+ * multiplied after every failed attempt, capped at maxDelayMs.
+ * maxAttempts = 0 retries forever.
+ */
+const RECONNECT = {
+  initialDelayMs: parseInt(process.env.RECONNECT_INITIAL_DELAY_MS) || 5000,
+  maxDelayMs: parseInt(process.env.RECONNECT_MAX_DELAY_MS) || 60000,
+  multiplier: 2,
+  maxAttempts: parseInt(process.env.RECONNECT_MAX_ATTEMPTS) || 0,
+};
+
+/**
+ * What happens when a task fails. A task can override this with an
+ * `onFailure` field, either a policy name or an object of these fields.
+ * - retry:  run the task again after a backoff (doubling each time), up to
+ *           maxRetries times, then apply the fallback policy
+ * - skip:   drop the failed task and continue with the rest of the queue
+ * - replan: drop the failed task and ask the brain for an alternative plan
+ * - abort:  clear the entire queue
+ */
+const FAILURE_POLICIES = ["retry", "skip", "replan", "abort"];
+
+// Aborting is what a failure always did before policies existed
+const DEFAULT_FAILURE_POLICY = {
+  policy: process.env.FAILURE_POLICY || "abort",
+  maxRetries: parseCount(process.env.FAILURE_MAX_RETRIES, 2),
+  backoffMs: parseInt(process.env.FAILURE_BACKOFF_MS) || 3000,
+  fallback: process.env.FAILURE_FALLBACK || "abort",
+};
+
+/**
+ * Task priorities, most urgent first. The queue is kept ordered by priority;
+ * a queued task with a higher priority than the running one preempts it,
+ * and the preempted task is suspended and resumed afterwards.
+ */
+const TASK_PRIORITIES = ["urgent", "high", "normal", "low"];
+
+const DEFAULT_TASK_PRIORITY = "normal";
+
+/**
+ * Limits for control-flow tasks (repeat, if, wait)
+ */
+const CONTROL = {
+  // A repeat without a "times" count stops after this many iterations
+  maxRepeatIterations: parseInt(process.env.MAX_REPEAT_ITERATIONS) || 100,
+  // How often a wait-until condition is checked
+  waitPollMs: 1000,
+  // A wait-until fails if the condition isn't met within this time
+  defaultWaitTimeoutSeconds: 600,
+};
+
+/**
+ * Limits for the world snapshot given to the LLM with each request
+ */
+const WORLD_CONTEXT = {
+  // How far to look for notable blocks (logs, ores, crafting tables...)
+  blockRadius: parseInt(process.env.WORLD_CONTEXT_BLOCK_RADIUS) || 24,
+  // Most block positions to scan; the nearest ones are kept
+  maxBlocksScanned: 256,
+  // Most distinct block types / inventory stacks / players / queued tasks listed
+  maxBlockTypes: 12,
+  maxInventoryItems: 36,
+  maxPlayers: 8,
+  maxQueuedTasks: 10,
+};
+
+/**
+ * Per-player conversation memory given to the LLM with each request
+ */
+const CONVERSATION_MEMORY = {
+  // Requests (with their plans and outcomes) remembered per player
+  maxExchanges: parseInt(process.env.CONVERSATION_MEMORY_SIZE) || 10,
+  // An unanswered clarifying question is dropped after this long
+  clarificationTimeoutMs: 120000,
+};
+
+/**
+ * LLM backend used by the brain (see llm/index.js)
+ */
+const LLM = {
+  // "ollama", "openai" (any OpenAI-compatible server) or "fake"
+  provider: process.env.LLM_PROVIDER || "ollama",
+  model: process.env.LLM_MODEL || process.env.OLLAMA_MODEL || "llama3",
+  ollamaHost: process.env.OLLAMA_HOST || "http://localhost:11434",
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || "http://localhost:8080/v1",
+  openaiApiKey: process.env.OPENAI_API_KEY || "",
+  // LLM requests are abandoned after this long
+  timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 120000,
+  // JSON file with canned replies for the fake provider
+  fakeResponsesFile: process.env.LLM_FAKE_RESPONSES || null,
+};
+
+/**
+ * Planning: how often the LLM is asked to fix a plan that doesn't validate
+ * before the bot gives up, and the game data used without a server
+ */
+const PLANNING = {
+  maxRepairRounds: parseCount(process.env.PLAN_REPAIR_ROUNDS, 2),
+  // Names and recipes come from the connected server's version; this one
+  // is only used when planning without a bot in game
+  defaultVersion: process.env.DEFAULT_MC_VERSION || "1.20.1",
+};
+
+/**
+ * Exploring for a block that isn't within the normal search distance
+ */
+const EXPLORATION = {
+  // How far from where it started the bot may wander (0 = don't explore)
+  maxDistance: parseInt(process.env.EXPLORE_MAX_DISTANCE ?? "256", 10),
+  // How long it may search before giving up
+  maxTimeMs: parseInt(process.env.EXPLORE_MAX_TIME_MS) || 180000,
+  // Distance between spiral waypoints, and how far it looks around each
+  stepDistance: 48,
+  searchRadius: 64,
+  // How long it tries to reach one waypoint before moving on
+  legTimeoutMs: 30000,
+};
+
+/**
+ * Heights where ores are most common (1.18+ world generation), which the
+ * bot digs down to before exploring for them
+ */
+const ORE_Y_LEVELS = {
+  diamond_ore: -58,
+  deepslate_diamond_ore: -58,
+  redstone_ore: -58,
+  deepslate_redstone_ore: -58,
+  gold_ore: -16,
+  deepslate_gold_ore: -16,
+  lapis_ore: 0,
+  deepslate_lapis_ore: 0,
+  iron_ore: 16,
+  deepslate_iron_ore: -8,
+  copper_ore: 48,
+  deepslate_copper_ore: -8,
+};
+
+/**
+ * Branch mining (mine tasks): a staircase down to the ore's level, then a
+ * main tunnel with side branches
+ */
+const MINING = {
+  // Side branches dug off the main tunnel, and how long each one is
+  branchCount: parseInt(process.env.MINE_BRANCH_COUNT) || 4,
+  branchLength: parseInt(process.env.MINE_BRANCH_LENGTH) || 16,
+  // Main tunnel blocks between branches (2 leaves a wall between them)
+  branchSpacing: 3,
+  // A torch is placed every this many blocks dug, if the bot has any
+  torchInterval: 8,
+  // How far from the tunnel uncovered ores are picked up
+  oreScanRadius: 4,
+  // How long one step may take, and the walk back to where mining started
+  stepTimeoutMs: 10000,
+  returnTimeoutMs: 180000,
+};
+
+/**
+ * Named in-game times for schedule triggers, in ticks of bot.time.timeOfDay
+ * (0-23999, 0 = morning, 6000 = noon, 12000 = sunset, 18000 = midnight)
+ */
+const GAME_TIME_EVENTS = {
+  sunrise: 23000,
+  dawn: 23000,
+  morning: 0,
+  day: 0,
+  noon: 6000,
+  evening: 12000,
+  sunset: 12000,
+  dusk: 12000,
+  nightfall: 13000,
+  night: 13000,
+  midnight: 18000,
+};
+
+/**
+ * Item groups a collect task can ask for when any member will do. Which
+ * blocks to mine for an item comes from minecraft-data (utils/blockSources.js).
+ */
+const ITEM_GROUPS = {
+  // Older versions name them "log", "log2" and "planks"
+  any_log: /^(?!stripped_|mushroom_)([a-z_]+_)?(log2?|stem)$/,
+  any_planks: /^([a-z_]+_)?planks$/,
+  // What stone tools, furnaces and the like accept
+  any_cobblestone: /^(cobblestone|cobbled_deepslate|blackstone)$/,
 };
 
 /**
@@ -95,7 +245,7 @@ const ITEM_TO_RAW_MATERIAL = {
   // Sticks require planks (which require logs)
   stick: { craft: "oak_planks", craftCount: 2, ratio: 4 }, // 2 planks = 4 sticks
   // Direct collectables
-  cobblestone: { collect: "cobblestone", ratio: 1 }, // handleCollect maps this to "stone"
+  cobblestone: { collect: "cobblestone", ratio: 1 }, // handleCollect also mines stone for it
   diamond: { collect: "diamond_ore", ratio: 1 },
   iron_ingot: { smelt: "raw_iron", collect: "iron_ore", ratio: 1 },
   coal: { collect: "coal_ore", ratio: 1 },
@@ -180,7 +330,23 @@ const FUEL_ITEMS = [
 ];
 
 module.exports = {
-  ITEM_TO_BLOCK_SOURCE,
+  DATA_DIR,
+  PERSISTENCE,
+  RECONNECT,
+  FAILURE_POLICIES,
+  DEFAULT_FAILURE_POLICY,
+  TASK_PRIORITIES,
+  DEFAULT_TASK_PRIORITY,
+  GAME_TIME_EVENTS,
+  CONTROL,
+  WORLD_CONTEXT,
+  CONVERSATION_MEMORY,
+  LLM,
+  PLANNING,
+  EXPLORATION,
+  ORE_Y_LEVELS,
+  MINING,
+  ITEM_GROUPS,
   ITEM_TO_RAW_MATERIAL,
   SMELTABLE_ITEMS,
   FUEL_ITEMS,
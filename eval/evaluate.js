@@ -0,0 +1,240 @@
+/**
+ * Planner evaluation
+ * Replays a corpus of chat commands through processUserRequest() and checks
+ * each plan against the case's expectations and the plan invariants (it
+ * validates: known names, required fields, feasible crafts).
+ *
+ * Corpus cases (one JSON object per line):
+ * { id, command, username?, inventory?: { name: count }, version?, expect }
+ * where expect can hold any of:
+ * - plan:     the exact task sequence (fields not listed are ignored)
+ * - types:    the sequence of task types
+ * - includes: tasks that must appear somewhere in the plan
+ * - final:    what the last task must match
+ * - unknown:  true if the command should be refused with an 'unknown' task
+ * Any expected task may be an array of alternatives, e.g.
+ * "final": [{ "type": "craft", "target": "iron_ingot" },
+ *           { "type": "smelt", "output": "iron_ingot" }]
+ */
+
+const fs = require("fs");
+const minecraftData = require("minecraft-data");
+const { processUserRequest } = require("../brain");
+const { validatePlan } = require("../utils/planValidator");
+const { PLANNING } = require("../config/constants");
+
+/**
+ * Loads a corpus file
+ * @param {string} file - Path to the JSONL corpus
+ * @returns {Array} - The cases
+ */
+function loadCorpus(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim() && !line.trim().startsWith("//"))
+    .map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${file}, case ${i + 1}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Checks whether a value matches an expectation: objects match if every
+ * expected field matches, arrays element by element, anything else exactly
+ * @param {*} expected - The expectation
+ * @param {*} actual - The produced value
+ * @returns {boolean} - True if it matches
+ */
+function matches(expected, actual) {
+  if (Array.isArray(expected)) {
+    return (
+      Array.isArray(actual) &&
+      expected.length === actual.length &&
+      expected.every((item, i) => matches(item, actual[i]))
+    );
+  }
+  if (expected && typeof expected === "object") {
+    return (
+      !!actual &&
+      typeof actual === "object" &&
+      Object.entries(expected).every(([key, value]) =>
+        matches(value, actual[key])
+      )
+    );
+  }
+  return expected === actual;
+}
+
+/**
+ * Checks a task against an expected task or a list of alternatives
+ * @param {Object|Array} expected - Expected task (or alternatives)
+ * @param {Object} task - The produced task
+ * @returns {boolean} - True if it matches
+ */
+function matchesTask(expected, task) {
+  const alternatives = Array.isArray(expected) ? expected : [expected];
+  return alternatives.some((alternative) => matches(alternative, task));
+}
+
+/**
+ * Builds the world snapshot a case is planned in
+ * @param {Object} testCase - The case
+ * @returns {Object} - Snapshot in the shape of buildWorldContext()
+ */
+function buildCaseContext(testCase) {
+  return {
+    username: testCase.username || null,
+    position: { x: 0, y: 64, z: 0 },
+    dimension: "overworld",
+    health: 20,
+    food: 20,
+    timeOfDay: 1000,
+    isDay: true,
+    inventory: Object.entries(testCase.inventory || {}).map(
+      ([name, count]) => ({ name, count })
+    ),
+    nearbyBlocks: testCase.nearbyBlocks || [],
+    nearbyPlayers: testCase.username
+      ? [{ name: testCase.username, distance: 3 }]
+      : [],
+    queue: [],
+  };
+}
+
+/**
+ * Checks a plan against a case's expectations and the plan invariants
+ * @param {Object} testCase - The case
+ * @param {Array|null} plan - The produced plan
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Array<string>} - Failures (empty if the case passed)
+ */
+function checkPlan(testCase, plan, mcData) {
+  const expect = testCase.expect || {};
+  if (!Array.isArray(plan) || plan.length === 0) {
+    return ["No plan was produced"];
+  }
+
+  const failures = [];
+  const refused = plan[0].type === "unknown";
+  if (expect.unknown) {
+    if (!refused) failures.push("Expected the command to be refused");
+    return failures;
+  }
+  if (refused) {
+    return [`Refused: ${plan[0].reason || "no reason given"}`];
+  }
+
+  const { errors } = validatePlan(
+    plan,
+    mcData,
+    testCase.inventory || {},
+    { allowClarify: !!testCase.username }
+  );
+  failures.push(...errors.map((error) => `Invalid plan: ${error}`));
+
+  if (expect.plan) {
+    const sameLength = expect.plan.length === plan.length;
+    if (
+      !sameLength ||
+      !expect.plan.every((expected, i) => matchesTask(expected, plan[i]))
+    ) {
+      failures.push(`Expected plan ${JSON.stringify(expect.plan)}`);
+    }
+  }
+  if (expect.types && !matches(expect.types, plan.map((task) => task.type))) {
+    failures.push(`Expected task types ${expect.types.join(", ")}`);
+  }
+  for (const expected of expect.includes || []) {
+    if (!plan.some((task) => matchesTask(expected, task))) {
+      failures.push(`Expected a task matching ${JSON.stringify(expected)}`);
+    }
+  }
+  if (expect.final && !matchesTask(expect.final, plan[plan.length - 1])) {
+    failures.push(
+      `Expected the last task to match ${JSON.stringify(expect.final)}`
+    );
+  }
+  return failures;
+}
+
+/**
+ * Plans one case and checks the result
+ * @param {Object} testCase - The case
+ * @returns {Promise<Object>} - { id, command, passed, failures, plan, ms }
+ */
+async function runCase(testCase) {
+  const mcData = minecraftData(testCase.version || PLANNING.defaultVersion);
+  const started = Date.now();
+  const plan = await processUserRequest(testCase.command, mcData, {
+    username: testCase.username || null,
+    worldContext: buildCaseContext(testCase),
+    remember: false, // Every case is planned on its own
+  });
+  const failures = checkPlan(testCase, plan, mcData);
+
+  return {
+    id: testCase.id,
+    command: testCase.command,
+    passed: failures.length === 0,
+    failures,
+    plan,
+    ms: Date.now() - started,
+  };
+}
+
+/**
+ * Runs every case of a corpus, one at a time
+ * @param {Array} cases - The cases
+ * @param {function(Object): void} onResult - Called after each case
+ * @returns {Promise<Array>} - The results
+ */
+async function runCorpus(cases, onResult = () => {}) {
+  const results = [];
+  for (const testCase of cases) {
+    const result = await runCase(testCase);
+    results.push(result);
+    onResult(result);
+  }
+  return results;
+}
+
+/**
+ * Groups logged runs by model and prompt version
+ * @param {Array} runs - Logged runs ({ provider, model, promptVersion, passed, total })
+ * @returns {Array} - [{ provider, model, promptVersion, runs, passed, total, accuracy }]
+ */
+function summarizeRuns(runs) {
+  const groups = new Map();
+  for (const run of runs) {
+    const key = `${run.provider}/${run.model}/${run.promptVersion}`;
+    const group = groups.get(key) || {
+      provider: run.provider,
+      model: run.model,
+      promptVersion: run.promptVersion,
+      runs: 0,
+      passed: 0,
+      total: 0,
+    };
+    group.runs += 1;
+    group.passed += run.passed;
+    group.total += run.total;
+    groups.set(key, group);
+  }
+  return [...groups.values()].map((group) => ({
+    ...group,
+    accuracy: group.total > 0 ? group.passed / group.total : 0,
+  }));
+}
+
+module.exports = {
+  loadCorpus,
+  matches,
+  checkPlan,
+  runCase,
+  runCorpus,
+  summarizeRuns,
+};
@@ -0,0 +1,159 @@
+/**
+ * Planner evaluation CLI (npm run eval)
+ *
+ * node eval/runEval.js [options]
+ *   --corpus <file>    Corpus to run (default: eval/corpus.jsonl)
+ *   --provider <name>  LLM provider (default: LLM_PROVIDER)
+ *   --model <name>     Model (default: LLM_MODEL)
+ *   --record <file>    Save the model's replies for --replay
+ *   --replay <file>    Answer from recorded replies instead of a model
+ *   --only <id,...>    Run only these cases
+ *   --report           Show logged accuracy per model and prompt version
+ *
+ * Each run is appended to EVAL_RESULTS_FILE (data/eval-results.jsonl).
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { LLM, PERSISTENCE } = require("../config/constants");
+const {
+  createProvider,
+  createFakeProvider,
+  loadFakeResponses,
+  createRecordingProvider,
+  saveRecording,
+} = require("../llm");
+const { PROMPT_VERSION, setProvider } = require("../brain");
+const { loadCorpus, runCorpus, summarizeRuns } = require("./evaluate");
+
+/**
+ * Parses --name value / --flag arguments
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object} - Options by name (flags are true)
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].replace(/^--/, "");
+    if (argv[i + 1] && !argv[i + 1].startsWith("--")) {
+      options[name] = argv[++i];
+    } else {
+      options[name] = true;
+    }
+  }
+  return options;
+}
+
+/**
+ * Prints logged accuracy per model and prompt version
+ */
+function printReport() {
+  if (!fs.existsSync(PERSISTENCE.evalResultsFile)) {
+    console.log("No evaluation runs logged yet.");
+    return;
+  }
+  const runs = fs
+    .readFileSync(PERSISTENCE.evalResultsFile, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+  for (const group of summarizeRuns(runs)) {
+    console.log(
+      `${group.provider}/${group.model} prompt v${group.promptVersion}: ` +
+        `${(group.accuracy * 100).toFixed(1)}% ` +
+        `(${group.passed}/${group.total} over ${group.runs} run(s))`
+    );
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.report) {
+    printReport();
+    return;
+  }
+
+  const corpusFile = options.corpus || path.join(__dirname, "corpus.jsonl");
+  let cases = loadCorpus(corpusFile);
+  if (options.only) {
+    const ids = options.only.split(",");
+    cases = cases.filter((testCase) => ids.includes(testCase.id));
+  }
+
+  let provider = options.replay
+    ? createFakeProvider({
+        ...loadFakeResponses(options.replay),
+        model: `replay:${path.basename(options.replay)}`,
+      })
+    : createProvider({
+        ...LLM,
+        provider: options.provider || LLM.provider,
+        model: options.model || LLM.model,
+      });
+  if (options.record) {
+    provider = createRecordingProvider(provider);
+  }
+  setProvider(provider);
+
+  console.log(
+    `[Eval] ${cases.length} case(s) from ${corpusFile} with ${provider.name}/${provider.model}, prompt v${PROMPT_VERSION}`
+  );
+
+  // The brain logs every step; keep the output to one line per case
+  const log = console.log;
+  const error = console.error;
+  const warn = console.warn;
+  console.log = console.error = console.warn = () => {};
+  const results = await runCorpus(cases, (result) => {
+    log(
+      `${result.passed ? "PASS" : "FAIL"} ${result.id} (${result.ms}ms): ${
+        result.command
+      }`
+    );
+    for (const failure of result.failures) {
+      log(`     ${failure}`);
+    }
+    if (!result.passed) {
+      log(`     Got: ${JSON.stringify(result.plan)}`);
+    }
+  });
+  Object.assign(console, { log, error, warn });
+
+  const passed = results.filter((result) => result.passed).length;
+  console.log(
+    `[Eval] ${passed}/${results.length} passed (${(
+      (passed / Math.max(results.length, 1)) *
+      100
+    ).toFixed(1)}%)`
+  );
+
+  if (options.record) {
+    saveRecording(provider.recordings, options.record);
+    console.log(`[Eval] Recorded replies to ${options.record}`);
+  }
+
+  fs.mkdirSync(path.dirname(PERSISTENCE.evalResultsFile), { recursive: true });
+  fs.appendFileSync(
+    PERSISTENCE.evalResultsFile,
+    JSON.stringify({
+      at: new Date().toISOString(),
+      corpus: path.basename(corpusFile),
+      provider: provider.name,
+      model: provider.model,
+      promptVersion: PROMPT_VERSION,
+      passed,
+      total: results.length,
+      failed: results
+        .filter((result) => !result.passed)
+        .map((result) => result.id),
+    }) + "\n"
+  );
+  process.exitCode = passed === results.length ? 0 : 1;
+}
+
+main().catch((error) => {
+  console.error(`[Eval] ${error.message}`);
+  process.exitCode = 1;
+});
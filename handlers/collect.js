@@ -2,13 +2,31 @@
  * Collection task handler
  */
 
-const { ITEM_TO_BLOCK_SOURCE } = require("../config/constants");
-const { completeCurrentTask, failTask } = require("../utils/queue");
+const {
+  completeCurrentTask,
+  failTask,
+  syncQueue,
+} = require("../utils/queue");
 const { getInventoryCount } = require("../utils/inventory");
+const {
+  abortable,
+  throwIfCancelled,
+  isCancellationError,
+} = require("../utils/cancellation");
 const {
   validateAndCorrectName,
   getSuggestions,
 } = require("../utils/blockNames");
+const {
+  findBestTool,
+  equipBestTool,
+  queueToolCraft,
+} = require("../utils/tools");
+const { exploreFor } = require("../utils/exploration");
+const {
+  getBlockSources,
+  getCollectedItem,
+} = require("../utils/blockSources");
 
 /**
  * Handles the 'collect' task - finds and gathers blocks
@@ -17,8 +35,9 @@ const {
  * @param {Object} mcData - Minecraft data instance
  * @param {Array} taskQueue - The task queue array
  * @param {Object} task - { type: 'collect', target: string, count: number }
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
  */
-async function handleCollect(bot, mcData, taskQueue, task) {
+async function handleCollect(bot, mcData, taskQueue, task, signal) {
   let { target, count = 1 } = task;
 
   console.log(`[Collect] === Starting collect task ===`);
@@ -36,7 +55,8 @@ async function handleCollect(bot, mcData, taskQueue, task) {
       failTask(
         bot,
         taskQueue,
-        `I don't know what "${target}" is.${suggestionMsg}`
+        `I don't know what "${target}" is.${suggestionMsg}`,
+        signal
       );
       return;
     }
@@ -47,50 +67,49 @@ async function handleCollect(bot, mcData, taskQueue, task) {
       target = validation.corrected;
     }
 
-    // Check if bot already has enough items in inventory
-    const currentCount = getInventoryCount(bot, target);
-    if (currentCount >= count) {
-      console.log(
-        `[Collect] Already have ${currentCount} ${target}, need ${count}. Skipping collection.`
-      );
-      completeCurrentTask(
+    // Every block that drops the item counts, e.g. "iron_ore" also means
+    // deepslate_iron_ore and "any_log" means every kind of log
+    const blockTypes = getBlockSources(target, mcData)
+      .map((name) => mcData.blocksByName[name])
+      .filter(Boolean);
+    if (blockTypes.length === 0) {
+      console.log(`[Collect] ERROR: No block drops "${target}"`);
+      failTask(
         bot,
         taskQueue,
-        `I already have ${currentCount} ${target}!`
+        `I don't know how to collect "${target}".`,
+        signal
       );
       return;
     }
+    const sourceNames = blockTypes.map((type) => type.name);
+    console.log(`[Collect] Mining any of: ${sourceNames.join(", ")}`);
 
-    const needed = count - currentCount;
-    console.log(
-      `[Collect] Have ${currentCount}, need ${count}, collecting ${needed} more`
-    );
-
-    // Check if this item needs to be obtained by mining a different block
-    const actualBlockToMine = ITEM_TO_BLOCK_SOURCE[target] || target;
-    if (actualBlockToMine !== target) {
-      console.log(
-        `[Collect] Item "${target}" is obtained by mining "${actualBlockToMine}"`
-      );
+    // Mining a block that doesn't drop itself gives something else, so
+    // that's what gets counted (raw_iron for iron_ore, not for wheat)
+    const item = getCollectedItem(target, mcData);
+    if (item !== target) {
+      console.log(`[Collect] Mining "${target}" gives "${item}"`);
     }
 
-    // Find the block type in minecraft-data
-    const blockType = mcData.blocksByName[actualBlockToMine];
-    if (!blockType) {
+    // Check if bot already has enough items in inventory
+    const currentCount = getInventoryCount(bot, item);
+    if (currentCount >= count) {
       console.log(
-        `[Collect] ERROR: Block type "${actualBlockToMine}" not found in mcData`
+        `[Collect] Already have ${currentCount} ${item}, need ${count}. Skipping collection.`
       );
-      console.log(
-        `[Collect] Available similar blocks:`,
-        Object.keys(mcData.blocksByName)
-          .filter((name) => name.includes(actualBlockToMine.split("_")[0]))
-          .slice(0, 10)
+      completeCurrentTask(
+        bot,
+        taskQueue,
+        `I already have ${currentCount} ${item}!`,
+        signal
       );
-      failTask(bot, taskQueue, `I don't know what "${target}" is.`);
       return;
     }
+
+    const needed = count - currentCount;
     console.log(
-      `[Collect] Block type found: ${blockType.name} (ID: ${blockType.id})`
+      `[Collect] Have ${currentCount}, need ${count}, collecting ${needed} more`
     );
 
     // Log bot position
@@ -109,7 +128,7 @@ async function handleCollect(bot, mcData, taskQueue, task) {
     for (const maxDist of distances) {
       console.log(`[Collect] Searching within ${maxDist} blocks...`);
       blocks = bot.findBlocks({
-        matching: blockType.id,
+        matching: blockTypes.map((type) => type.id),
         maxDistance: maxDist,
         count: needed, // Only collect what we need
       });
@@ -124,30 +143,56 @@ async function handleCollect(bot, mcData, taskQueue, task) {
       }
     }
 
+    // Nothing nearby - explore further afield before giving up
     if (blocks.length === 0) {
-      console.log(
-        `[Collect] ERROR: No ${target} found within any search distance`
-      );
-      failTask(bot, taskQueue, `I can't find any ${target} nearby.`);
-      return;
+      console.log(`[Collect] No ${target} nearby, exploring...`);
+      const exploration = await exploreFor(bot, blockTypes, {
+        count: needed,
+        signal,
+        onProgress: (message) => bot.chat(message),
+      });
+      blocks = exploration.blocks;
+
+      if (blocks.length === 0) {
+        console.log(
+          `[Collect] ERROR: No ${target} found after exploring ${exploration.explored} blocks out`
+        );
+        failTask(
+          bot,
+          taskQueue,
+          exploration.waypoints > 0
+            ? `I explored ${exploration.explored} blocks out but couldn't find any ${target}.`
+            : `I can't find any ${target} nearby.`,
+          signal
+        );
+        return;
+      }
     }
 
     // Sort blocks by distance (closest first) to reduce pathfinding issues
+    const searchPos = bot.entity.position;
     blocks.sort((a, b) => {
-      const distA = botPos.distanceTo(a);
-      const distB = botPos.distanceTo(b);
+      const distA = searchPos.distanceTo(a);
+      const distB = searchPos.distanceTo(b);
       return distA - distB;
     });
 
     // Log closest block info
     const closestBlock = blocks[0];
-    const closestDist = botPos.distanceTo(closestBlock);
+    const closestDist = searchPos.distanceTo(closestBlock);
     console.log(
       `[Collect] Closest ${target} at: x=${closestBlock.x}, y=${
         closestBlock.y
       }, z=${closestBlock.z} (distance: ${closestDist.toFixed(1)})`
     );
 
+    // Digging without a tool that can harvest it would drop nothing
+    const closest = bot.blockAt(closestBlock);
+    if (closest && !findBestTool(bot, closest, mcData).canHarvest) {
+      queueToolCraft(bot, mcData, taskQueue, closest, signal);
+      return;
+    }
+
     bot.chat(`Found ${blocks.length} ${target}. Collecting...`);
 
     // Get the actual block objects
@@ -158,7 +203,12 @@ async function handleCollect(bot, mcData, taskQueue, task) {
       console.log(
         `[Collect] ERROR: All block positions returned null from bot.blockAt()`
       );
-      failTask(bot, taskQueue, `Found ${target} but couldn't access them.`);
+      failTask(
+        bot,
+        taskQueue,
+        `Found ${target} but couldn't access them.`,
+        signal
+      );
       return;
     }
 
@@ -166,8 +216,10 @@ async function handleCollect(bot, mcData, taskQueue, task) {
     let collected = 0;
     let attempted = 0;
     for (const block of targetBlocks) {
+      throwIfCancelled(signal);
+
       // Check if we have enough now
-      const currentHave = getInventoryCount(bot, target);
+      const currentHave = getInventoryCount(bot, item);
       if (currentHave >= count) {
         console.log(
           `[Collect] Have enough now (${currentHave} >= ${count}), stopping collection`
@@ -180,15 +232,35 @@ async function handleCollect(bot, mcData, taskQueue, task) {
         `[Collect] Attempting block ${attempted}/${targetBlocks.length}: ${block.name} at (${block.position.x}, ${block.position.y}, ${block.position.z})`
       );
 
+      // The tool may have broken on the last block
+      const { canHarvest } = await abortable(
+        equipBestTool(bot, block, mcData),
+        signal
+      );
+      if (!canHarvest) {
+        queueToolCraft(bot, mcData, taskQueue, block, signal);
+        return;
+      }
+
       try {
         console.log(`[Collect] Calling collectBlock.collect()...`);
-        await bot.collectBlock.collect(block, {
-          ignoreNoPath: false,
-          timeout: 10000, // 10 second timeout per block
-        });
+        await abortable(
+          bot.collectBlock.collect(block, {
+            ignoreNoPath: false,
+            timeout: 10000, // 10 second timeout per block
+          }),
+          signal
+        );
+        // collectBlock resolves quietly when its pathing is stopped
+        throwIfCancelled(signal);
         collected++;
         console.log(`[Collect] Successfully collected! (${collected} total)`);
+
+        // Record progress on the task so a checkpoint reflects partial work
+        task.progress = { have: getInventoryCount(bot, item), count };
+        syncQueue(taskQueue);
       } catch (collectError) {
+        if (isCancellationError(collectError)) throw collectError;
         console.log(`[Collect] Collection failed: ${collectError.message}`);
         console.log(
           `[Collect] Error stack:`,
@@ -211,7 +283,7 @@ async function handleCollect(bot, mcData, taskQueue, task) {
       }
     }
 
-    const finalCount = getInventoryCount(bot, target);
+    const finalCount = getInventoryCount(bot, item);
     console.log(
       `[Collect] === Collection complete: ${collected}/${attempted} blocks, now have ${finalCount} total ===`
     );
@@ -220,17 +292,23 @@ async function handleCollect(bot, mcData, taskQueue, task) {
       completeCurrentTask(
         bot,
         taskQueue,
-        `Collected ${collected} ${target}! Now have ${finalCount} total.`
+        `Collected ${collected} ${target}! Now have ${finalCount} total.`,
+        signal
       );
     } else {
       console.log(`[Collect] ERROR: Failed to collect any blocks`);
       failTask(
         bot,
         taskQueue,
-        `Couldn't reach any ${target}. They might be blocked.`
+        `Couldn't reach any ${target}. They might be blocked.`,
+        signal
       );
     }
   } catch (error) {
+    if (isCancellationError(error)) {
+      console.log(`[Collect] Cancelled: ${error.message}`);
+      return;
+    }
     console.error("[Collect] FATAL ERROR:", error.message);
     console.error("[Collect] Error stack:", error.stack);
 
@@ -243,10 +321,16 @@ async function handleCollect(bot, mcData, taskQueue, task) {
       failTask(
         bot,
         taskQueue,
-        `Can't find a path to ${target}. Try moving closer or to open ground.`
+        `Can't find a path to ${target}. Try moving closer or to open ground.`,
+        signal
       );
     } else {
-      failTask(bot, taskQueue, `Failed to collect ${target}: ${error.message}`);
+      failTask(
+        bot,
+        taskQueue,
+        `Failed to collect ${target}: ${error.message}`,
+        signal
+      );
     }
   }
 }
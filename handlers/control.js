@@ -0,0 +1,194 @@
+/**
+ * Control-flow task handlers (repeat, if, wait)
+ * These don't act in the world themselves: they queue their nested tasks
+ * or wait for a condition.
+ */
+
+const {
+  completeCurrentTask,
+  failTask,
+  insertTasksAtFront,
+  expandCurrentTask,
+  toTaskSpec,
+  syncQueue,
+} = require("../utils/queue");
+const { sleep, isCancellationError } = require("../utils/cancellation");
+const { getInventoryCount } = require("../utils/inventory");
+const { getCollectedItem } = require("../utils/blockSources");
+const {
+  evaluateCondition,
+  describeCondition,
+} = require("../utils/conditions");
+const { CONTROL } = require("../config/constants");
+
+/**
+ * Makes fresh copies of nested task definitions so each run gets its own
+ * IDs and state
+ * @param {Array} tasks - The nested task definitions
+ * @param {Object} parent - The control task they belong to
+ * @returns {Array} - New tasks to queue
+ */
+function cloneBody(tasks, parent) {
+  return (tasks || []).map((task) => {
+    const copy = structuredClone(toTaskSpec(task));
+    if (parent.issuedBy) copy.issuedBy = parent.issuedBy;
+    return copy;
+  });
+}
+
+/**
+ * Makes the counts of collect, mine and craft tasks relative to what the
+ * bot has when an iteration starts. Their handlers treat `count` as the
+ * total to have, so otherwise every iteration after the first would be
+ * done before it started. Nested repeats do this for themselves.
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Array} tasks - Freshly cloned tasks, changed in place
+ */
+function addStartingCounts(bot, mcData, tasks) {
+  for (const task of tasks || []) {
+    if (task.type === "if") {
+      addStartingCounts(bot, mcData, task.then);
+      addStartingCounts(bot, mcData, task.else);
+      continue;
+    }
+    if (!["collect", "mine", "craft"].includes(task.type) || !task.target) {
+      continue;
+    }
+    const item =
+      task.type === "craft"
+        ? task.target
+        : getCollectedItem(task.target, mcData);
+    task.count = (task.count || 1) + getInventoryCount(bot, item);
+  }
+}
+
+/**
+ * Handles the 'repeat' task - queues its body in front of itself until it
+ * has run `times` times or the `until` condition holds. The repeat task
+ * stays in the queue between iterations. Collect, mine and craft counts
+ * in the body are per iteration ("repeat 3 times: collect 10 oak_log"
+ * gets 30).
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Array} taskQueue - The task queue array
+ * @param {Object} task - { type: 'repeat', tasks: [...], times?, until? }
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ */
+async function handleRepeat(bot, mcData, taskQueue, task, signal) {
+  const iteration = task.progress?.iteration || 0;
+  const limit = task.times || CONTROL.maxRepeatIterations;
+
+  if (task.until && evaluateCondition(bot, task.until)) {
+    completeCurrentTask(
+      bot,
+      taskQueue,
+      `Done repeating: ${describeCondition(task.until)}.`,
+      signal
+    );
+    return;
+  }
+
+  if (iteration >= limit) {
+    if (task.until) {
+      failTask(
+        bot,
+        taskQueue,
+        `Gave up after ${iteration} repeats: ${describeCondition(
+          task.until
+        )} never happened.`,
+        signal
+      );
+    } else {
+      completeCurrentTask(
+        bot,
+        taskQueue,
+        `Repeated ${iteration} times.`,
+        signal
+      );
+    }
+    return;
+  }
+
+  const body = cloneBody(task.tasks, task);
+  addStartingCounts(bot, mcData, body);
+  if (!insertTasksAtFront(taskQueue, body, signal)) return;
+
+  task.progress = { iteration: iteration + 1, times: task.times || null };
+  syncQueue(taskQueue);
+  console.log(
+    `[Control] Repeat iteration ${iteration + 1}${
+      task.times ? `/${task.times}` : ""
+    }: queued ${body.length} task(s)`
+  );
+}
+
+/**
+ * Handles the 'if' task - replaces itself with the `then` or `else` tasks
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Array} taskQueue - The task queue array
+ * @param {Object} task - { type: 'if', condition, then: [...], else?: [...] }
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ */
+async function handleIf(bot, taskQueue, task, signal) {
+  const result = evaluateCondition(bot, task.condition);
+  const branch = result ? task.then : task.else;
+
+  console.log(
+    `[Control] "${describeCondition(task.condition)}" is ${result}, running ${
+      (branch || []).length
+    } task(s)`
+  );
+  expandCurrentTask(bot, taskQueue, cloneBody(branch, task), null, signal);
+}
+
+/**
+ * Handles the 'wait' task - waits for a number of seconds, or until a
+ * condition holds (failing after `timeoutSeconds`)
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Array} taskQueue - The task queue array
+ * @param {Object} task - { type: 'wait', seconds?, until?, timeoutSeconds? }
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ */
+async function handleWait(bot, taskQueue, task, signal) {
+  try {
+    if (!task.until) {
+      await sleep(task.seconds * 1000, signal);
+      completeCurrentTask(bot, taskQueue, null, signal);
+      return;
+    }
+
+    const timeoutSeconds =
+      task.timeoutSeconds || CONTROL.defaultWaitTimeoutSeconds;
+    const deadline = Date.now() + timeoutSeconds * 1000;
+    const description = describeCondition(task.until);
+
+    while (!evaluateCondition(bot, task.until)) {
+      if (Date.now() >= deadline) {
+        failTask(
+          bot,
+          taskQueue,
+          `Waited ${timeoutSeconds}s but ${description} never happened.`,
+          signal
+        );
+        return;
+      }
+      await sleep(CONTROL.waitPollMs, signal);
+    }
+
+    completeCurrentTask(bot, taskQueue, null, signal);
+  } catch (error) {
+    if (isCancellationError(error)) {
+      console.log(`[Control] Cancelled: ${error.message}`);
+      return;
+    }
+    console.error("[Control] Wait error:", error.message);
+    failTask(bot, taskQueue, `Wait failed: ${error.message}`, signal);
+  }
+}
+
+module.exports = {
+  handleRepeat,
+  handleIf,
+  handleWait,
+};
@@ -2,7 +2,11 @@
  * Crafting task handler
  */
 
-const { completeCurrentTask, failTask, syncQueue } = require("../utils/queue");
+const {
+  completeCurrentTask,
+  failTask,
+  insertTasksAtFront,
+} = require("../utils/queue");
 const { getInventoryCount } = require("../utils/inventory");
 const {
   validateAndCorrectName,
@@ -12,6 +16,10 @@ const {
   validateCraftRequest,
   resolveAllDependencies,
 } = require("../utils/recipes");
+const {
+  throwIfCancelled,
+  isCancellationError,
+} = require("../utils/cancellation");
 
 /**
  * Builds an inventory map from the bot's current inventory
@@ -34,8 +42,9 @@ function buildInventoryMap(bot) {
  * @param {Object} mcData - Minecraft data instance
  * @param {Array} taskQueue - The task queue array
  * @param {Object} task - { type: 'craft', target: string, count: number }
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
  */
-async function handleCraft(bot, mcData, taskQueue, task) {
+async function handleCraft(bot, mcData, taskQueue, task, signal) {
   let { target, count = 1 } = task;
 
   try {
@@ -50,7 +59,8 @@ async function handleCraft(bot, mcData, taskQueue, task) {
       failTask(
         bot,
         taskQueue,
-        `I don't know what "${target}" is.${suggestionMsg}`
+        `I don't know what "${target}" is.${suggestionMsg}`,
+        signal
       );
       return;
     }
@@ -64,14 +74,19 @@ async function handleCraft(bot, mcData, taskQueue, task) {
     // Validate that this item can be crafted
     const craftValidation = validateCraftRequest(target, mcData);
     if (!craftValidation.valid) {
-      failTask(bot, taskQueue, craftValidation.message);
+      failTask(bot, taskQueue, craftValidation.message, signal);
       return;
     }
 
     // Find the item in minecraft-data
     const item = mcData.itemsByName[target];
     if (!item) {
-      failTask(bot, taskQueue, `I don't know how to craft "${target}".`);
+      failTask(
+        bot,
+        taskQueue,
+        `I don't know how to craft "${target}".`,
+        signal
+      );
       return;
     }
 
@@ -91,7 +106,8 @@ async function handleCraft(bot, mcData, taskQueue, task) {
       completeCurrentTask(
         bot,
         taskQueue,
-        `I already have ${currentCount} ${target}!`
+        `I already have ${currentCount} ${target}!`,
+        signal
       );
       return;
     }
@@ -109,7 +125,12 @@ async function handleCraft(bot, mcData, taskQueue, task) {
     );
 
     if (!resolution.feasible) {
-      failTask(bot, taskQueue, `Can't craft ${target}: ${resolution.reason}`);
+      failTask(
+        bot,
+        taskQueue,
+        `Can't craft ${target}: ${resolution.reason}`,
+        signal
+      );
       return;
     }
 
@@ -141,19 +162,17 @@ async function handleCraft(bot, mcData, taskQueue, task) {
       }
       bot.chat(message);
 
-      // Remove current task from queue (it's at position 0)
-      taskQueue.shift();
-
-      // Insert all prerequisite tasks plus the original craft task
-      // The original task goes at the end (after prerequisites)
-      const allTasks = [...prerequisiteTasks, { type: "craft", target, count }];
-      for (let i = allTasks.length - 1; i >= 0; i--) {
-        taskQueue.unshift(allTasks[i]);
+      // Queue the prerequisites as this task's dependencies; the original
+      // craft task stays queued (keeping its ID) and runs again once
+      // they are done
+      task.target = target;
+      const { requires } = resolution.tasks[resolution.tasks.length - 1];
+      if (
+        !insertTasksAtFront(taskQueue, prerequisiteTasks, signal, requires)
+      ) {
+        return;
       }
 
-      // Sync the queue
-      syncQueue(taskQueue);
-
       console.log(
         `[Craft] Added ${prerequisiteTasks.length} prerequisite tasks for ${target}`
       );
@@ -208,8 +227,11 @@ async function handleCraft(bot, mcData, taskQueue, task) {
         if (tableInInventory) {
           // Insert place task before this craft task
           bot.chat(`I need to place my crafting table first...`);
-          taskQueue.unshift({ type: "place", target: "crafting_table" });
-          syncQueue(taskQueue);
+          insertTasksAtFront(
+            taskQueue,
+            [{ type: "place", target: "crafting_table" }],
+            signal
+          );
           return; // Will retry craft after placing
         } else {
           // Need to make a crafting table first - use the resolver
@@ -227,10 +249,7 @@ async function handleCraft(bot, mcData, taskQueue, task) {
               ...tableResolution.tasks,
               { type: "place", target: "crafting_table" },
             ];
-            for (let i = tableTasks.length - 1; i >= 0; i--) {
-              taskQueue.unshift(tableTasks[i]);
-            }
-            syncQueue(taskQueue);
+            insertTasksAtFront(taskQueue, tableTasks, signal);
             return;
           } else {
             failTask(
@@ -238,13 +257,14 @@ async function handleCraft(bot, mcData, taskQueue, task) {
               taskQueue,
               `Can't make a crafting table: ${
                 tableResolution.reason || "unknown error"
-              }`
+              }`,
+              signal
             );
             return;
           }
         }
       }
-      failTask(bot, taskQueue, `I don't have a recipe for ${target}.`);
+      failTask(bot, taskQueue, `I don't have a recipe for ${target}.`, signal);
       return;
     }
 
@@ -260,14 +280,18 @@ async function handleCraft(bot, mcData, taskQueue, task) {
           .find((i) => i.name === "crafting_table");
         if (tableInInventory) {
           bot.chat(`I need to place my crafting table first...`);
-          taskQueue.unshift({ type: "place", target: "crafting_table" });
-          syncQueue(taskQueue);
+          insertTasksAtFront(
+            taskQueue,
+            [{ type: "place", target: "crafting_table" }],
+            signal
+          );
           return;
         } else {
           failTask(
             bot,
             taskQueue,
-            `I need a crafting table to craft ${target}, but I don't have one.`
+            `I need a crafting table to craft ${target}, but I don't have one.`,
+            signal
           );
           return;
         }
@@ -281,12 +305,11 @@ async function handleCraft(bot, mcData, taskQueue, task) {
       if (distToTable > 4) {
         // Only move if actually far away - prevents infinite loop
         bot.chat(`Moving closer to crafting table...`);
-        taskQueue.unshift({
-          type: "move",
-          block: "crafting_table",
-          radius: 3,
-        });
-        syncQueue(taskQueue);
+        insertTasksAtFront(
+          taskQueue,
+          [{ type: "move", block: "crafting_table", radius: 3 }],
+          signal
+        );
         return; // Will retry craft after moving
       }
     } else {
@@ -306,7 +329,12 @@ async function handleCraft(bot, mcData, taskQueue, task) {
       console.log(
         `[Craft] Already have ${finalInventoryCount} ${target} (needed ${count}), skipping`
       );
-      completeCurrentTask(bot, taskQueue, `Already have enough ${target}!`);
+      completeCurrentTask(
+        bot,
+        taskQueue,
+        `Already have enough ${target}!`,
+        signal
+      );
       return;
     }
 
@@ -326,11 +354,21 @@ async function handleCraft(bot, mcData, taskQueue, task) {
 
     // Perform the crafting
     // recipeExecutions = number of times to run the recipe
+    throwIfCancelled(signal);
     await bot.craft(recipe, recipeExecutions, craftingTable);
 
     const actualOutput = recipeExecutions * outputPerRecipe;
-    completeCurrentTask(bot, taskQueue, `Crafted ${actualOutput} ${target}!`);
+    completeCurrentTask(
+      bot,
+      taskQueue,
+      `Crafted ${actualOutput} ${target}!`,
+      signal
+    );
   } catch (error) {
+    if (isCancellationError(error)) {
+      console.log(`[Craft] Cancelled: ${error.message}`);
+      return;
+    }
     console.error("[Craft] Craft error:", error.message);
 
     // Check if error is about missing materials (try to recover)
@@ -341,7 +379,12 @@ async function handleCraft(bot, mcData, taskQueue, task) {
       bot.chat(`Hmm, crafting failed. Let me check what I need...`);
     }
 
-    failTask(bot, taskQueue, `Failed to craft ${target}: ${error.message}`);
+    failTask(
+      bot,
+      taskQueue,
+      `Failed to craft ${target}: ${error.message}`,
+      signal
+    );
   }
 }
 
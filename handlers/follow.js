@@ -4,6 +4,7 @@
 
 const { GoalFollow } = require("mineflayer-pathfinder").goals;
 const { failTask } = require("../utils/queue");
+const { waitForCancellation } = require("../utils/cancellation");
 
 /**
  * Handles the 'follow' task - continuously follows a player
@@ -11,12 +12,13 @@ const { failTask } = require("../utils/queue");
  * @param {Object} bot - The mineflayer bot instance
  * @param {Array} taskQueue - The task queue array
  * @param {Object} task - { type: 'follow', player: string }
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
  */
-async function handleFollow(bot, taskQueue, task) {
+async function handleFollow(bot, taskQueue, task, signal) {
   try {
     const targetPlayer = bot.players[task.player];
     if (!targetPlayer || !targetPlayer.entity) {
-      failTask(bot, taskQueue, `I can't see player "${task.player}".`);
+      failTask(bot, taskQueue, `I can't see player "${task.player}".`, signal);
       return;
     }
 
@@ -26,10 +28,12 @@ async function handleFollow(bot, taskQueue, task) {
     bot.chat(`Following ${task.player}!`);
 
     // Note: Follow task stays in queue - it's continuous until interrupted
-    // We don't call completeCurrentTask() here
+    // We don't call completeCurrentTask(), just keep following until cancelled
+    // (the supervisor stops the pathfinder goal when it cancels the task)
+    await waitForCancellation(signal);
   } catch (error) {
     console.error("[Body] Follow error:", error.message);
-    failTask(bot, taskQueue, `I couldn't follow: ${error.message}`);
+    failTask(bot, taskQueue, `I couldn't follow: ${error.message}`, signal);
   }
 }
 
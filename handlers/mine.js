@@ -0,0 +1,477 @@
+/**
+ * Mining task handler
+ * Digs a staircase down to the level where an ore is common, then branch
+ * mines: a main tunnel with side branches every few blocks, picking up the
+ * requested ore wherever the tunnels uncover it. Steps that would open onto
+ * water or lava are avoided, torches are placed along the way, and the bot
+ * walks back to where it started when done or when its inventory is full.
+ */
+
+const { Vec3 } = require("vec3");
+const { GoalBlock, GoalNear } = require("mineflayer-pathfinder").goals;
+const { ORE_Y_LEVELS, MINING } = require("../config/constants");
+const {
+  completeCurrentTask,
+  failTask,
+  syncQueue,
+} = require("../utils/queue");
+const { getInventoryCount } = require("../utils/inventory");
+const {
+  abortable,
+  throwIfCancelled,
+  isCancellationError,
+} = require("../utils/cancellation");
+const {
+  validateAndCorrectName,
+  getSuggestions,
+} = require("../utils/blockNames");
+const {
+  findBestTool,
+  equipBestTool,
+  queueToolCraft,
+} = require("../utils/tools");
+const { gotoWithin } = require("../utils/exploration");
+const {
+  getBlockSources,
+  getCollectedItem,
+} = require("../utils/blockSources");
+
+// Horizontal directions, in clockwise order
+const DIRECTIONS = [
+  new Vec3(0, 0, -1),
+  new Vec3(1, 0, 0),
+  new Vec3(0, 0, 1),
+  new Vec3(-1, 0, 0),
+];
+
+const LIQUIDS = ["water", "lava", "bubble_column"];
+
+/**
+ * Gets the horizontal direction the bot is facing
+ * @param {Object} bot - The mineflayer bot instance
+ * @returns {number} - Index into DIRECTIONS
+ */
+function getFacing(bot) {
+  const { yaw } = bot.entity;
+  const x = -Math.sin(yaw);
+  const z = -Math.cos(yaw);
+  let best = 0;
+  DIRECTIONS.forEach((direction, i) => {
+    const dot = direction.x * x + direction.z * z;
+    const bestDot = DIRECTIONS[best].x * x + DIRECTIONS[best].z * z;
+    if (dot > bestDot) best = i;
+  });
+  return best;
+}
+
+/**
+ * Checks whether digging out a position would let water or lava in
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Vec3} pos - The position to dig
+ * @returns {boolean} - True if it or a neighbouring block is a liquid
+ */
+function isNearLiquid(bot, pos) {
+  const around = [
+    new Vec3(0, 0, 0),
+    new Vec3(0, 1, 0),
+    new Vec3(0, -1, 0),
+    ...DIRECTIONS,
+  ];
+  return around.some((offset) => {
+    const block = bot.blockAt(pos.plus(offset));
+    return !!block && LIQUIDS.includes(block.name);
+  });
+}
+
+/**
+ * Checks whether a block can be walked on
+ * @param {Object|null} block - The block
+ * @returns {boolean} - True if it is solid
+ */
+function isSolid(block) {
+  return !!block && block.boundingBox === "block";
+}
+
+/**
+ * Digs the block at a position, with the best tool for it
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Vec3} pos - The position to dig
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ * @returns {Promise<boolean>} - False if it can't be dug (e.g. bedrock)
+ */
+async function digAt(bot, mcData, pos, signal) {
+  const block = bot.blockAt(pos);
+  if (!block) return false;
+  if (block.boundingBox === "empty") return true;
+  if (!block.diggable || block.hardness < 0) return false;
+
+  await abortable(equipBestTool(bot, block, mcData), signal);
+  await abortable(bot.dig(block), signal);
+  throwIfCancelled(signal);
+  return true;
+}
+
+/**
+ * Works out one step forward (and one down, on the staircase)
+ * @param {Vec3} feet - The block the bot stands in
+ * @param {Vec3} direction - Direction to dig in
+ * @param {boolean} down - Whether to step down as well
+ * @returns {Object} - { next: where the bot ends up, toClear: the blocks
+ *   to dig out, top first }
+ */
+function planStep(feet, direction, down) {
+  const next = feet.plus(direction).offset(0, down ? -1 : 0, 0);
+
+  // Stepping down needs head room at the current level as well
+  const toClear = [next.offset(0, 1, 0), next];
+  if (down) toClear.unshift(next.offset(0, 2, 0));
+  return { next, toClear };
+}
+
+/**
+ * Digs one step forward (and one down, on the staircase) and walks into it
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Vec3} direction - Direction to dig in
+ * @param {boolean} down - Whether to step down as well
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ * @returns {Promise<boolean>} - False if the step is unsafe or blocked
+ */
+async function digStep(bot, mcData, direction, down, signal) {
+  const { next, toClear } = planStep(
+    bot.entity.position.floored(),
+    direction,
+    down
+  );
+
+  if (toClear.some((pos) => isNearLiquid(bot, pos))) {
+    console.log(`[Mine] Liquid next to ${next}, not digging there`);
+    return false;
+  }
+  // Don't step over a drop into a cave
+  if (!isSolid(bot.blockAt(next.offset(0, -1, 0)))) {
+    console.log(`[Mine] No floor at ${next}, not digging there`);
+    return false;
+  }
+
+  for (const pos of toClear) {
+    if (!(await digAt(bot, mcData, pos, signal))) {
+      console.log(`[Mine] Can't dig ${bot.blockAt(pos)?.name} at ${pos}`);
+      return false;
+    }
+  }
+  return gotoWithin(
+    bot,
+    new GoalBlock(next.x, next.y, next.z),
+    MINING.stepTimeoutMs,
+    signal
+  );
+}
+
+/**
+ * Places a torch on the floor behind the bot, if it has one
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Vec3} direction - Direction the bot is digging in
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ */
+async function placeTorch(bot, direction, signal) {
+  const torch = bot.inventory.items().find((item) => item.name === "torch");
+  if (!torch) return;
+
+  const behind = bot.entity.position.floored().minus(direction);
+  const floor = bot.blockAt(behind.offset(0, -1, 0));
+  const spot = bot.blockAt(behind);
+  if (!isSolid(floor) || !spot || spot.name !== "air") return;
+
+  try {
+    await abortable(bot.equip(torch, "hand"), signal);
+    await abortable(bot.placeBlock(floor, new Vec3(0, 1, 0)), signal);
+  } catch (error) {
+    if (isCancellationError(error)) throw error;
+    console.log(`[Mine] Couldn't place a torch: ${error.message}`);
+  }
+}
+
+/**
+ * Digs out ores of the requested type close to the bot, then returns to
+ * the tunnel
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Array<number>} oreIds - Block IDs of the ore and its variants
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ * @returns {Promise<number>} - How many ore blocks were dug
+ */
+async function mineNearbyOres(bot, mcData, oreIds, signal) {
+  const positions = bot.findBlocks({
+    matching: oreIds,
+    maxDistance: MINING.oreScanRadius,
+    count: 16,
+  });
+  if (positions.length === 0) return 0;
+
+  const tunnel = bot.entity.position.floored();
+  let mined = 0;
+  for (const pos of positions) {
+    throwIfCancelled(signal);
+    const block = bot.blockAt(pos);
+    if (!block || !oreIds.includes(block.type) || isNearLiquid(bot, pos)) {
+      continue;
+    }
+    try {
+      await abortable(equipBestTool(bot, block, mcData), signal);
+      await abortable(
+        bot.collectBlock.collect(block, { ignoreNoPath: true }),
+        signal
+      );
+      throwIfCancelled(signal);
+      mined++;
+      console.log(`[Mine] Mined ${block.name} at ${pos}`);
+    } catch (error) {
+      if (isCancellationError(error)) throw error;
+      console.log(`[Mine] Couldn't mine ${block.name}: ${error.message}`);
+    }
+  }
+
+  await gotoWithin(
+    bot,
+    new GoalBlock(tunnel.x, tunnel.y, tunnel.z),
+    MINING.stepTimeoutMs,
+    signal
+  );
+  return mined;
+}
+
+/**
+ * Gets the ore block to mine for a target and the item it drops
+ * @param {string} target - An ore block or the item it drops
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Object|null} - { blockType, oreIds: every block that drops the
+ *   same item (e.g. the ore and its deepslate variant), drop: item name to
+ *   count }, or null if no block drops it
+ */
+function getOreInfo(target, mcData) {
+  const drop = getCollectedItem(target, mcData);
+  const sources = getBlockSources(target, mcData);
+  if (sources.length === 0) return null;
+
+  // Asking for a particular variant sets the level to dig down to
+  const blockType = mcData.blocksByName[sources[0]];
+  const oreIds = sources.map((name) => mcData.blocksByName[name].id);
+  return { blockType, oreIds, drop };
+}
+
+/**
+ * Gets the level to branch mine at: the one the task asks for, or where the
+ * ore is most common, but clear of the bedrock at the bottom of the world
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} blockType - The ore's minecraft-data block type
+ * @param {Object} task - The mine task (its optional y sets the level)
+ * @returns {number} - The Y level
+ */
+function getMiningLevel(bot, blockType, task) {
+  const lowestY = (bot.game?.minY ?? 0) + 5;
+  const levelY =
+    task.y ?? ORE_Y_LEVELS[blockType.name] ?? bot.entity.position.y;
+  return Math.max(lowestY, Math.floor(levelY));
+}
+
+/**
+ * Handles the 'mine' task - staircase down, then branch mine for an ore
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Array} taskQueue - The task queue array
+ * @param {Object} task - { type: 'mine', target: string, count?: number,
+ *   y?: number, branches?: number, length?: number }
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ */
+async function handleMine(bot, mcData, taskQueue, task, signal) {
+  let { target, count = 1 } = task;
+
+  console.log(`[Mine] === Starting mine task ===`);
+  console.log(`[Mine] Target: ${target}, Count: ${count}`);
+
+  try {
+    const validation = validateAndCorrectName(target, mcData);
+    if (!validation.valid) {
+      const suggestions = getSuggestions(target, mcData);
+      const suggestionMsg =
+        suggestions.length > 0
+          ? ` Did you mean: ${suggestions.join(", ")}?`
+          : "";
+      failTask(
+        bot,
+        taskQueue,
+        `I don't know what "${target}" is.${suggestionMsg}`,
+        signal
+      );
+      return;
+    }
+    target = validation.corrected;
+
+    const ore = getOreInfo(target, mcData);
+    if (!ore) {
+      failTask(bot, taskQueue, `${target} isn't something I can mine.`, signal);
+      return;
+    }
+    const { blockType, oreIds, drop } = ore;
+
+    if (getInventoryCount(bot, drop) >= count) {
+      completeCurrentTask(
+        bot,
+        taskQueue,
+        `I already have ${getInventoryCount(bot, drop)} ${drop}!`,
+        signal
+      );
+      return;
+    }
+
+    // Make a pickaxe that can harvest the ore before going down
+    if (!findBestTool(bot, blockType, mcData).canHarvest) {
+      queueToolCraft(bot, mcData, taskQueue, blockType, signal);
+      return;
+    }
+
+    const targetY = getMiningLevel(bot, blockType, task);
+    const branches = task.branches || MINING.branchCount;
+    const length = task.length || MINING.branchLength;
+    const start = bot.entity.position.floored();
+    let facing = getFacing(bot);
+    let dug = 0;
+    let mined = 0;
+
+    const inventoryFull = () => bot.inventory.emptySlotCount() === 0;
+    const done = () => getInventoryCount(bot, drop) >= count;
+    const afterStep = async (direction) => {
+      dug++;
+      if (dug % MINING.torchInterval === 0) {
+        await placeTorch(bot, direction, signal);
+      }
+      mined += await mineNearbyOres(bot, mcData, oreIds, signal);
+      task.progress = {
+        have: getInventoryCount(bot, drop),
+        count,
+        y: Math.floor(bot.entity.position.y),
+      };
+      syncQueue(taskQueue);
+    };
+
+    // Staircase down, turning away from water, lava and drops
+    if (bot.entity.position.y > targetY) {
+      bot.chat(`Digging down to y=${targetY} to mine ${blockType.name}...`);
+    }
+    let turns = 0;
+    while (bot.entity.position.y > targetY && !done() && !inventoryFull()) {
+      throwIfCancelled(signal);
+      if (await digStep(bot, mcData, DIRECTIONS[facing], true, signal)) {
+        turns = 0;
+        await afterStep(DIRECTIONS[facing]);
+        continue;
+      }
+      facing = (facing + 1) % DIRECTIONS.length;
+      if (++turns >= DIRECTIONS.length) {
+        bot.chat(
+          `I can't dig any deeper here, branch mining at y=${Math.floor(
+            bot.entity.position.y
+          )}.`
+        );
+        break;
+      }
+    }
+
+    // Main tunnel with a branch to each side every few blocks
+    const main = DIRECTIONS[facing];
+    const sides = [
+      DIRECTIONS[(facing + 1) % DIRECTIONS.length],
+      DIRECTIONS[(facing + 3) % DIRECTIONS.length],
+    ];
+    for (let branch = 1; branch <= branches; branch++) {
+      if (done() || inventoryFull()) break;
+      console.log(`[Mine] Branch ${branch}/${branches}`);
+
+      let blocked = false;
+      for (let i = 0; i < MINING.branchSpacing && !blocked; i++) {
+        throwIfCancelled(signal);
+        blocked = !(await digStep(bot, mcData, main, false, signal));
+        if (!blocked) await afterStep(main);
+      }
+      if (blocked) {
+        bot.chat("The tunnel is blocked, stopping here.");
+        break;
+      }
+
+      const junction = bot.entity.position.floored();
+      for (const side of sides) {
+        for (let i = 0; i < length && !done() && !inventoryFull(); i++) {
+          throwIfCancelled(signal);
+          if (!(await digStep(bot, mcData, side, false, signal))) break;
+          await afterStep(side);
+        }
+        await gotoWithin(
+          bot,
+          new GoalBlock(junction.x, junction.y, junction.z),
+          MINING.stepTimeoutMs * 2,
+          signal
+        );
+      }
+    }
+
+    if (inventoryFull()) bot.chat("My inventory is full.");
+    bot.chat("Heading back up...");
+    const returned = await gotoWithin(
+      bot,
+      new GoalNear(start.x, start.y, start.z, 2),
+      MINING.returnTimeoutMs,
+      signal
+    );
+    if (!returned) console.log("[Mine] Couldn't walk back to the start");
+
+    const finalCount = getInventoryCount(bot, drop);
+    console.log(
+      `[Mine] === Mining complete: ${mined} ore blocks, ${dug} blocks dug, now have ${finalCount} ${drop} ===`
+    );
+    if (finalCount >= count) {
+      completeCurrentTask(
+        bot,
+        taskQueue,
+        `Mined ${mined} ${blockType.name}! Now have ${finalCount} ${drop}.`,
+        signal
+      );
+    } else if (mined > 0) {
+      failTask(
+        bot,
+        taskQueue,
+        `I only have ${finalCount}/${count} ${drop} after digging ${dug} blocks of tunnel.`,
+        signal
+      );
+    } else {
+      failTask(
+        bot,
+        taskQueue,
+        `I dug ${dug} blocks of tunnel but didn't find any ${blockType.name}.`,
+        signal
+      );
+    }
+  } catch (error) {
+    if (isCancellationError(error)) {
+      console.log(`[Mine] Cancelled: ${error.message}`);
+      return;
+    }
+    console.error("[Mine] FATAL ERROR:", error.message);
+    failTask(
+      bot,
+      taskQueue,
+      `Failed to mine ${target}: ${error.message}`,
+      signal
+    );
+  }
+}
+
+module.exports = {
+  handleMine,
+  getFacing,
+  isNearLiquid,
+  planStep,
+  getOreInfo,
+  getMiningLevel,
+};
@@ -5,6 +5,12 @@
 const { GoalNear } = require("mineflayer-pathfinder").goals;
 const { completeCurrentTask, failTask } = require("../utils/queue");
 const mcData = require("minecraft-data");
+const {
+  abortable,
+  sleep,
+  throwIfCancelled,
+  isCancellationError,
+} = require("../utils/cancellation");
 const {
   validateAndCorrectName,
   getSuggestions,
@@ -107,12 +113,39 @@ function findBlockTarget(bot, blockSpec, radius = 2) {
 }
 
 /**
- * Handles the 'move' task - navigates to a block or a player
+ * Returns movement info for a coordinate target
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} task - Move task with numeric x, y and z
+ * @returns {{ pos: Object, range: number, successMessage: string }}
+ */
+function findPositionTarget(bot, task) {
+  const pos = { x: task.x, y: task.y, z: task.z };
+  bot.chat(`Moving to ${pos.x}, ${pos.y}, ${pos.z}...`);
+
+  return {
+    pos,
+    range: task.radius ?? 1,
+    successMessage: `I've arrived at ${pos.x}, ${pos.y}, ${pos.z}!`,
+  };
+}
+
+/**
+ * Checks whether a move task targets coordinates
+ * @param {Object} task - The move task
+ * @returns {boolean} - True if x, y and z are all numbers
+ */
+function hasPosition(task) {
+  return [task.x, task.y, task.z].every(Number.isFinite);
+}
+
+/**
+ * Handles the 'move' task - navigates to a block, a player or coordinates
  * @param {Object} bot - The mineflayer bot instance
  * @param {Array} taskQueue - The task queue array
- * @param {Object} task - { type: 'move', block?: string|object, player? }
+ * @param {Object} task - { type: 'move', block?: string|object, player?, x?, y?, z? }
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
  */
-async function handleMove(bot, taskQueue, task) {
+async function handleMove(bot, taskQueue, task, signal) {
   const MAX_RETRIES = 2;
 
   try {
@@ -122,11 +155,14 @@ async function handleMove(bot, taskQueue, task) {
       target = findPlayerTarget(bot, task.player);
     } else if (task.block) {
       target = findBlockTarget(bot, task.block, task.radius);
+    } else if (hasPosition(task)) {
+      target = findPositionTarget(bot, task);
     } else {
       failTask(
         bot,
         taskQueue,
-        "Invalid move command - need block name or player name."
+        "Invalid move command - need block name, player name or coordinates.",
+        signal
       );
       return;
     }
@@ -140,10 +176,13 @@ async function handleMove(bot, taskQueue, task) {
     let lastError;
     for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
       try {
-        await bot.pathfinder.goto(goal);
-        completeCurrentTask(bot, taskQueue, successMessage);
+        await abortable(bot.pathfinder.goto(goal), signal);
+        completeCurrentTask(bot, taskQueue, successMessage, signal);
         return; // Success - exit the function
       } catch (pathError) {
+        // Stopping the pathfinder to cancel also rejects goto(); don't retry
+        if (isCancellationError(pathError)) throw pathError;
+        throwIfCancelled(signal);
         lastError = pathError;
         console.log(
           `[Move] Pathfinding attempt ${attempt}/${MAX_RETRIES} failed: ${pathError.message}`
@@ -152,7 +191,7 @@ async function handleMove(bot, taskQueue, task) {
         if (attempt < MAX_RETRIES) {
           bot.chat(`Retrying pathfinding... (attempt ${attempt + 1})`);
           // Small delay before retry
-          await new Promise((resolve) => setTimeout(resolve, 500));
+          await sleep(500, signal);
         }
       }
     }
@@ -160,6 +199,10 @@ async function handleMove(bot, taskQueue, task) {
     // All retries exhausted - fail the task
     throw lastError;
   } catch (error) {
+    if (isCancellationError(error)) {
+      console.log(`[Move] Cancelled: ${error.message}`);
+      return;
+    }
     console.error("[Body] Move error:", error.message);
 
     // Provide more specific error messages for pathfinding failures
@@ -180,7 +223,7 @@ async function handleMove(bot, taskQueue, task) {
       }
     }
 
-    failTask(bot, taskQueue, errorMessage);
+    failTask(bot, taskQueue, errorMessage, signal);
   }
 }
 
@@ -4,6 +4,11 @@
 
 const { Vec3 } = require("vec3");
 const { completeCurrentTask, failTask } = require("../utils/queue");
+const {
+  abortable,
+  throwIfCancelled,
+  isCancellationError,
+} = require("../utils/cancellation");
 const {
   validateAndCorrectName,
   getSuggestions,
@@ -14,8 +19,10 @@ const {
  * @param {Object} bot - The mineflayer bot instance
  * @param {Array} taskQueue - The task queue array
  * @param {Object} task - { type: 'place', target: string }
+ * @param {Object} mcData - Minecraft data instance
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
  */
-async function handlePlace(bot, taskQueue, task, mcData) {
+async function handlePlace(bot, taskQueue, task, mcData, signal) {
   let { target } = task;
 
   try {
@@ -31,7 +38,8 @@ async function handlePlace(bot, taskQueue, task, mcData) {
         failTask(
           bot,
           taskQueue,
-          `I don't know what "${target}" is.${suggestionMsg}`
+          `I don't know what "${target}" is.${suggestionMsg}`,
+          signal
         );
         return;
       }
@@ -47,12 +55,17 @@ async function handlePlace(bot, taskQueue, task, mcData) {
     const item = bot.inventory.items().find((i) => i.name === target);
 
     if (!item) {
-      failTask(bot, taskQueue, `I don't have any ${target} in my inventory.`);
+      failTask(
+        bot,
+        taskQueue,
+        `I don't have any ${target} in my inventory.`,
+        signal
+      );
       return;
     }
 
     // Equip the block
-    await bot.equip(item, "hand");
+    await abortable(bot.equip(item, "hand"), signal);
 
     // Find a suitable reference block nearby to place against
     // Look for solid blocks at the bot's feet level
@@ -88,19 +101,34 @@ async function handlePlace(bot, taskQueue, task, mcData) {
     }
 
     if (!referenceBlock) {
-      failTask(bot, taskQueue, `I can't find a good spot to place ${target}.`);
+      failTask(
+        bot,
+        taskQueue,
+        `I can't find a good spot to place ${target}.`,
+        signal
+      );
       return;
     }
 
     bot.chat(`Placing ${target}...`);
 
     // Place the block
+    throwIfCancelled(signal);
     await bot.placeBlock(referenceBlock, faceVector);
 
-    completeCurrentTask(bot, taskQueue, `Placed ${target}!`);
+    completeCurrentTask(bot, taskQueue, `Placed ${target}!`, signal);
   } catch (error) {
+    if (isCancellationError(error)) {
+      console.log(`[Place] Cancelled: ${error.message}`);
+      return;
+    }
     console.error("[Body] Place error:", error.message);
-    failTask(bot, taskQueue, `Failed to place ${target}: ${error.message}`);
+    failTask(
+      bot,
+      taskQueue,
+      `Failed to place ${target}: ${error.message}`,
+      signal
+    );
   }
 }
 
@@ -4,8 +4,17 @@
  */
 
 const { SMELTABLE_ITEMS, FUEL_ITEMS } = require("../config/constants");
-const { completeCurrentTask, failTask, syncQueue } = require("../utils/queue");
+const {
+  completeCurrentTask,
+  failTask,
+  insertTasksAtFront,
+} = require("../utils/queue");
 const { getInventoryCount } = require("../utils/inventory");
+const {
+  abortable,
+  throwIfCancelled,
+  isCancellationError,
+} = require("../utils/cancellation");
 
 /**
  * Gets the best available fuel from inventory
@@ -37,13 +46,15 @@ function calculateFuelNeeded(itemCount, fuelBurnTime) {
  * @param {Object} furnaceBlock - The furnace window
  * @param {number} expectedOutput - Number of items expected
  * @param {number} timeout - Max time to wait in ms
+ * @param {AbortSignal} signal - Stops waiting early when cancelled
  * @returns {Promise<boolean>} - True if smelting completed
  */
-async function waitForSmelting(furnaceBlock, expectedOutput, timeout = 60000) {
+async function waitForSmelting(furnaceBlock, expectedOutput, timeout = 60000, signal = null) {
   const startTime = Date.now();
   
-  return new Promise((resolve) => {
-    const checkInterval = setInterval(() => {
+  let checkInterval;
+  const waiting = new Promise((resolve) => {
+    checkInterval = setInterval(() => {
       // Check if we have output items
       const outputSlot = furnaceBlock.outputItem();
       if (outputSlot && outputSlot.count >= expectedOutput) {
@@ -70,6 +81,8 @@ async function waitForSmelting(furnaceBlock, expectedOutput, timeout = 60000) {
       }
     }, 500);
   });
+
+  return abortable(waiting, signal).finally(() => clearInterval(checkInterval));
 }
 
 /**
@@ -80,8 +93,9 @@ async function waitForSmelting(furnaceBlock, expectedOutput, timeout = 60000) {
  * @param {Object} mcData - Minecraft data instance
  * @param {Array} taskQueue - The task queue array
  * @param {Object} task - The smelt task
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
  */
-async function handleSmelt(bot, mcData, taskQueue, task) {
+async function handleSmelt(bot, mcData, taskQueue, task, signal) {
   const { input, output, count = 1 } = task;
 
   try {
@@ -90,7 +104,7 @@ async function handleSmelt(bot, mcData, taskQueue, task) {
     // Validate the smelt recipe
     const smeltInfo = SMELTABLE_ITEMS[output];
     if (!smeltInfo || smeltInfo.input !== input) {
-      failTask(bot, taskQueue, `I don't know how to smelt ${input} into ${output}.`);
+      failTask(bot, taskQueue, `I don't know how to smelt ${input} into ${output}.`, signal);
       return;
     }
 
@@ -99,8 +113,7 @@ async function handleSmelt(bot, mcData, taskQueue, task) {
     if (inputCount < count) {
       // Need to collect more input items - queue prerequisite tasks
       bot.chat(`I need more ${input}. Let me get some first...`);
-      taskQueue.unshift({ type: "collect", target: input, count: count });
-      syncQueue(taskQueue);
+      insertTasksAtFront(taskQueue, [{ type: "collect", target: input, count: count }], signal);
       return;
     }
 
@@ -112,8 +125,7 @@ async function handleSmelt(bot, mcData, taskQueue, task) {
       // Need to get fuel - prefer coal
       const coalNeeded = calculateFuelNeeded(count, 8);
       bot.chat(`I need fuel for smelting. Let me get some coal...`);
-      taskQueue.unshift({ type: "collect", target: "coal_ore", count: coalNeeded });
-      syncQueue(taskQueue);
+      insertTasksAtFront(taskQueue, [{ type: "collect", target: "coal_ore", count: coalNeeded }], signal);
       return;
     }
 
@@ -141,17 +153,15 @@ async function handleSmelt(bot, mcData, taskQueue, task) {
       
       if (furnaceInInventory) {
         bot.chat("I need to place my furnace first...");
-        taskQueue.unshift({ type: "place", target: "furnace" });
-        syncQueue(taskQueue);
+        insertTasksAtFront(taskQueue, [{ type: "place", target: "furnace" }], signal);
         return;
       } else {
         // Need to craft a furnace first
         bot.chat("I need a furnace. Let me make one first...");
-        taskQueue.unshift(
+        insertTasksAtFront(taskQueue, [
           { type: "craft", target: "furnace", count: 1 },
           { type: "place", target: "furnace" }
-        );
-        syncQueue(taskQueue);
+        ], signal);
         return;
       }
     }
@@ -160,8 +170,7 @@ async function handleSmelt(bot, mcData, taskQueue, task) {
     const distToFurnace = bot.entity.position.distanceTo(nearbyFurnace.position);
     if (distToFurnace > 4) {
       bot.chat("Moving to furnace...");
-      taskQueue.unshift({ type: "move", block: "furnace", radius: 3 });
-      syncQueue(taskQueue);
+      insertTasksAtFront(taskQueue, [{ type: "move", block: "furnace", radius: 3 }], signal);
       return;
     }
 
@@ -170,6 +179,8 @@ async function handleSmelt(bot, mcData, taskQueue, task) {
     const furnace = await bot.openFurnace(nearbyFurnace);
 
     try {
+      throwIfCancelled(signal);
+
       // Put fuel in furnace
       const fuelItem = bot.inventory.items().find(i => i.name === fuel.name);
       if (fuelItem) {
@@ -189,7 +200,7 @@ async function handleSmelt(bot, mcData, taskQueue, task) {
       // Wait for smelting to complete
       console.log(`[Smelt] Waiting for smelting to complete...`);
       const smeltTime = count * 10000; // 10 seconds per item
-      const success = await waitForSmelting(furnace, count, smeltTime + 10000);
+      const success = await waitForSmelting(furnace, count, smeltTime + 10000, signal);
 
       if (success) {
         // Take output
@@ -206,27 +217,32 @@ async function handleSmelt(bot, mcData, taskQueue, task) {
         }
 
         furnace.close();
-        completeCurrentTask(bot, taskQueue, `Smelted ${count} ${output}!`);
+        completeCurrentTask(bot, taskQueue, `Smelted ${count} ${output}!`, signal);
       } else {
         // Partial success - take what we got
         const outputItem = furnace.outputItem();
         if (outputItem && outputItem.count > 0) {
           await furnace.takeOutput();
           furnace.close();
-          completeCurrentTask(bot, taskQueue, `Smelted ${outputItem.count} ${output} (partial).`);
+          completeCurrentTask(bot, taskQueue, `Smelted ${outputItem.count} ${output} (partial).`, signal);
         } else {
           furnace.close();
-          failTask(bot, taskQueue, `Smelting timed out. Check furnace manually.`);
+          failTask(bot, taskQueue, `Smelting timed out. Check furnace manually.`, signal);
         }
       }
     } catch (furnaceError) {
-      console.error("[Smelt] Furnace operation error:", furnaceError.message);
       try { furnace.close(); } catch (e) {}
-      failTask(bot, taskQueue, `Furnace error: ${furnaceError.message}`);
+      if (isCancellationError(furnaceError)) throw furnaceError;
+      console.error("[Smelt] Furnace operation error:", furnaceError.message);
+      failTask(bot, taskQueue, `Furnace error: ${furnaceError.message}`, signal);
     }
   } catch (error) {
+    if (isCancellationError(error)) {
+      console.log(`[Smelt] Cancelled: ${error.message}`);
+      return;
+    }
     console.error("[Smelt] Error:", error.message);
-    failTask(bot, taskQueue, `Failed to smelt: ${error.message}`);
+    failTask(bot, taskQueue, `Failed to smelt: ${error.message}`, signal);
   }
 }
 
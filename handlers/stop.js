@@ -2,6 +2,9 @@
  * Stop task handler
  */
 
+const { botState } = require("../state/botState");
+const { clearQueue, syncQueue } = require("../utils/queue");
+
 /**
  * Handles the 'stop' task - immediately stops all movement and clears the queue
  * @param {Object} bot - The mineflayer bot instance
@@ -10,7 +13,13 @@
 function handleStop(bot, taskQueue) {
   bot.pathfinder.stop();
   bot.chat("Stopping!");
-  taskQueue.length = 0; // Clear entire queue on stop
+
+  const stopTask = taskQueue.shift();
+  syncQueue(taskQueue);
+  clearQueue(taskQueue, "Stopped"); // Clear entire queue on stop
+  if (stopTask) {
+    botState.markTaskSucceeded(stopTask, "Stopped");
+  }
 }
 
 /**
@@ -20,12 +29,16 @@ function handleStop(bot, taskQueue) {
  * @param {Object} task - { type: 'unknown', reason: string }
  */
 function handleUnknown(bot, taskQueue, task) {
-  bot.chat(task.reason || "I don't understand that command.");
-  taskQueue.length = 0; // Clear queue on unknown command
+  const reason = task.reason || "I don't understand that command.";
+  bot.chat(reason);
+
+  taskQueue.shift();
+  syncQueue(taskQueue);
+  clearQueue(taskQueue, reason); // Clear queue on unknown command
+  botState.markTaskFailed(task, reason);
 }
 
 module.exports = {
   handleStop,
   handleUnknown,
 };
-
@@ -0,0 +1,84 @@
+/**
+ * Fake provider
+ * Returns canned replies without calling a model, so planning can be
+ * exercised deterministically. Replies are taken from `byRequest` (keyed by
+ * the player's request, case-insensitive) or else from `responses` in order;
+ * a reply may be a string (sent as-is, so invalid output can be simulated)
+ * or a plan that is serialized to JSON.
+ */
+
+const fs = require("fs");
+
+// Reply when there is nothing canned for a request
+const NO_REPLY = [
+  { type: "unknown", reason: "The fake LLM has no reply for that request" },
+];
+
+/**
+ * Loads canned replies from a JSON file: an array (replies in order) or an
+ * object mapping requests to replies
+ * @param {string} file - Path to the JSON file
+ * @returns {Object} - { responses, byRequest }
+ */
+function loadFakeResponses(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  return Array.isArray(data)
+    ? { responses: data, byRequest: {} }
+    : { responses: [], byRequest: data };
+}
+
+/**
+ * Creates a fake provider. Every request is recorded in `calls`.
+ * @param {Object} options - { responses: Array, byRequest: Object, model }
+ * @returns {Object} - Provider { name, model, chat, calls }
+ */
+function createFakeProvider({
+  responses = [],
+  byRequest = {},
+  model = "fake",
+} = {}) {
+  const queue = [...responses];
+  const replies = new Map(
+    Object.entries(byRequest).map(([request, reply]) => [
+      request.trim().toLowerCase(),
+      reply,
+    ])
+  );
+  const calls = [];
+
+  return {
+    name: "fake",
+    model,
+    calls,
+    /**
+     * @param {Object} request - { messages, schema, temperature, maxTokens }
+     * @returns {Promise<string>} - The reply text
+     */
+    async chat(request) {
+      calls.push(request);
+      // Look up the latest user message; plan repair requests won't match
+      // a request, so they fall through to the ordered replies
+      const userMessages = request.messages.filter(
+        (message) => message.role === "user"
+      );
+      const key = userMessages[userMessages.length - 1].content
+        .trim()
+        .toLowerCase();
+
+      let reply;
+      if (replies.has(key)) {
+        reply = replies.get(key);
+      } else if (queue.length > 0) {
+        reply = queue.shift();
+      } else {
+        reply = NO_REPLY;
+      }
+      return typeof reply === "string" ? reply : JSON.stringify(reply);
+    },
+  };
+}
+
+module.exports = {
+  createFakeProvider,
+  loadFakeResponses,
+};
@@ -0,0 +1,61 @@
+/**
+ * LLM providers
+ * The brain talks to the model through a provider: an object with a `name`,
+ * a `model` and `chat({ messages, schema, temperature, maxTokens })`, which
+ * resolves to the reply text. Every provider is given the same JSON schema
+ * and must constrain its output to it where the backend supports that.
+ */
+
+const { LLM } = require("../config/constants");
+const { createOllamaProvider } = require("./ollama");
+const { createOpenAIProvider } = require("./openai");
+const { createFakeProvider, loadFakeResponses } = require("./fake");
+const { createRecordingProvider, saveRecording } = require("./recorder");
+
+const PROVIDERS = ["ollama", "openai", "fake"];
+
+/**
+ * Creates the provider selected by the configuration
+ * @param {Object} config - Defaults to LLM from config/constants.js
+ * @returns {Object} - The provider
+ */
+function createProvider(config = LLM) {
+  switch (config.provider) {
+    case "ollama":
+      return createOllamaProvider({
+        host: config.ollamaHost,
+        model: config.model,
+        timeoutMs: config.timeoutMs,
+      });
+    case "openai":
+      return createOpenAIProvider({
+        baseUrl: config.openaiBaseUrl,
+        apiKey: config.openaiApiKey,
+        model: config.model,
+        timeoutMs: config.timeoutMs,
+      });
+    case "fake":
+      return createFakeProvider(
+        config.fakeResponsesFile
+          ? loadFakeResponses(config.fakeResponsesFile)
+          : {}
+      );
+    default:
+      throw new Error(
+        `Unknown LLM_PROVIDER "${config.provider}" (use one of ${PROVIDERS.join(
+          ", "
+        )})`
+      );
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider,
+  createOllamaProvider,
+  createOpenAIProvider,
+  createFakeProvider,
+  loadFakeResponses,
+  createRecordingProvider,
+  saveRecording,
+};
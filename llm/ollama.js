@@ -0,0 +1,53 @@
+/**
+ * Ollama provider
+ * Uses Ollama's structured outputs: the JSON schema is passed as `format`
+ */
+
+const { Ollama } = require("ollama");
+
+/**
+ * Creates an Ollama provider
+ * @param {Object} options - { host, model, timeoutMs }
+ * @returns {Object} - Provider { name, model, chat }
+ */
+function createOllamaProvider({ host, model, timeoutMs }) {
+  // The client takes no signal for a non-streamed chat, so every request
+  // it sends gets one that aborts after timeoutMs
+  const client = new Ollama({
+    host,
+    fetch: (url, options = {}) => {
+      const timeout = AbortSignal.timeout(timeoutMs);
+      return fetch(url, {
+        ...options,
+        signal: options.signal
+          ? AbortSignal.any([options.signal, timeout])
+          : timeout,
+      });
+    },
+  });
+
+  return {
+    name: "ollama",
+    model,
+    /**
+     * @param {Object} request - { messages, schema, temperature, maxTokens }
+     * @returns {Promise<string>} - The reply text
+     */
+    async chat({ messages, schema, temperature, maxTokens }) {
+      const response = await client.chat({
+        model,
+        messages,
+        options: {
+          temperature,
+          num_predict: maxTokens,
+        },
+        format: schema,
+      });
+      return response.message.content;
+    },
+  };
+}
+
+module.exports = {
+  createOllamaProvider,
+};
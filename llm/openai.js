@@ -0,0 +1,64 @@
+/**
+ * OpenAI-compatible provider
+ * Talks to any server exposing /v1/chat/completions (llama.cpp server,
+ * vLLM, LM Studio...). The JSON schema is passed as a `json_schema`
+ * response format, which these servers use to constrain generation.
+ */
+
+/**
+ * Creates an OpenAI-compatible provider
+ * @param {Object} options - { baseUrl, apiKey, model, timeoutMs }
+ * @returns {Object} - Provider { name, model, chat }
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+    /**
+     * @param {Object} request - { messages, schema, temperature, maxTokens }
+     * @returns {Promise<string>} - The reply text
+     */
+    async chat({ messages, schema, temperature, maxTokens }) {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          response_format: {
+            type: "json_schema",
+            json_schema: { name: "task_plan", schema },
+          },
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => "");
+        throw new Error(
+          `${url} returned ${response.status}${
+            body ? `: ${body.slice(0, 200)}` : ""
+          }`
+        );
+      }
+
+      const data = await response.json();
+      const content = data.choices?.[0]?.message?.content;
+      if (typeof content !== "string") {
+        throw new Error(`${url} returned no message content`);
+      }
+      return content;
+    },
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
@@ -0,0 +1,58 @@
+/**
+ * Recording provider
+ * Wraps another provider and keeps every reply, keyed by the latest user
+ * message, so a run against a real model can be replayed later with the
+ * fake provider (saveRecording() writes the fake provider's `byRequest` file)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Wraps a provider so its replies are recorded
+ * @param {Object} provider - The provider to record
+ * @returns {Object} - Provider { name, model, chat, recordings }
+ */
+function createRecordingProvider(provider) {
+  const recordings = {};
+
+  return {
+    name: provider.name,
+    model: provider.model,
+    recordings,
+    /**
+     * @param {Object} request - { messages, schema, temperature, maxTokens }
+     * @returns {Promise<string>} - The reply text
+     */
+    async chat(request) {
+      const reply = await provider.chat(request);
+      const userMessages = request.messages.filter(
+        (message) => message.role === "user"
+      );
+      recordings[userMessages[userMessages.length - 1].content.trim()] = reply;
+      return reply;
+    },
+  };
+}
+
+/**
+ * Writes recorded replies to a JSON file (merged with any already in it)
+ * @param {Object} recordings - Replies by request
+ * @param {string} file - Path to the JSON file
+ */
+function saveRecording(recordings, file) {
+  let existing = {};
+  if (fs.existsSync(file)) {
+    existing = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify({ ...existing, ...recordings }, null, 2) + "\n"
+  );
+}
+
+module.exports = {
+  createRecordingProvider,
+  saveRecording,
+};
@@ -4,15 +4,35 @@
  */
 
 const EventEmitter = require("events");
+const { randomUUID } = require("crypto");
+
+/**
+ * Lifecycle states a task moves through
+ */
+const TASK_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  PAUSED: "paused",
+  SUSPENDED: "suspended",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// How many finished tasks to keep around for lookups by ID
+const MAX_FINISHED_TASKS = 500;
 
 class BotState extends EventEmitter {
   constructor() {
     super();
     this._taskQueue = [];
+    this._tasks = new Map(); // taskId -> task (queued and recently finished)
+    this._finishedTaskIds = [];
     this._isExecuting = false;
     this._botInstance = null;
     this._mcData = null;
     this._isConnected = false;
+    this._isPaused = false;
   }
 
   // Bot instance management
@@ -51,65 +71,154 @@ class BotState extends EventEmitter {
   }
 
   setQueue(queue) {
+    queue.forEach((task) => this.trackTask(task));
     this._taskQueue = [...queue];
     this.emit("queue:updated", this.getQueueState());
   }
 
-  addTask(task) {
-    this._taskQueue.push(task);
-    this.emit("queue:updated", this.getQueueState());
-    this.emit("task:added", { task, index: this._taskQueue.length - 1 });
+  getCurrentTask() {
+    return this._taskQueue.length > 0 ? this._taskQueue[0] : null;
   }
 
-  addTasks(tasks) {
-    this._taskQueue.push(...tasks);
-    this.emit("queue:updated", this.getQueueState());
+  // Task lifecycle tracking
+  /**
+   * Gives a task a stable ID and lifecycle fields if it doesn't have them yet,
+   * and starts tracking it. Safe to call repeatedly on the same task.
+   * @param {Object} task - The task object (mutated in place)
+   * @returns {Object} - The same task
+   */
+  trackTask(task) {
+    if (!task.id) {
+      task.id = randomUUID();
+    }
+    if (!task.status) {
+      task.status = TASK_STATUS.PENDING;
+      task.createdAt = Date.now();
+      task.startedAt = null;
+      task.finishedAt = null;
+      task.attempts = 0;
+      task.result = null;
+    }
+    this._tasks.set(task.id, task);
+    return task;
   }
 
-  insertTasksAtFront(tasks) {
-    this._taskQueue.unshift(...tasks);
-    this.emit("queue:updated", this.getQueueState());
+  getTask(taskId) {
+    return this._tasks.get(taskId) || null;
   }
 
-  removeTask(index) {
-    if (index >= 0 && index < this._taskQueue.length) {
-      const removed = this._taskQueue.splice(index, 1)[0];
-      this.emit("queue:updated", this.getQueueState());
-      this.emit("task:removed", { task: removed, index });
-      return removed;
-    }
-    return null;
+  findQueueIndex(taskId) {
+    return this._taskQueue.findIndex((task) => task.id === taskId);
   }
 
-  clearQueue() {
-    const previousQueue = [...this._taskQueue];
-    this._taskQueue = [];
-    this.emit("queue:updated", this.getQueueState());
-    this.emit("queue:cleared", { previousQueue });
+  markTaskStarted(task) {
+    this.trackTask(task);
+    task.status = TASK_STATUS.RUNNING;
+    task.startedAt = Date.now();
+    task.attempts += 1;
+    this.emit("task:started", { taskId: task.id, task });
   }
 
-  getCurrentTask() {
-    return this._taskQueue.length > 0 ? this._taskQueue[0] : null;
+  /**
+   * Returns a running task to pending without emitting an event
+   * (used when a handler defers itself behind prerequisite tasks)
+   */
+  markTaskPending(task) {
+    this.trackTask(task);
+    task.status = TASK_STATUS.PENDING;
+  }
+
+  markTaskSucceeded(task, message = null) {
+    this._finishTask(task, TASK_STATUS.SUCCEEDED, message);
+    this.emit("task:completed", { taskId: task.id, task, message });
+  }
+
+  /**
+   * Marks a failed task as failed for good
+   * @param {Object} task - The failed task
+   * @param {string} message - Failure message
+   * @param {string} policy - The failure policy that was applied (skip, replan, abort)
+   */
+  markTaskFailed(task, message = null, policy = null) {
+    task.failurePolicy = policy;
+    this._finishTask(task, TASK_STATUS.FAILED, message);
+    this.emit("task:failed", { taskId: task.id, task, message, policy });
+  }
+
+  /**
+   * Returns a failed task to pending so it runs again after a backoff
+   * @param {Object} task - The failed task
+   * @param {string} message - Failure message
+   * @param {number} retryInMs - Backoff before the next attempt
+   */
+  markTaskRetrying(task, message, retryInMs) {
+    this.trackTask(task);
+    task.status = TASK_STATUS.PENDING;
+    task.result = message;
+    task.failurePolicy = "retry";
+    task.retries = (task.retries || 0) + 1;
+    task.retryAt = Date.now() + retryInMs;
+    this.emit("task:retrying", {
+      taskId: task.id,
+      task,
+      message,
+      policy: "retry",
+      retryInMs,
+    });
   }
 
-  shiftTask() {
-    const task = this._taskQueue.shift();
-    if (task) {
-      this.emit("queue:updated", this.getQueueState());
-      this.emit("task:completed", { task });
+  markTaskCancelled(task, reason = null) {
+    this._finishTask(task, TASK_STATUS.CANCELLED, reason);
+    this.emit("task:cancelled", { taskId: task.id, task, reason });
+  }
+
+  _finishTask(task, status, message) {
+    this.trackTask(task);
+    task.status = status;
+    task.finishedAt = Date.now();
+    task.result = message;
+
+    // Keep a bounded number of finished tasks available for lookup
+    this._finishedTaskIds.push(task.id);
+    while (this._finishedTaskIds.length > MAX_FINISHED_TASKS) {
+      this._tasks.delete(this._finishedTaskIds.shift());
     }
-    return task;
+  }
+
+  /**
+   * Marks the running task as paused; it resumes from scratch (handlers
+   * re-check inventory) once the supervisor is resumed
+   */
+  markTaskPaused(task) {
+    this.trackTask(task);
+    task.status = TASK_STATUS.PAUSED;
+    this.emit("task:paused", { taskId: task.id, task });
+  }
+
+  /**
+   * Marks the running task as suspended because a higher priority task
+   * preempted it; it runs again (from scratch) once that work is done
+   */
+  markTaskSuspended(task, reason = null) {
+    this.trackTask(task);
+    task.status = TASK_STATUS.SUSPENDED;
+    this.emit("task:suspended", { taskId: task.id, task, reason });
+  }
+
+  // Pause state - while paused the supervisor leaves the queue untouched
+  setPaused(isPaused) {
+    this._isPaused = isPaused;
+    this.emit("execution:paused", { isPaused });
+    this.emit("queue:updated", this.getQueueState());
+  }
+
+  isPaused() {
+    return this._isPaused;
   }
 
   // Execution state
   setExecuting(isExecuting) {
-    const wasExecuting = this._isExecuting;
     this._isExecuting = isExecuting;
-    
-    if (isExecuting && !wasExecuting && this._taskQueue.length > 0) {
-      this.emit("task:started", { task: this._taskQueue[0] });
-    }
-    
     this.emit("execution:changed", { isExecuting });
   }
 
@@ -117,13 +226,6 @@ class BotState extends EventEmitter {
     return this._isExecuting;
   }
 
-  // Task failure handling
-  failCurrentTask(message) {
-    const task = this._taskQueue[0];
-    this.clearQueue();
-    this.emit("task:failed", { task, message });
-  }
-
   // Get inventory from bot
   getInventory() {
     if (!this._botInstance) return [];
@@ -146,6 +248,7 @@ class BotState extends EventEmitter {
     return {
       queue: this.getQueue(),
       isExecuting: this._isExecuting,
+      isPaused: this._isPaused,
       currentTask: this.getCurrentTask(),
       queueLength: this._taskQueue.length,
     };
@@ -166,5 +269,6 @@ const botState = new BotState();
 module.exports = {
   botState,
   BotState,
+  TASK_STATUS,
 };
 
@@ -0,0 +1,200 @@
+/**
+ * Conversation memory
+ * Keeps the last few requests each player made, the plan the brain produced
+ * and how its tasks turned out, so follow-ups like "do that again" or
+ * "make two more" can be planned in context
+ */
+
+const { CONVERSATION_MEMORY } = require("../config/constants");
+const { toTaskSpec } = require("../utils/queue");
+
+// Player name -> exchanges, oldest first
+const conversations = new Map();
+
+// Player name -> { request, question, mode, at } awaiting their answer
+const clarifications = new Map();
+
+/**
+ * Gets a player's remembered exchanges
+ * @param {string} player - The player name
+ * @returns {Array} - [{ request, plan, tasks, outcomes, at }] oldest first
+ */
+function getConversation(player) {
+  return conversations.get(player) || [];
+}
+
+/**
+ * Remembers a request and the plan made for it, dropping the oldest
+ * exchange once the player has more than the configured maximum
+ * @param {string} player - The player name
+ * @param {string} request - What they asked for
+ * @param {Array} tasks - The planned tasks (the same objects that get queued,
+ *   so their outcomes can be matched by ID later)
+ * @returns {Object} - The stored exchange
+ */
+function recordExchange(player, request, tasks) {
+  const exchange = {
+    request,
+    plan: tasks.map((task) => toTaskSpec(task)),
+    tasks,
+    outcomes: {},
+    at: Date.now(),
+  };
+  const conversation = [...getConversation(player), exchange];
+  conversations.set(
+    player,
+    conversation.slice(-CONVERSATION_MEMORY.maxExchanges)
+  );
+  return exchange;
+}
+
+/**
+ * Forgets a player's conversation, or everyone's, including any question
+ * waiting for an answer
+ * @param {string} player - The player name (omit to clear all)
+ * @returns {number} - How many exchanges were forgotten
+ */
+function clearConversation(player = null) {
+  if (player === null) {
+    const count = [...conversations.values()].reduce(
+      (sum, conversation) => sum + conversation.length,
+      0
+    );
+    conversations.clear();
+    clarifications.clear();
+    return count;
+  }
+  const count = getConversation(player).length;
+  conversations.delete(player);
+  clarifications.delete(player);
+  return count;
+}
+
+/**
+ * Remembers that the bot asked a player a clarifying question, so their
+ * next message is taken as the answer
+ * @param {string} player - The player name
+ * @param {Object} pending - { request: what they asked for, question, mode: queue mode }
+ */
+function setClarification(player, { request, question, mode }) {
+  clarifications.set(player, { request, question, mode, at: Date.now() });
+}
+
+/**
+ * Gets the question a player hasn't answered yet
+ * @param {string} player - The player name
+ * @returns {Object|null} - { request, question, mode, at }, or null if none
+ *   (or if it was asked too long ago)
+ */
+function getClarification(player) {
+  const pending = clarifications.get(player);
+  if (!pending) return null;
+  if (Date.now() - pending.at > CONVERSATION_MEMORY.clarificationTimeoutMs) {
+    clarifications.delete(player);
+    return null;
+  }
+  return pending;
+}
+
+/**
+ * Gets and forgets the question a player hasn't answered yet
+ * @param {string} player - The player name
+ * @returns {Object|null} - { request, question, mode, at }, or null if none
+ */
+function takeClarification(player) {
+  const pending = getClarification(player);
+  clarifications.delete(player);
+  return pending;
+}
+
+/**
+ * Describes how an exchange's tasks turned out
+ * @param {Object} exchange - The exchange
+ * @returns {string|null} - e.g. "collect oak_log: succeeded; craft stick: failed (...)"
+ */
+function describeOutcome(exchange) {
+  const finished = Object.values(exchange.outcomes);
+  if (finished.length === 0) return null;
+
+  const parts = finished.map(({ task, outcome, message }) => {
+    const label = [task.type, task.target || task.player || task.output]
+      .filter(Boolean)
+      .join(" ");
+    return message && outcome !== "succeeded"
+      ? `${label}: ${outcome} (${message})`
+      : `${label}: ${outcome}`;
+  });
+  const unfinished = exchange.tasks.length - finished.length;
+  if (unfinished > 0) parts.push(`${unfinished} step(s) not finished yet`);
+  return parts.join("; ");
+}
+
+/**
+ * Builds chat messages replaying a player's conversation: each request as a
+ * user message, the plan as the assistant's reply and, once known, how it
+ * turned out as a user note (many chat templates reject system messages
+ * anywhere but first)
+ * @param {string} player - The player name
+ * @returns {Array} - Chat messages for the LLM
+ */
+function toChatMessages(player) {
+  const messages = [];
+  for (const exchange of getConversation(player)) {
+    messages.push({ role: "user", content: exchange.request });
+    messages.push({
+      role: "assistant",
+      content: JSON.stringify(exchange.plan),
+    });
+    const outcome = describeOutcome(exchange);
+    if (outcome) {
+      messages.push({
+        role: "user",
+        content: `(Outcome of that plan: ${outcome})`,
+      });
+    }
+  }
+  return messages;
+}
+
+/**
+ * Records the outcome of remembered tasks as they finish
+ * @param {Object} botState - The shared bot state to listen to
+ */
+function enableConversationOutcomes(botState) {
+  const record = (task, outcome, message) => {
+    for (const conversation of conversations.values()) {
+      for (const exchange of conversation) {
+        if (exchange.tasks.some((planned) => planned.id === task.id)) {
+          exchange.outcomes[task.id] = {
+            task: toTaskSpec(task),
+            outcome,
+            message: message || null,
+          };
+          return;
+        }
+      }
+    }
+  };
+
+  botState.on("task:completed", ({ task, message }) => {
+    record(task, "succeeded", message);
+  });
+  botState.on("task:failed", ({ task, message }) => {
+    record(task, "failed", message);
+  });
+  botState.on("task:cancelled", ({ task, reason }) => {
+    record(task, "cancelled", reason);
+  });
+}
+
+module.exports = {
+  getConversation,
+  recordExchange,
+  clearConversation,
+  setClarification,
+  getClarification,
+  takeClarification,
+  toChatMessages,
+  describeOutcome,
+  enableConversationOutcomes,
+};
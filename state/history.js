@@ -0,0 +1,208 @@
+/**
+ * Task history
+ * Appends a record of every finished task (who asked for it, when it ran,
+ * how it ended and what it changed in the inventory) to a local JSONL file
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PERSISTENCE } = require("../config/constants");
+const { toTaskSpec } = require("../utils/queue");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Inventory snapshots taken when a task starts, keyed by task ID:
+// { bot: the instance it was taken from, inventory: itemName -> count }
+const startInventories = new Map();
+
+/**
+ * Builds an itemName -> count map from an inventory item list
+ * @param {Array} items - Items from botState.getInventory()
+ * @returns {Object} - Map of itemName -> count
+ */
+function toInventoryMap(items) {
+  const map = {};
+  for (const item of items) {
+    map[item.name] = (map[item.name] || 0) + item.count;
+  }
+  return map;
+}
+
+/**
+ * Computes what changed between two inventory maps
+ * @param {Object} before - itemName -> count when the task started
+ * @param {Object} after - itemName -> count when the task finished
+ * @returns {Object} - itemName -> signed change (unchanged items omitted)
+ */
+function getInventoryDelta(before, after) {
+  const delta = {};
+  for (const name of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    const change = (after[name] || 0) - (before[name] || 0);
+    if (change !== 0) delta[name] = change;
+  }
+  return delta;
+}
+
+/**
+ * Appends one entry to the history file
+ * @param {Object} entry - The history entry
+ * @param {string} file - History file path
+ */
+function appendHistoryEntry(entry, file = PERSISTENCE.historyFile) {
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(entry) + "\n");
+  } catch (error) {
+    console.error(`[History] Failed to record task: ${error.message}`);
+  }
+}
+
+/**
+ * Reads every entry from the history file, oldest first.
+ * Malformed lines (e.g. from a crash mid-write) are skipped.
+ * @param {string} file - History file path
+ * @returns {Array} - History entries
+ */
+function readHistory(file = PERSISTENCE.historyFile) {
+  if (!fs.existsSync(file)) return [];
+
+  const entries = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.warn("[History] Skipping malformed history line");
+    }
+  }
+  return entries;
+}
+
+/**
+ * Parses a timestamp given as milliseconds (number or numeric string)
+ * or as a date string
+ * @param {number|string} value - The timestamp
+ * @returns {number} - Milliseconds since epoch, or NaN if invalid
+ */
+function parseTimestamp(value) {
+  if (typeof value === "number") return value;
+  if (/^\d+$/.test(String(value).trim())) return Number(value);
+  return Date.parse(value);
+}
+
+/**
+ * Queries the history, newest first
+ * @param {Object} filters - Optional filters:
+ *   outcome ("succeeded" | "failed" | "cancelled"), type (task type),
+ *   source ("chat" | "api" | "bot" ...), user (chat username),
+ *   since / until (timestamps in ms or ISO strings, matched on finishedAt),
+ *   limit (page size, default 50) and offset
+ * @param {string} file - History file path
+ * @returns {{ entries: Array, total: number, limit: number, offset: number }}
+ */
+function queryHistory(filters = {}, file = PERSISTENCE.historyFile) {
+  const since = filters.since ? parseTimestamp(filters.since) : null;
+  const until = filters.until ? parseTimestamp(filters.until) : null;
+
+  const matching = readHistory(file)
+    .filter((entry) => {
+      if (filters.outcome && entry.outcome !== filters.outcome) return false;
+      if (filters.type && entry.type !== filters.type) return false;
+      if (filters.source && entry.issuedBy?.source !== filters.source) {
+        return false;
+      }
+      if (filters.user && entry.issuedBy?.user !== filters.user) return false;
+      if (since !== null && entry.finishedAt < since) return false;
+      if (until !== null && entry.finishedAt > until) return false;
+      return true;
+    })
+    .reverse();
+
+  const limit = Math.min(
+    Math.max(parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  return {
+    entries: matching.slice(offset, offset + limit),
+    total: matching.length,
+    limit,
+    offset,
+  };
+}
+
+/**
+ * Records a finished task
+ * @param {Object} botState - The shared bot state
+ * @param {Object} task - The task that finished
+ * @param {string} outcome - "succeeded", "failed" or "cancelled"
+ * @param {Object} details - { message, policy }
+ * @param {string} file - History file path
+ */
+function recordTask(botState, task, outcome, details, file) {
+  const before = startInventories.get(task.id);
+  startInventories.delete(task.id);
+  // After a reconnect the inventory belongs to another bot instance (or to
+  // none yet), so there's nothing meaningful to compare against
+  const sameBot = !!before && before.bot === botState.getBot();
+
+  const finishedAt = task.finishedAt || Date.now();
+  appendHistoryEntry(
+    {
+      taskId: task.id,
+      type: task.type,
+      task: toTaskSpec(task),
+      issuedBy: task.issuedBy || { source: "bot" },
+      outcome,
+      message: details.message || null,
+      policy: details.policy || null,
+      attempts: task.attempts || 0,
+      createdAt: task.createdAt || null,
+      startedAt: task.startedAt || null,
+      finishedAt,
+      durationMs: task.startedAt ? finishedAt - task.startedAt : null,
+      inventoryDelta: sameBot
+        ? getInventoryDelta(
+            before.inventory,
+            toInventoryMap(botState.getInventory())
+          )
+        : {},
+    },
+    file
+  );
+}
+
+/**
+ * Records every task that finishes (succeeds, fails or is cancelled)
+ * @param {Object} botState - The shared bot state to listen to
+ * @param {string} file - History file path
+ */
+function enableTaskHistory(botState, file = PERSISTENCE.historyFile) {
+  botState.on("task:started", ({ taskId }) => {
+    // A task that restarts after its prerequisites measures from the last start
+    startInventories.set(taskId, {
+      bot: botState.getBot(),
+      inventory: toInventoryMap(botState.getInventory()),
+    });
+  });
+  botState.on("task:completed", ({ task, message }) => {
+    recordTask(botState, task, "succeeded", { message }, file);
+  });
+  botState.on("task:failed", ({ task, message, policy }) => {
+    recordTask(botState, task, "failed", { message, policy }, file);
+  });
+  botState.on("task:cancelled", ({ task, reason }) => {
+    recordTask(botState, task, "cancelled", { message: reason }, file);
+  });
+}
+
+module.exports = {
+  appendHistoryEntry,
+  readHistory,
+  queryHistory,
+  parseTimestamp,
+  getInventoryDelta,
+  enableTaskHistory,
+};
@@ -0,0 +1,87 @@
+/**
+ * Task queue persistence
+ * Checkpoints the queue (including the current task and its progress) to disk
+ * so multi-step plans survive crashes, kicks and server restarts
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { PERSISTENCE } = require("../config/constants");
+const { TASK_STATUS } = require("./botState");
+
+/**
+ * Writes JSON to a file atomically (write to a temp file, then rename)
+ * so a crash mid-write never leaves a truncated checkpoint behind
+ * @param {string} file - Destination file path
+ * @param {Object} data - JSON-serializable data
+ */
+function writeJsonAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Saves the queue state to disk
+ * @param {Object} state - Queue state from botState.getQueueState()
+ * @param {string} file - Checkpoint file path
+ */
+function saveQueueState(state, file = PERSISTENCE.queueFile) {
+  try {
+    writeJsonAtomic(file, {
+      savedAt: new Date().toISOString(),
+      queue: state.queue || [],
+      currentTask: state.currentTask || null,
+      isExecuting: !!state.isExecuting,
+      isPaused: !!state.isPaused,
+    });
+  } catch (error) {
+    console.error(`[Persistence] Failed to save queue: ${error.message}`);
+  }
+}
+
+/**
+ * Loads the last checkpointed queue state from disk
+ * @param {string} file - Checkpoint file path
+ * @returns {Object|null} - { savedAt, queue, currentTask, isExecuting, isPaused } or null if nothing saved
+ */
+function loadQueueState(file = PERSISTENCE.queueFile) {
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!data || !Array.isArray(data.queue)) {
+      console.warn(`[Persistence] Ignoring malformed checkpoint: ${file}`);
+      return null;
+    }
+
+    // A task that was mid-execution when the process stopped starts over
+    for (const task of data.queue) {
+      if (task.status === TASK_STATUS.RUNNING) {
+        task.status = TASK_STATUS.PENDING;
+      }
+    }
+    return data;
+  } catch (error) {
+    console.error(`[Persistence] Failed to load queue: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Checkpoints the queue every time botState reports a change
+ * @param {Object} botState - The shared BotState instance
+ * @param {string} file - Checkpoint file path
+ */
+function enableQueuePersistence(botState, file = PERSISTENCE.queueFile) {
+  botState.on("queue:updated", (state) => saveQueueState(state, file));
+  console.log(`[Persistence] Checkpointing task queue to ${file}`);
+}
+
+module.exports = {
+  saveQueueState,
+  loadQueueState,
+  enableQueuePersistence,
+  writeJsonAtomic,
+};
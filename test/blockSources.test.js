@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mcData = require("minecraft-data")("1.20.1");
+const {
+  getBlockSources,
+  getCollectedItem,
+  itemMatches,
+} = require("../utils/blockSources");
+const {
+  getCollectibleBlock,
+  resolveAllDependencies,
+} = require("../utils/recipes");
+
+test("wheat is collected from the wheat crop, not grass", () => {
+  assert.deepEqual(getBlockSources("wheat", mcData), ["wheat"]);
+  assert.equal(getCollectedItem("wheat", mcData), "wheat");
+  assert.equal(getCollectibleBlock("wheat", mcData), "wheat");
+
+  const bread = resolveAllDependencies("bread", 1, mcData, {});
+  assert.ok(bread.feasible);
+  assert.deepEqual(
+    bread.tasks.map((task) => `${task.type}:${task.target}`),
+    ["collect:wheat", "craft:bread"]
+  );
+});
+
+test("dirt comes from dirt and grass, never farmland or paths", () => {
+  const sources = getBlockSources("dirt", mcData);
+  assert.deepEqual(sources.slice(0, 2), ["dirt", "grass_block"]);
+  assert.ok(!sources.includes("farmland"));
+  assert.ok(!sources.includes("dirt_path"));
+  assert.equal(getCollectedItem("dirt", mcData), "dirt");
+  assert.equal(getCollectedItem("grass_block", mcData), "dirt");
+});
+
+test("ores include their deepslate variant and count their drop", () => {
+  assert.deepEqual(getBlockSources("iron_ore", mcData), [
+    "iron_ore",
+    "deepslate_iron_ore",
+  ]);
+  assert.deepEqual(getBlockSources("raw_iron", mcData), [
+    "iron_ore",
+    "deepslate_iron_ore",
+  ]);
+  assert.equal(getCollectedItem("iron_ore", mcData), "raw_iron");
+  assert.equal(getCollectedItem("raw_iron", mcData), "raw_iron");
+  assert.equal(getCollectibleBlock("raw_iron", mcData), "iron_ore");
+});
+
+test("stone is mined for cobblestone", () => {
+  assert.deepEqual(getBlockSources("cobblestone", mcData), [
+    "cobblestone",
+    "stone",
+  ]);
+  assert.equal(getCollectedItem("stone", mcData), "cobblestone");
+});
+
+test("item groups match every member", () => {
+  const logs = getBlockSources("any_log", mcData);
+  assert.ok(logs.includes("oak_log") && logs.includes("crimson_stem"));
+  assert.ok(!logs.some((name) => name.startsWith("stripped_")));
+  assert.equal(getCollectedItem("any_log", mcData), "any_log");
+  assert.ok(itemMatches("birch_log", "any_log"));
+  assert.ok(!itemMatches("stripped_birch_log", "any_log"));
+  assert.ok(itemMatches("cobbled_deepslate", "any_cobblestone"));
+  assert.ok(itemMatches("oak_log", "oak_log"));
+});
+
+test("crafted and placed blocks are never sources", () => {
+  assert.deepEqual(getBlockSources("oak_planks", mcData), []);
+  assert.deepEqual(getBlockSources("glass", mcData), []);
+  assert.deepEqual(getBlockSources("torch", mcData), []);
+  assert.deepEqual(getBlockSources("book", mcData), []);
+  assert.deepEqual(getBlockSources("any_planks", mcData), []);
+  // Craftable blocks that also generate in the world still are
+  assert.deepEqual(getBlockSources("granite", mcData), ["granite"]);
+  assert.deepEqual(getBlockSources("sandstone", mcData), ["sandstone"]);
+
+  const planks = resolveAllDependencies("oak_planks", 4, mcData, {});
+  assert.deepEqual(
+    planks.tasks.map((task) => `${task.type}:${task.target}`),
+    ["collect:oak_log", "craft:oak_planks"]
+  );
+});
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { BotState, TASK_STATUS } = require("../state/botState");
+
+test("pausing keeps the queue and marks the running task paused", () => {
+  const state = new BotState();
+  const running = { type: "collect", target: "oak_log", count: 3 };
+  const next = { type: "craft", target: "oak_planks" };
+  state.setQueue([running, next]);
+  state.markTaskStarted(running);
+
+  const events = [];
+  state.on("task:paused", ({ taskId }) => events.push(`paused ${taskId}`));
+  state.on("queue:updated", ({ isPaused, queueLength }) =>
+    events.push(`queue ${isPaused} ${queueLength}`)
+  );
+  state.setPaused(true);
+  state.markTaskPaused(running);
+
+  assert.equal(state.isPaused(), true);
+  assert.equal(running.status, TASK_STATUS.PAUSED);
+  assert.deepEqual(state.getQueue(), [running, next]);
+  assert.deepEqual(events, ["queue true 2", `paused ${running.id}`]);
+});
+
+test("resuming returns the paused task to pending", () => {
+  const state = new BotState();
+  const task = { type: "collect", target: "oak_log" };
+  state.setQueue([task]);
+  state.markTaskStarted(task);
+  state.setPaused(true);
+  state.markTaskPaused(task);
+
+  state.markTaskPending(task);
+  state.setPaused(false);
+  assert.equal(state.isPaused(), false);
+  assert.equal(task.status, TASK_STATUS.PENDING);
+  assert.equal(state.getQueueState().isPaused, false);
+  // It starts over as another attempt
+  state.markTaskStarted(task);
+  assert.equal(task.attempts, 2);
+});
@@ -0,0 +1,67 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isCancelled,
+  isCancellationError,
+  throwIfCancelled,
+  abortable,
+  sleep,
+  waitForCancellation,
+} = require("../utils/cancellation");
+
+test("abortable passes the result through without a signal or abort", async () => {
+  assert.equal(await abortable(Promise.resolve(1)), 1);
+  const controller = new AbortController();
+  assert.equal(await abortable(Promise.resolve(2), controller.signal), 2);
+  await assert.rejects(
+    abortable(Promise.reject(new Error("Path blocked")), controller.signal),
+    { message: "Path blocked" }
+  );
+});
+
+test("abortable rejects as soon as the signal aborts", async () => {
+  const controller = new AbortController();
+  const never = new Promise(() => {});
+  const waiting = abortable(never, controller.signal);
+  controller.abort("Interrupted by Steve");
+  await assert.rejects(waiting, (error) => {
+    assert.ok(isCancellationError(error));
+    assert.equal(error.message, "Interrupted by Steve");
+    return true;
+  });
+
+  // An already aborted signal rejects without waiting
+  await assert.rejects(abortable(never, controller.signal), {
+    name: "AbortError",
+  });
+});
+
+test("sleep resolves after the delay and rejects early when cancelled", async () => {
+  await sleep(5);
+
+  const controller = new AbortController();
+  const started = Date.now();
+  const sleeping = sleep(60000, controller.signal);
+  controller.abort();
+  await assert.rejects(sleeping, {
+    name: "AbortError",
+    message: "Task was cancelled",
+  });
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("throwIfCancelled and waitForCancellation follow the signal", async () => {
+  const controller = new AbortController();
+  assert.equal(isCancelled(controller.signal), false);
+  assert.equal(isCancelled(undefined), false);
+  throwIfCancelled(controller.signal);
+
+  const waiting = waitForCancellation(controller.signal);
+  controller.abort();
+  await waiting;
+  assert.equal(isCancelled(controller.signal), true);
+  assert.throws(() => throwIfCancelled(controller.signal), {
+    name: "AbortError",
+  });
+  assert.equal(isCancellationError(new Error("Path blocked")), false);
+});
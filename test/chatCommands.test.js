@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseQueueMode } = require("../utils/chatCommands");
+
+test("then and first pick the append and first modes", () => {
+  assert.deepEqual(parseQueueMode("then collect 5 oak_log"), {
+    mode: "append",
+    request: "collect 5 oak_log",
+  });
+  assert.deepEqual(parseQueueMode("First, come here"), {
+    mode: "first",
+    request: "come here",
+  });
+  assert.deepEqual(parseQueueMode("now: stop"), {
+    mode: "interrupt",
+    request: "stop",
+  });
+});
+
+test("anything else interrupts with the whole command", () => {
+  assert.deepEqual(parseQueueMode("collect 5 oak_log"), {
+    mode: "interrupt",
+    request: "collect 5 oak_log",
+  });
+  // A keyword on its own or inside a word isn't a mode
+  assert.deepEqual(parseQueueMode("then"), {
+    mode: "interrupt",
+    request: "then",
+  });
+  assert.deepEqual(parseQueueMode("nowhere to go"), {
+    mode: "interrupt",
+    request: "nowhere to go",
+  });
+});
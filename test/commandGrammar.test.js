@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mcData = require("minecraft-data")("1.20.4");
+const { parseSimpleCommand } = require("../utils/commandGrammar");
+
+/**
+ * Parses a command as player "Steve"
+ * @param {string} command - The command
+ * @returns {Array|null} - The tasks
+ */
+function parse(command) {
+  return parseSimpleCommand(command, { username: "Steve", mcData });
+}
+
+test("stop and inventory", () => {
+  assert.deepEqual(parse("stop"), [{ type: "stop" }]);
+  assert.deepEqual(parse("Stop everything!"), [{ type: "stop" }]);
+  assert.deepEqual(parse("what do you have?"), [{ type: "inventory" }]);
+  assert.deepEqual(parse("inv"), [{ type: "inventory" }]);
+});
+
+test("come and follow use the speaker", () => {
+  assert.deepEqual(parse("come here"), [{ type: "move", player: "Steve" }]);
+  assert.deepEqual(parse("follow me"), [{ type: "follow", player: "Steve" }]);
+  assert.deepEqual(parse("follow Alex"), [{ type: "follow", player: "Alex" }]);
+  assert.equal(parseSimpleCommand("come here", { mcData }), null);
+});
+
+test("collect turns words into exact names", () => {
+  assert.deepEqual(parse("collect 5 oak logs"), [
+    { type: "collect", target: "oak_log", count: 5 },
+  ]);
+  assert.deepEqual(parse("chop an oak log"), [
+    { type: "collect", target: "oak_log", count: 1 },
+  ]);
+  assert.deepEqual(parse("gather 3 iron ore"), [
+    { type: "collect", target: "iron_ore", count: 3 },
+  ]);
+  assert.deepEqual(parse("collect 10 any logs"), [
+    { type: "collect", target: "any_log", count: 10 },
+  ]);
+});
+
+test("craft only accepts craftable items", () => {
+  assert.deepEqual(parse("make 4 sticks"), [
+    { type: "craft", target: "stick", count: 4 },
+  ]);
+  assert.deepEqual(parse("craft a crafting table"), [
+    { type: "craft", target: "crafting_table", count: 1 },
+  ]);
+  assert.equal(parse("craft 2 cobblestone"), null);
+});
+
+test("goto takes coordinates with or without commas", () => {
+  const expected = [{ type: "move", x: 10, y: 64, z: -20 }];
+  assert.deepEqual(parse("goto 10 64 -20"), expected);
+  assert.deepEqual(parse("go to 10, 64, -20"), expected);
+  assert.deepEqual(parse("move to 10 64 -20"), expected);
+});
+
+test("anything else is left to the LLM", () => {
+  assert.equal(parse("collect 5 wood"), null);
+  assert.equal(parse("make me a house"), null);
+  assert.equal(parse("build a castle"), null);
+  assert.equal(parseSimpleCommand("collect 5 oak logs"), null);
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mcData = require("minecraft-data")("1.20.1");
+const { botState } = require("../state/botState");
+const { addTask } = require("../utils/queue");
+const { handleRepeat } = require("../handlers/control");
+
+/**
+ * Builds a fake bot holding the given items
+ * @param {Object} items - Map of item name -> count
+ * @returns {Object} - Just enough of a bot for the repeat handler
+ */
+function botWith(items) {
+  return {
+    chat: () => {},
+    inventory: {
+      items: () =>
+        Object.entries(items).map(([name, count]) => ({ name, count })),
+    },
+  };
+}
+
+/**
+ * Queues a repeat task and marks it as running
+ * @param {Array} tasks - The repeat body
+ * @returns {Object} - { queue, repeat }
+ */
+function runningRepeat(tasks) {
+  const queue = [];
+  const repeat = { type: "repeat", times: 3, tasks };
+  addTask(queue, repeat);
+  botState.markTaskStarted(repeat);
+  return { queue, repeat };
+}
+
+test("repeat counts are on top of what the bot has", async () => {
+  const { queue, repeat } = runningRepeat([
+    { type: "collect", target: "oak_log", count: 10 },
+    { type: "mine", target: "iron_ore", count: 2 },
+    { type: "craft", target: "torch", count: 4 },
+    { type: "move", player: "Steve" },
+  ]);
+  const bot = botWith({ oak_log: 10, raw_iron: 3 });
+  await handleRepeat(bot, mcData, queue, repeat);
+
+  assert.deepEqual(
+    queue.map((task) => [task.type, task.count]),
+    [
+      ["collect", 20],
+      ["mine", 5],
+      ["craft", 4],
+      ["move", undefined],
+      ["repeat", undefined],
+    ]
+  );
+  assert.equal(repeat.tasks[0].count, 10);
+  assert.equal(repeat.progress.iteration, 1);
+});
+
+test("repeat counts inside an if branch are relative too", async () => {
+  const { queue, repeat } = runningRepeat([
+    {
+      type: "if",
+      condition: { type: "time", is: "day" },
+      then: [{ type: "collect", target: "any_log", count: 4 }],
+    },
+  ]);
+  await handleRepeat(
+    botWith({ birch_log: 2, oak_log: 1 }),
+    mcData,
+    queue,
+    repeat
+  );
+  assert.equal(queue[0].then[0].count, 7);
+});
@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const {
+  recordExchange,
+  clearConversation,
+  toChatMessages,
+  enableConversationOutcomes,
+} = require("../state/conversationMemory");
+
+test("outcomes are replayed as user notes, not system messages", () => {
+  const events = new EventEmitter();
+  enableConversationOutcomes(events);
+  const task = { id: "t1", type: "collect", target: "oak_log", count: 5 };
+  recordExchange("Steve", "get me 5 logs", [task]);
+
+  assert.deepEqual(
+    toChatMessages("Steve").map((message) => message.role),
+    ["user", "assistant"]
+  );
+
+  events.emit("task:failed", { task, message: "No trees nearby" });
+  const messages = toChatMessages("Steve");
+  assert.deepEqual(
+    messages.map((message) => message.role),
+    ["user", "assistant", "user"]
+  );
+  assert.equal(
+    messages[2].content,
+    "(Outcome of that plan: collect oak_log: failed (No trees nearby))"
+  );
+  assert.equal(clearConversation("Steve"), 1);
+});
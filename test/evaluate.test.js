@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mcData = require("minecraft-data")("1.20.1");
+const { setProvider } = require("../brain");
+const { createFakeProvider } = require("../llm");
+const {
+  matches,
+  checkPlan,
+  runCase,
+  summarizeRuns,
+} = require("../eval/evaluate");
+
+test("matches ignores fields the expectation doesn't list", () => {
+  assert.equal(
+    matches(
+      { type: "collect", target: "oak_log" },
+      { type: "collect", target: "oak_log", count: 3 }
+    ),
+    true
+  );
+  assert.equal(matches({ type: "collect" }, { type: "craft" }), false);
+  assert.equal(matches({ type: "collect" }, null), false);
+});
+
+test("matches compares arrays element by element", () => {
+  assert.equal(matches(["collect", "craft"], ["collect", "craft"]), true);
+  assert.equal(matches(["collect"], ["collect", "craft"]), false);
+  assert.equal(matches(["collect", "craft"], ["craft", "collect"]), false);
+});
+
+test("checkPlan checks the exact plan, types, includes and final task", () => {
+  const plan = [
+    { type: "collect", target: "oak_log", count: 1 },
+    { type: "craft", target: "oak_planks", count: 4 },
+  ];
+  const passing = {
+    expect: {
+      plan: [{ type: "collect", target: "oak_log" }, { type: "craft" }],
+      types: ["collect", "craft"],
+      includes: [{ type: "collect", target: "oak_log" }],
+      final: [
+        { type: "craft", target: "birch_planks" },
+        { type: "craft", target: "oak_planks" },
+      ],
+    },
+  };
+  assert.deepEqual(checkPlan(passing, plan, mcData), []);
+
+  const failing = {
+    expect: {
+      plan: [{ type: "collect" }],
+      types: ["craft"],
+      includes: [{ type: "smelt" }],
+      final: { type: "collect" },
+    },
+  };
+  assert.equal(checkPlan(failing, plan, mcData).length, 4);
+});
+
+test("checkPlan reports missing plans, refusals and invalid plans", () => {
+  assert.deepEqual(checkPlan({ expect: {} }, null, mcData), [
+    "No plan was produced",
+  ]);
+
+  const refusal = [{ type: "unknown", reason: "Too vague" }];
+  assert.deepEqual(
+    checkPlan({ expect: { unknown: true } }, refusal, mcData),
+    []
+  );
+  assert.deepEqual(checkPlan({ expect: {} }, refusal, mcData), [
+    "Refused: Too vague",
+  ]);
+  assert.deepEqual(
+    checkPlan({ expect: { unknown: true } }, [{ type: "stop" }], mcData),
+    ["Expected the command to be refused"]
+  );
+
+  const [invalid] = checkPlan(
+    { expect: {} },
+    [{ type: "collect", target: "qqqqqqqqqq" }],
+    mcData
+  );
+  assert.match(invalid, /^Invalid plan: /);
+});
+
+test("summarizeRuns groups runs by provider, model and prompt version", () => {
+  const runs = [
+    {
+      provider: "ollama",
+      model: "llama3",
+      promptVersion: 1,
+      passed: 8,
+      total: 10,
+    },
+    {
+      provider: "ollama",
+      model: "llama3",
+      promptVersion: 1,
+      passed: 6,
+      total: 10,
+    },
+    {
+      provider: "ollama",
+      model: "llama3",
+      promptVersion: 2,
+      passed: 0,
+      total: 0,
+    },
+  ];
+  assert.deepEqual(summarizeRuns(runs), [
+    {
+      provider: "ollama",
+      model: "llama3",
+      promptVersion: 1,
+      runs: 2,
+      passed: 14,
+      total: 20,
+      accuracy: 0.7,
+    },
+    {
+      provider: "ollama",
+      model: "llama3",
+      promptVersion: 2,
+      runs: 1,
+      passed: 0,
+      total: 0,
+      accuracy: 0,
+    },
+  ]);
+});
+
+test("runCase replays a canned reply through the planner", async () => {
+  setProvider(
+    createFakeProvider({
+      byRequest: {
+        "collect 10 oak logs": [
+          { type: "collect", target: "oak_log", count: 10 },
+        ],
+      },
+    })
+  );
+  const result = await runCase({
+    id: "collect-logs",
+    command: "collect 10 oak logs",
+    version: "1.20.1",
+    expect: { plan: [{ type: "collect", target: "oak_log", count: 10 }] },
+  });
+  assert.equal(result.passed, true, result.failures.join("; "));
+  assert.deepEqual(result.plan, [
+    { type: "collect", target: "oak_log", count: 10 },
+  ]);
+
+  const refused = await runCase({
+    id: "no-reply",
+    command: "build a castle",
+    version: "1.20.1",
+    expect: { types: ["craft"] },
+  });
+  assert.equal(refused.passed, false);
+  assert.match(refused.failures[0], /^Refused: /);
+});
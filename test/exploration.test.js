@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spiralWaypoints, getOreLevel } = require("../utils/exploration");
+
+/**
+ * Makes a fake bot standing at a height
+ * @param {number} y - The bot's Y level
+ * @param {number} minY - The world's lowest Y level
+ * @returns {Object} - Just enough of a bot to pick an ore level
+ */
+function botAt(y, minY) {
+  return { entity: { position: { x: 0, y, z: 0 } }, game: { minY } };
+}
+
+test("the spiral walks each ring's perimeter outwards", () => {
+  const waypoints = [...spiralWaypoints({ x: 100.4, z: -50 }, 32, 64)];
+  assert.equal(waypoints.length, 8 + 16);
+  assert.deepEqual(waypoints.slice(0, 3), [
+    { x: 68, z: -82, distance: 32 },
+    { x: 100, z: -82, distance: 32 },
+    { x: 132, z: -82, distance: 32 },
+  ]);
+  assert.deepEqual(waypoints[8], { x: 36, z: -114, distance: 64 });
+
+  // Every waypoint of a ring is on its square and none is repeated
+  const keys = new Set(waypoints.map(({ x, z }) => `${x},${z}`));
+  assert.equal(keys.size, waypoints.length);
+  for (const { x, z, distance } of waypoints) {
+    assert.equal(Math.max(Math.abs(x - 100), Math.abs(z + 50)), distance);
+  }
+});
+
+test("the spiral stops at the distance budget", () => {
+  assert.deepEqual([...spiralWaypoints({ x: 0, z: 0 }, 32, 31)], []);
+});
+
+test("ores are looked for at the height where they are most common", () => {
+  assert.equal(getOreLevel(botAt(70, -64), "diamond_ore"), -58);
+  assert.equal(getOreLevel(botAt(70, -64), "iron_ore"), 16);
+  // Worlds before 1.18 stop at y=0
+  assert.equal(getOreLevel(botAt(70, 0), "diamond_ore"), 5);
+});
+
+test("no digging down for other blocks or when already deep enough", () => {
+  assert.equal(getOreLevel(botAt(70, -64), "oak_log"), null);
+  assert.equal(getOreLevel(botAt(20, -64), "iron_ore"), null);
+  assert.equal(getOreLevel(botAt(-50, -64), "diamond_ore"), null);
+});
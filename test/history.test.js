@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { BotState } = require("../state/botState");
+const {
+  appendHistoryEntry,
+  readHistory,
+  queryHistory,
+  parseTimestamp,
+  getInventoryDelta,
+  enableTaskHistory,
+} = require("../state/history");
+
+/**
+ * Makes a history path in a fresh temporary directory
+ * @param {Object} t - The test context, which removes the directory after
+ * @returns {string} - File path (the file doesn't exist yet)
+ */
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "history.jsonl");
+}
+
+test("entries are appended and read back oldest first", (t) => {
+  const file = tempFile(t);
+  assert.deepEqual(readHistory(file), []);
+
+  appendHistoryEntry({ taskId: "a" }, file);
+  fs.appendFileSync(file, "{ truncated\n");
+  appendHistoryEntry({ taskId: "b" }, file);
+  assert.deepEqual(readHistory(file), [{ taskId: "a" }, { taskId: "b" }]);
+});
+
+test("queries filter, page and list the newest first", (t) => {
+  const file = tempFile(t);
+  const entries = [
+    { taskId: "1", type: "collect", outcome: "succeeded", finishedAt: 1000 },
+    { taskId: "2", type: "craft", outcome: "failed", finishedAt: 2000 },
+    {
+      taskId: "3",
+      type: "collect",
+      outcome: "succeeded",
+      finishedAt: 3000,
+      issuedBy: { source: "chat", user: "Steve" },
+    },
+  ];
+  entries.forEach((entry) => appendHistoryEntry(entry, file));
+
+  const ids = (filters) =>
+    queryHistory(filters, file).entries.map((entry) => entry.taskId);
+  assert.deepEqual(ids({}), ["3", "2", "1"]);
+  assert.deepEqual(ids({ type: "collect" }), ["3", "1"]);
+  assert.deepEqual(ids({ outcome: "failed" }), ["2"]);
+  assert.deepEqual(ids({ user: "Steve", source: "chat" }), ["3"]);
+  assert.deepEqual(ids({ since: "1500", until: 2500 }), ["2"]);
+  assert.deepEqual(queryHistory({ limit: "1", offset: "1" }, file), {
+    entries: [entries[1]],
+    total: 3,
+    limit: 1,
+    offset: 1,
+  });
+});
+
+test("timestamps can be milliseconds or dates", () => {
+  assert.equal(parseTimestamp(1700000000000), 1700000000000);
+  assert.equal(parseTimestamp("1700000000000"), 1700000000000);
+  assert.equal(
+    parseTimestamp("2023-11-14T22:13:20.000Z"),
+    Date.UTC(2023, 10, 14, 22, 13, 20)
+  );
+  assert.ok(Number.isNaN(parseTimestamp("yesterday")));
+});
+
+test("the inventory delta lists what changed", () => {
+  assert.deepEqual(
+    getInventoryDelta({ oak_log: 4, stick: 2 }, { oak_planks: 16, stick: 2 }),
+    { oak_log: -4, oak_planks: 16 }
+  );
+});
+
+test("finished tasks are recorded with what they changed", (t) => {
+  const file = tempFile(t);
+  const state = new BotState();
+  const items = [{ name: "oak_log", count: 1 }];
+  state.setBot({ inventory: { items: () => items } });
+  enableTaskHistory(state, file);
+
+  const task = {
+    type: "collect",
+    target: "oak_log",
+    count: 3,
+    issuedBy: { source: "chat", user: "Steve" },
+  };
+  state.setQueue([task]);
+  state.markTaskStarted(task);
+  items[0] = { name: "oak_log", count: 3 };
+  state.markTaskSucceeded(task, "Collected 2 oak_log");
+
+  const [entry] = readHistory(file);
+  assert.equal(entry.taskId, task.id);
+  assert.equal(entry.outcome, "succeeded");
+  assert.equal(entry.message, "Collected 2 oak_log");
+  assert.deepEqual(entry.issuedBy, { source: "chat", user: "Steve" });
+  assert.deepEqual(entry.inventoryDelta, { oak_log: 2 });
+  assert.equal(entry.attempts, 1);
+});
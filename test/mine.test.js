@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Vec3 } = require("vec3");
+const mcData = require("minecraft-data")("1.20.1");
+const {
+  getFacing,
+  isNearLiquid,
+  planStep,
+  getOreInfo,
+  getMiningLevel,
+} = require("../handlers/mine");
+
+/**
+ * Makes a fake bot in a world of stone with a few other blocks
+ * @param {Object} options - { y, minY, yaw, blocks: { "x,y,z": blockName } }
+ * @returns {Object} - Just enough of a bot to plan mining steps
+ */
+function fakeBot({ y = 64, minY = -64, yaw = 0, blocks = {} } = {}) {
+  return {
+    entity: { position: new Vec3(0.5, y, 0.5), yaw },
+    game: { minY },
+    blockAt: (pos) => ({
+      name: blocks[`${pos.x},${pos.y},${pos.z}`] || "stone",
+    }),
+  };
+}
+
+test("a staircase step clears head room and steps down", () => {
+  const feet = new Vec3(0, 64, 0);
+  const north = new Vec3(0, 0, -1);
+  const down = planStep(feet, north, true);
+  assert.deepEqual(down.next, new Vec3(0, 63, -1));
+  assert.deepEqual(down.toClear, [
+    new Vec3(0, 65, -1),
+    new Vec3(0, 64, -1),
+    new Vec3(0, 63, -1),
+  ]);
+
+  const flat = planStep(feet, new Vec3(1, 0, 0), false);
+  assert.deepEqual(flat.next, new Vec3(1, 64, 0));
+  assert.deepEqual(flat.toClear, [new Vec3(1, 65, 0), new Vec3(1, 64, 0)]);
+});
+
+test("steps next to water or lava are avoided", () => {
+  const bot = fakeBot({ blocks: { "2,64,0": "lava", "0,66,5": "water" } });
+  assert.equal(isNearLiquid(bot, new Vec3(1, 64, 0)), true);
+  assert.equal(isNearLiquid(bot, new Vec3(0, 65, 5)), true);
+  assert.equal(isNearLiquid(bot, new Vec3(0, 64, -1)), false);
+});
+
+test("the tunnel follows the direction the bot faces", () => {
+  assert.equal(getFacing(fakeBot({ yaw: 0 })), 0); // north, -z
+  assert.equal(getFacing(fakeBot({ yaw: -Math.PI / 2 })), 1); // east, +x
+  assert.equal(getFacing(fakeBot({ yaw: Math.PI })), 2); // south, +z
+  assert.equal(getFacing(fakeBot({ yaw: Math.PI / 2 - 0.3 })), 3); // west
+});
+
+test("an ore or its drop mines every variant", () => {
+  const iron = getOreInfo("raw_iron", mcData);
+  assert.equal(iron.blockType.name, "iron_ore");
+  assert.equal(iron.drop, "raw_iron");
+  assert.deepEqual(iron.oreIds, [
+    mcData.blocksByName.iron_ore.id,
+    mcData.blocksByName.deepslate_iron_ore.id,
+  ]);
+  assert.equal(
+    getOreInfo("deepslate_iron_ore", mcData).blockType.name,
+    "deepslate_iron_ore"
+  );
+  assert.equal(getOreInfo("oak_planks", mcData), null);
+});
+
+test("branch mining happens at the ore's level, above bedrock", () => {
+  const bot = fakeBot();
+  const { diamond_ore, iron_ore, oak_log } = mcData.blocksByName;
+  assert.equal(getMiningLevel(bot, diamond_ore, {}), -58);
+  assert.equal(getMiningLevel(bot, iron_ore, {}), 16);
+  assert.equal(getMiningLevel(bot, iron_ore, { y: -70 }), -59);
+  assert.equal(getMiningLevel(bot, oak_log, {}), 64);
+  // Worlds before 1.18 stop at y=0
+  assert.equal(getMiningLevel(fakeBot({ minY: 0 }), diamond_ore, {}), 5);
+});
@@ -0,0 +1,22 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createOllamaProvider } = require("../llm/ollama");
+
+test("chat gives up on a server that never answers", async (t) => {
+  const server = http.createServer(() => {});
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const provider = createOllamaProvider({
+    host: `http://127.0.0.1:${server.address().port}`,
+    model: "llama3",
+    timeoutMs: 100,
+  });
+  await assert.rejects(provider.chat({ messages: [], schema: {} }), {
+    name: "TimeoutError",
+  });
+});
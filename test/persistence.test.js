@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { TASK_STATUS } = require("../state/botState");
+const { saveQueueState, loadQueueState } = require("../state/persistence");
+
+/**
+ * Makes a checkpoint path in a fresh temporary directory
+ * @param {Object} t - The test context, which removes the directory after
+ * @returns {string} - File path (the file doesn't exist yet)
+ */
+function tempFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "queue-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, "queue.json");
+}
+
+test("the queue survives a save and load, restarting the running task", (t) => {
+  const file = tempFile(t);
+  const running = {
+    id: "a",
+    type: "collect",
+    target: "oak_log",
+    count: 3,
+    status: TASK_STATUS.RUNNING,
+  };
+  const pending = {
+    id: "b",
+    type: "craft",
+    target: "oak_planks",
+    status: TASK_STATUS.PENDING,
+    dependsOn: ["a"],
+  };
+  saveQueueState(
+    { queue: [running, pending], currentTask: running, isExecuting: true },
+    file
+  );
+
+  const loaded = loadQueueState(file);
+  assert.deepEqual(loaded.queue, [
+    { ...running, status: TASK_STATUS.PENDING },
+    pending,
+  ]);
+  assert.equal(loaded.isExecuting, true);
+  assert.equal(loaded.isPaused, false);
+  assert.ok(!Number.isNaN(Date.parse(loaded.savedAt)));
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+});
+
+test("a paused queue stays paused after a restart", (t) => {
+  const file = tempFile(t);
+  const paused = { id: "a", type: "collect", status: TASK_STATUS.PAUSED };
+  saveQueueState({ queue: [paused], isPaused: true }, file);
+
+  const loaded = loadQueueState(file);
+  assert.equal(loaded.isPaused, true);
+  assert.equal(loaded.queue[0].status, TASK_STATUS.PAUSED);
+});
+
+test("missing or malformed checkpoints load as nothing", (t) => {
+  const file = tempFile(t);
+  assert.equal(loadQueueState(file), null);
+
+  fs.writeFileSync(file, JSON.stringify({ queue: "not a list" }));
+  assert.equal(loadQueueState(file), null);
+
+  fs.writeFileSync(file, "{ truncated");
+  assert.equal(loadQueueState(file), null);
+});
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mcData = require("minecraft-data")("1.20.4");
+const { validatePlan } = require("../utils/planValidator");
+
+/**
+ * Validates a plan against 1.20.4 with an empty inventory
+ * @param {Array} tasks - The plan
+ * @param {Object} options - Passed to validatePlan
+ * @returns {Object} - { tasks, errors }
+ */
+function validate(tasks, options) {
+  return validatePlan(tasks, mcData, {}, options);
+}
+
+test("a valid plan has no errors", () => {
+  const { errors } = validate([
+    { type: "collect", target: "oak_log", count: 3 },
+    { type: "craft", target: "wooden_pickaxe", count: 1 },
+    { type: "move", x: 10, y: 64, z: -20 },
+    { type: "mine", target: "diamond_ore", count: 2 },
+  ]);
+  assert.deepEqual(errors, []);
+});
+
+test("the plan must be a non-empty array", () => {
+  assert.deepEqual(validate([]).errors, [
+    "The plan must be a non-empty JSON array",
+  ]);
+  assert.equal(validate({ type: "stop" }).errors.length, 1);
+});
+
+test("unknown types and missing fields are reported per step", () => {
+  const { errors } = validate([
+    { type: "dance" },
+    { type: "craft" },
+    { type: "move" },
+    { type: "smelt", input: "raw_iron" },
+  ]);
+  assert.match(errors[0], /^Step 1 has unknown type "dance"/);
+  assert.match(errors[1], /^Step 2 \(craft\) is missing target/);
+  assert.match(errors[2], /^Step 3 \(move\) is missing "block", "player"/);
+  assert.match(errors[3], /is missing output/);
+});
+
+test("counts must be positive", () => {
+  const { errors } = validate([{ type: "collect", target: "dirt", count: 0 }]);
+  assert.match(errors[0], /count must be a positive number/);
+});
+
+test("names are corrected where possible and rejected otherwise", () => {
+  const { tasks, errors } = validate([
+    { type: "collect", target: "Oak_Log", count: 1 },
+  ]);
+  assert.deepEqual(errors, []);
+  assert.equal(tasks[0].target, "oak_log");
+
+  const invalid = validate([{ type: "place", target: "qqqqqqqqqq" }]);
+  assert.match(invalid.errors[0], /is not a Minecraft block/);
+});
+
+test("item groups are valid collect targets", () => {
+  const { tasks, errors } = validate([
+    { type: "collect", target: "any_log", count: 4 },
+  ]);
+  assert.deepEqual(errors, []);
+  assert.equal(tasks[0].target, "any_log");
+});
+
+test("crafts and smelts are checked for feasibility", () => {
+  const [notCraftable] = validate([
+    { type: "craft", target: "glass", count: 1 },
+  ]).errors;
+  assert.match(notCraftable, /use a smelt task with input "sand"/);
+
+  const [wrongInput] = validate([
+    { type: "smelt", input: "cobblestone", output: "iron_ingot" },
+  ]).errors;
+  assert.match(wrongInput, /smelted from "raw_iron"/);
+
+  const [notSmeltable] = validate([
+    { type: "smelt", input: "oak_log", output: "stick" },
+  ]).errors;
+  assert.match(notSmeltable, /"stick" can't be smelted/);
+});
+
+test("crafted and smelted things can't be collected", () => {
+  const [planks, glass] = validate([
+    { type: "collect", target: "oak_planks", count: 4 },
+    { type: "collect", target: "glass", count: 1 },
+  ]).errors;
+  assert.match(planks, /no block drops "oak_planks"; use a craft task/);
+  assert.match(glass, /use a smelt task with input "sand"/);
+});
+
+test("tasks nested in control flow are checked", () => {
+  const { errors } = validate([
+    {
+      type: "repeat",
+      times: 2,
+      tasks: [{ type: "craft" }, { type: "clarify", question: "Which?" }],
+    },
+  ]);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /Step 1 tasks\[0\] \(craft\) is missing target/);
+  assert.match(errors[1], /a clarify can't be nested in a repeat/);
+
+  const [badStructure] = validate([
+    { type: "repeat", times: 0, tasks: [{ type: "stop" }] },
+  ]).errors;
+  assert.match(badStructure, /times must be a positive integer/);
+});
+
+test("a clarify question must be alone, and allowed", () => {
+  const clarify = { type: "clarify", question: "Which wood?" };
+  assert.deepEqual(validate([clarify]).errors, []);
+  assert.match(
+    validate([clarify, { type: "stop" }]).errors[0],
+    /must be the only item/
+  );
+  assert.match(
+    validate([clarify], { allowClarify: false }).errors[0],
+    /There is nobody to ask/
+  );
+});
+
+test("without mcData only the structure is checked", () => {
+  const { errors } = validatePlan([{ type: "collect", target: "qqqq" }]);
+  assert.deepEqual(errors, []);
+  assert.match(
+    validatePlan([{ type: "stop", onFailure: "panic" }]).errors[0],
+    /Invalid onFailure policy/
+  );
+});
@@ -0,0 +1,217 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { botState, TASK_STATUS } = require("../state/botState");
+const {
+  addTask,
+  completeCurrentTask,
+  failTask,
+  insertTasksAtFront,
+  insertTasksNext,
+  expandCurrentTask,
+  resolveFailurePolicy,
+} = require("../utils/queue");
+
+const bot = { chat: () => {} };
+
+/**
+ * Builds a queue where an urgent task was queued in front of the running
+ * task, before the supervisor got round to preempting it
+ * @returns {Object} - { queue, running, urgent }
+ */
+function preemptedQueue() {
+  const queue = [];
+  const running = { type: "collect", target: "dirt", onFailure: "skip" };
+  const later = { type: "craft", target: "stick" };
+  addTask(queue, running);
+  addTask(queue, later);
+  botState.markTaskStarted(running);
+  const urgent = { type: "move", player: "Steve", priority: "urgent" };
+  addTask(queue, urgent);
+  assert.deepEqual(queue, [urgent, running, later]);
+  return { queue, running, urgent };
+}
+
+test("completing removes the running task, not the one in front", () => {
+  const { queue, running, urgent } = preemptedQueue();
+  completeCurrentTask(bot, queue);
+  assert.equal(running.status, TASK_STATUS.SUCCEEDED);
+  assert.equal(queue[0], urgent);
+  assert.equal(urgent.status, TASK_STATUS.PENDING);
+  assert.equal(queue.length, 2);
+});
+
+test("failing applies to the running task", () => {
+  const { queue, running, urgent } = preemptedQueue();
+  assert.equal(failTask(bot, queue, "No dirt here."), "skip");
+  assert.equal(running.status, TASK_STATUS.FAILED);
+  assert.deepEqual(queue.slice(0, 1), [urgent]);
+  assert.equal(queue.length, 2);
+});
+
+test("aborting keeps nothing but marks only the running task failed", () => {
+  const { queue, running, urgent } = preemptedQueue();
+  running.onFailure = "abort";
+  failTask(bot, queue, "No dirt here.");
+  assert.equal(queue.length, 0);
+  assert.equal(running.status, TASK_STATUS.FAILED);
+  assert.equal(urgent.status, TASK_STATUS.CANCELLED);
+});
+
+test("prerequisites are linked to the running task and go before it", () => {
+  const { queue, running, urgent } = preemptedQueue();
+  const tool = { type: "craft", target: "wooden_shovel" };
+  insertTasksAtFront(queue, [tool]);
+  assert.deepEqual(queue.slice(0, 3), [urgent, tool, running]);
+  assert.deepEqual(running.dependsOn, [tool.id]);
+  assert.equal(urgent.dependsOn, undefined);
+});
+
+test("prerequisites can be inserted without a parent", () => {
+  const queue = [];
+  const other = { type: "craft", target: "stick" };
+  addTask(queue, other);
+  const plan = [{ type: "collect", target: "oak_log" }];
+  insertTasksAtFront(queue, plan, null, null, null);
+  assert.deepEqual(queue, [plan[0], other]);
+  assert.equal(other.dependsOn, undefined);
+});
+
+test("expanding replaces the running task in place", () => {
+  const { queue, running, urgent } = preemptedQueue();
+  const body = [{ type: "collect", target: "sand" }];
+  expandCurrentTask(bot, queue, body);
+  assert.equal(running.status, TASK_STATUS.SUCCEEDED);
+  assert.deepEqual(queue.slice(0, 2), [urgent, body[0]]);
+});
+
+/**
+ * Queues tasks and starts the first one, as the supervisor would
+ * @param {Object} onFailure - The first task's failure policy
+ * @returns {Object} - { queue, failing, next }
+ */
+function failingQueue(onFailure) {
+  const queue = [];
+  const failing = { type: "collect", target: "dirt", onFailure };
+  const next = { type: "craft", target: "stick" };
+  addTask(queue, failing);
+  addTask(queue, next);
+  botState.markTaskStarted(failing);
+  return { queue, failing, next };
+}
+
+test("a task without a policy aborts the queue by default", () => {
+  assert.equal(resolveFailurePolicy({}).policy, "abort");
+  const { queue, failing, next } = failingQueue(undefined);
+  assert.equal(failTask(bot, queue, "No dirt here."), "abort");
+  assert.equal(queue.length, 0);
+  assert.equal(failing.status, TASK_STATUS.FAILED);
+  assert.equal(next.status, TASK_STATUS.CANCELLED);
+});
+
+test("retry keeps the task queued with a doubling backoff", () => {
+  const onFailure = { policy: "retry", maxRetries: 2, backoffMs: 1000 };
+  const { queue, failing } = failingQueue(onFailure);
+
+  const before = Date.now();
+  assert.equal(failTask(bot, queue, "No dirt here."), "retry");
+  assert.equal(queue[0], failing);
+  assert.equal(failing.status, TASK_STATUS.PENDING);
+  assert.equal(failing.retries, 1);
+  assert.ok(failing.retryAt >= before + 1000);
+
+  botState.markTaskStarted(failing);
+  failTask(bot, queue, "No dirt here.");
+  assert.equal(failing.retries, 2);
+  assert.ok(failing.retryAt >= before + 2000);
+});
+
+test("retry falls back once its retries are used up", () => {
+  const onFailure = { policy: "retry", maxRetries: 1, fallback: "skip" };
+  const { queue, failing, next } = failingQueue(onFailure);
+  failTask(bot, queue, "No dirt here.");
+  botState.markTaskStarted(failing);
+  assert.equal(failTask(bot, queue, "No dirt here."), "skip");
+  assert.deepEqual(queue, [next]);
+  assert.equal(failing.status, TASK_STATUS.FAILED);
+});
+
+test("skip drops only the failed task", () => {
+  const { queue, failing, next } = failingQueue("skip");
+  assert.equal(failTask(bot, queue, "No dirt here."), "skip");
+  assert.deepEqual(queue, [next]);
+  assert.equal(failing.status, TASK_STATUS.FAILED);
+  assert.equal(next.status, TASK_STATUS.PENDING);
+});
+
+test("replan drops the failed task and asks for a new plan", () => {
+  const { queue, failing, next } = failingQueue("replan");
+  const replans = [];
+  const onReplan = (event) => replans.push(event);
+  botState.on("task:replan", onReplan);
+  try {
+    assert.equal(failTask(bot, queue, "No dirt here."), "replan");
+  } finally {
+    botState.off("task:replan", onReplan);
+  }
+  assert.deepEqual(queue, [next]);
+  assert.deepEqual(replans, [{ task: failing, message: "No dirt here." }]);
+});
+
+test("a cancelled execution can't fail its task", () => {
+  const { queue, failing } = failingQueue("skip");
+  const controller = new AbortController();
+  controller.abort();
+  assert.equal(failTask(bot, queue, "Interrupted", controller.signal), null);
+  assert.equal(queue[0], failing);
+  assert.equal(failing.status, TASK_STATUS.RUNNING);
+});
+
+test("a plan run first goes right after the running task, in sequence", () => {
+  const { queue, running, urgent } = preemptedQueue();
+  const plan = [
+    { type: "collect", target: "oak_log" },
+    { type: "craft", target: "oak_planks" },
+  ];
+  insertTasksNext(queue, plan);
+  assert.deepEqual(queue.slice(0, 4), [urgent, running, ...plan]);
+  assert.deepEqual(plan[0].dependsOn, []);
+  assert.deepEqual(plan[1].dependsOn, [plan[0].id]);
+  assert.equal(running.dependsOn, undefined);
+});
+
+test("a plan run first goes after a paused task too", () => {
+  const queue = [];
+  const paused = { type: "collect", target: "oak_log" };
+  addTask(queue, paused);
+  botState.markTaskStarted(paused);
+  botState.markTaskPaused(paused);
+  const later = { type: "craft", target: "torch" };
+  addTask(queue, later);
+
+  const plan = [{ type: "move", player: "Steve" }];
+  insertTasksNext(queue, plan);
+  assert.deepEqual(queue, [paused, plan[0], later]);
+});
+
+test("a plan run first stays behind more urgent tasks", () => {
+  const queue = [];
+  const running = { type: "move", player: "Steve", priority: "urgent" };
+  addTask(queue, running);
+  botState.markTaskStarted(running);
+  const high = { type: "craft", target: "stick", priority: "high" };
+  const later = { type: "craft", target: "torch" };
+  addTask(queue, high);
+  addTask(queue, later);
+
+  const plan = [{ type: "collect", target: "oak_log" }];
+  insertTasksNext(queue, plan);
+  assert.deepEqual(queue, [running, high, plan[0], later]);
+
+  // With nothing started it still waits for the more urgent task
+  const idleQueue = [];
+  const waiting = { type: "craft", target: "stick", priority: "high" };
+  addTask(idleQueue, waiting);
+  const next = [{ type: "move", player: "Steve" }];
+  insertTasksNext(idleQueue, next);
+  assert.deepEqual(idleQueue, [waiting, next[0]]);
+});
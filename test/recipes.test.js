@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mcData = require("minecraft-data")("1.20.1");
+const { resolveAllDependencies } = require("../utils/recipes");
+
+/**
+ * Resolves a craft and maps each collect task to the tool task it requires
+ * @param {string} itemName - The item to craft
+ * @param {Object} inventoryMap - Current inventory as { itemName: count }
+ * @returns {Object} - { crafts: crafted targets in order, collects:
+ *   { target: required tool key or null } }
+ */
+function planFor(itemName, inventoryMap) {
+  const result = resolveAllDependencies(itemName, 1, mcData, inventoryMap);
+  assert.ok(result.feasible, result.reason);
+
+  const collects = {};
+  for (const task of result.tasks.filter((task) => task.type === "collect")) {
+    const tool = (task.requires || []).find((key) => key.startsWith("craft:"));
+    collects[task.target] = tool || null;
+  }
+  const crafts = result.tasks
+    .filter((task) => task.type === "craft")
+    .map((task) => task.target);
+  return { crafts, collects };
+}
+
+test("the pickaxe progression is planned from an empty inventory", () => {
+  const { crafts, collects } = planFor("iron_pickaxe", {});
+  assert.deepEqual(collects, {
+    oak_log: null,
+    cobblestone: "craft:wooden_pickaxe",
+    iron_ore: "craft:stone_pickaxe",
+    coal_ore: "craft:wooden_pickaxe",
+  });
+  assert.ok(crafts.indexOf("wooden_pickaxe") < crafts.indexOf("stone_pickaxe"));
+  assert.equal(crafts.at(-1), "iron_pickaxe");
+});
+
+test("tools the bot owns aren't crafted again", () => {
+  const withStone = planFor("iron_pickaxe", { stone_pickaxe: 1 });
+  assert.ok(!withStone.crafts.includes("wooden_pickaxe"));
+  assert.ok(!withStone.crafts.includes("stone_pickaxe"));
+  assert.equal(withStone.collects.iron_ore, null);
+
+  // A wooden pickaxe covers the stone but not the iron
+  const withWooden = planFor("iron_pickaxe", { wooden_pickaxe: 1 });
+  assert.ok(!withWooden.crafts.includes("wooden_pickaxe"));
+  assert.equal(withWooden.collects.cobblestone, null);
+  assert.equal(withWooden.collects.iron_ore, "craft:stone_pickaxe");
+});
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getReconnectDelay } = require("../utils/reconnect");
+
+const options = {
+  initialDelayMs: 5000,
+  maxDelayMs: 60000,
+  multiplier: 2,
+  maxAttempts: 0,
+};
+
+test("the reconnect delay doubles up to the cap", () => {
+  assert.deepEqual(
+    [0, 1, 2, 3, 4, 10].map((attempts) => getReconnectDelay(attempts, options)),
+    [5000, 10000, 20000, 40000, 60000, 60000]
+  );
+});
+
+test("reconnecting gives up after maxAttempts, unless it is 0", () => {
+  const limited = { ...options, maxAttempts: 3 };
+  assert.equal(getReconnectDelay(2, limited), 20000);
+  assert.equal(getReconnectDelay(3, limited), null);
+  assert.equal(getReconnectDelay(1000, options), 60000);
+});
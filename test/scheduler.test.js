@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  cronMatches,
+  validateTrigger,
+  describeTrigger,
+  resolveGameTime,
+  loadSchedules,
+  addSchedule,
+  collectDueSchedules,
+} = require("../utils/scheduler");
+
+// Local time, like the scheduler: Wednesday 15 January 2025, 09:30
+const WEDNESDAY_0930 = new Date(2025, 0, 15, 9, 30);
+
+test("cron: wildcards and exact values", () => {
+  assert.equal(cronMatches("* * * * *", WEDNESDAY_0930), true);
+  assert.equal(cronMatches("30 9 * * *", WEDNESDAY_0930), true);
+  assert.equal(cronMatches("31 9 * * *", WEDNESDAY_0930), false);
+  assert.equal(cronMatches("30 10 * * *", WEDNESDAY_0930), false);
+});
+
+test("cron: ranges, lists and steps", () => {
+  assert.equal(cronMatches("*/15 * * * *", WEDNESDAY_0930), true);
+  assert.equal(cronMatches("*/20 * * * *", WEDNESDAY_0930), false);
+  assert.equal(cronMatches("0,30 8-10 * * *", WEDNESDAY_0930), true);
+  assert.equal(cronMatches("0,30 10-12 * * *", WEDNESDAY_0930), false);
+  // "10/20" runs from minute 10 to the end of the hour: 10, 30, 50
+  assert.equal(cronMatches("10/20 * * * *", WEDNESDAY_0930), true);
+});
+
+test("cron: day of week, with 7 as Sunday", () => {
+  assert.equal(cronMatches("* * * * 3", WEDNESDAY_0930), true);
+  assert.equal(cronMatches("* * * * 1-5", WEDNESDAY_0930), true);
+  assert.equal(cronMatches("* * * * 0", WEDNESDAY_0930), false);
+  const sunday = new Date(2025, 0, 19, 9, 30);
+  assert.equal(cronMatches("* * * * 7", sunday), true);
+});
+
+test("cron: either day field may match when both are restricted", () => {
+  assert.equal(cronMatches("* * 15 * 1", WEDNESDAY_0930), true);
+  assert.equal(cronMatches("* * 1 * 3", WEDNESDAY_0930), true);
+  assert.equal(cronMatches("* * 1 * 1", WEDNESDAY_0930), false);
+  // Only one restricted: it alone decides
+  assert.equal(cronMatches("* * 1 * *", WEDNESDAY_0930), false);
+  assert.equal(cronMatches("* * * 2 *", WEDNESDAY_0930), false);
+});
+
+test("cron: invalid expressions never match", () => {
+  for (const expression of [
+    "",
+    "* * * *",
+    "60 * * * *",
+    "5-1 * * * *",
+    "*/0 * * * *",
+    "a * * * *",
+  ]) {
+    assert.equal(cronMatches(expression, WEDNESDAY_0930), false, expression);
+    assert.match(
+      validateTrigger({ type: "cron", expression }),
+      /Invalid cron expression/
+    );
+  }
+});
+
+test("validateTrigger checks each trigger type", () => {
+  assert.equal(
+    validateTrigger({ type: "cron", expression: "0 * * * *" }),
+    null
+  );
+  assert.equal(validateTrigger({ type: "interval", everyMs: 600000 }), null);
+  assert.match(validateTrigger({ type: "interval", everyMs: 5 }), /at least/);
+  assert.equal(validateTrigger({ type: "gameTime", at: "nightfall" }), null);
+  assert.equal(validateTrigger({ type: "gameTime", at: 13000 }), null);
+  assert.match(
+    validateTrigger({ type: "gameTime", at: 24000 }),
+    /Invalid game time/
+  );
+  assert.match(validateTrigger({ type: "hourly" }), /Trigger type/);
+  assert.match(validateTrigger(null), /Trigger type/);
+});
+
+test("resolveGameTime and describeTrigger", () => {
+  assert.equal(resolveGameTime("Nightfall"), 13000);
+  assert.equal(resolveGameTime(1234.7), 1234);
+  assert.equal(resolveGameTime("teatime"), null);
+  assert.equal(
+    describeTrigger({ type: "interval", everyMs: 600000 }),
+    "every 10 minute(s)"
+  );
+  assert.equal(
+    describeTrigger({ type: "interval", everyMs: 7200000 }),
+    "every 2 hour(s)"
+  );
+  assert.equal(
+    describeTrigger({ type: "gameTime", at: "sunrise" }),
+    "at sunrise"
+  );
+});
+
+test("collectDueSchedules fires each trigger once when due", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "schedules-"));
+  loadSchedules(path.join(dir, "schedules.json"));
+  const tasks = [{ type: "collect", target: "wheat", count: 16 }];
+
+  const interval = addSchedule({
+    trigger: { type: "interval", everyMs: 60000 },
+    tasks,
+  });
+  const cron = addSchedule({
+    trigger: { type: "cron", expression: "30 9 * * *" },
+    tasks,
+  });
+  const nightfall = addSchedule({
+    trigger: { type: "gameTime", at: "nightfall" },
+    tasks,
+  });
+
+  const start = interval.createdAt;
+  const ids = (context) => collectDueSchedules(context).map((s) => s.id);
+
+  // The first in-game reading only records the time
+  assert.deepEqual(ids({ now: start, timeOfDay: 12000 }), []);
+  assert.deepEqual(ids({ now: start + 60000, timeOfDay: 13500 }), [
+    interval.id,
+    nightfall.id,
+  ]);
+  assert.deepEqual(ids({ now: start + 90000, timeOfDay: 14000 }), []);
+
+  // Cron fires once per matching minute
+  const at = WEDNESDAY_0930.getTime();
+  assert.ok(ids({ now: at, timeOfDay: null }).includes(cron.id));
+  assert.ok(!ids({ now: at + 30000, timeOfDay: null }).includes(cron.id));
+  assert.equal(cron.runCount, 1);
+
+  // Schedules are saved and load again
+  assert.equal(loadSchedules(path.join(dir, "schedules.json")).length, 3);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,177 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mcData = require("minecraft-data")("1.20.1");
+const {
+  selectNextTask,
+  linkPrerequisites,
+  isSatisfiedByInventory,
+  replaceDependency,
+  getPrerequisiteIds,
+  skipSatisfiedPrerequisites,
+  moveTaskToFront,
+} = require("../utils/taskGraph");
+
+/**
+ * Makes a fake bot holding some items
+ * @param {Object} items - { itemName: count }
+ * @returns {Object} - Just enough of a bot for inventory checks
+ */
+function botWith(items) {
+  return {
+    inventory: {
+      items: () =>
+        Object.entries(items).map(([name, count]) => ({ name, count })),
+    },
+  };
+}
+
+test("a sequence of tasks depends on the task before", () => {
+  const parent = { type: "craft", target: "wooden_pickaxe" };
+  const queue = [parent];
+  const tasks = [
+    { type: "collect", target: "oak_log" },
+    { type: "craft", target: "oak_planks" },
+  ];
+  const lastIds = linkPrerequisites(queue, parent, tasks);
+
+  assert.ok(tasks.every((task) => task.id));
+  assert.deepEqual(tasks[0].dependsOn, []);
+  assert.deepEqual(tasks[1].dependsOn, [tasks[0].id]);
+  assert.deepEqual(lastIds, [tasks[1].id]);
+  assert.deepEqual(parent.dependsOn, [tasks[1].id]);
+});
+
+test("resolver tasks are linked by key, and the parent by requires", () => {
+  const parent = { type: "craft", target: "stone_pickaxe" };
+  const tasks = [
+    { type: "collect", target: "oak_log", key: "collect:oak_log" },
+    {
+      type: "collect",
+      target: "cobblestone",
+      key: "collect:cobblestone",
+      requires: [],
+    },
+    {
+      type: "craft",
+      target: "stick",
+      key: "craft:stick",
+      requires: ["collect:oak_log"],
+    },
+  ];
+  linkPrerequisites([parent], parent, tasks, [
+    "collect:cobblestone",
+    "craft:stick",
+  ]);
+
+  assert.deepEqual(tasks[2].dependsOn, [tasks[0].id]);
+  assert.deepEqual(tasks[1].dependsOn, []);
+  assert.deepEqual(parent.dependsOn, [tasks[1].id, tasks[2].id]);
+  assert.ok(tasks.every((task) => !("key" in task) && !("requires" in task)));
+});
+
+test("selectNextTask runs a ready prerequisite of the first plan", () => {
+  const parent = { id: "parent", type: "craft", target: "stick" };
+  const later = { id: "later", type: "move", x: 0, y: 64, z: 0 };
+  const tasks = [
+    { type: "collect", target: "oak_log" },
+    { type: "craft", target: "oak_planks" },
+  ];
+  const queue = [parent, later];
+  linkPrerequisites(queue, parent, tasks);
+  queue.push(...tasks);
+
+  assert.equal(selectNextTask(queue), tasks[0]);
+  assert.deepEqual(
+    getPrerequisiteIds(queue, parent),
+    new Set([tasks[0].id, tasks[1].id])
+  );
+
+  // Once the prerequisites are done the parent is ready
+  queue.splice(2, 2);
+  assert.equal(selectNextTask(queue), parent);
+  assert.equal(selectNextTask([]), null);
+});
+
+test("selectNextTask waits out a retry backoff", () => {
+  const task = { id: "a", type: "collect", retryAt: 2000 };
+  assert.equal(selectNextTask([task], 1000), null);
+  assert.equal(selectNextTask([task], 3000), task);
+});
+
+test("replaceDependency points dependants at the replacements", () => {
+  const queue = [{ id: "parent", dependsOn: ["old", "other"] }];
+  replaceDependency(queue, "old", ["new1", "new2"]);
+  assert.deepEqual(queue[0].dependsOn, ["other", "new1", "new2"]);
+});
+
+test("prerequisites the inventory made unnecessary are skipped", () => {
+  const sticks = { id: "sticks", type: "craft", target: "stick", count: 4 };
+  const planks = {
+    id: "planks",
+    type: "craft",
+    target: "oak_planks",
+    dependsOn: ["logs"],
+  };
+  const logs = { id: "logs", type: "collect", target: "oak_log" };
+  const table = {
+    id: "table",
+    type: "craft",
+    target: "crafting_table",
+    dependsOn: ["planks"],
+  };
+  sticks.dependsOn = ["planks"];
+  const queue = [sticks, table, planks, logs];
+
+  // The crafting table still needs the planks, so they are kept
+  assert.equal(
+    skipSatisfiedPrerequisites(botWith({ stick: 4 }), mcData, queue),
+    0
+  );
+  assert.deepEqual(sticks.dependsOn, []);
+  assert.equal(queue.length, 4);
+
+  const alone = {
+    id: "sticks2",
+    type: "craft",
+    target: "stick",
+    count: 4,
+    dependsOn: ["planks2"],
+  };
+  const queue2 = [
+    alone,
+    { id: "planks2", type: "craft", target: "oak_planks" },
+  ];
+  assert.equal(
+    skipSatisfiedPrerequisites(botWith({ stick: 8 }), mcData, queue2),
+    1
+  );
+  assert.deepEqual(queue2, [alone]);
+  assert.equal(skipSatisfiedPrerequisites(botWith({}), mcData, queue2), 0);
+});
+
+test("collecting a block is satisfied by the item it drops", () => {
+  const task = { type: "collect", target: "iron_ore", count: 3 };
+  assert.equal(
+    isSatisfiedByInventory(botWith({ raw_iron: 3 }), mcData, task),
+    true
+  );
+  assert.equal(
+    isSatisfiedByInventory(botWith({ iron_ore: 3 }), mcData, task),
+    false
+  );
+  assert.equal(
+    isSatisfiedByInventory(botWith({ raw_iron: 3 }), mcData, {
+      type: "craft",
+      target: "iron_ore",
+      count: 3,
+    }),
+    false
+  );
+});
+
+test("moveTaskToFront", () => {
+  const [a, b, c] = [{ id: "a" }, { id: "b" }, { id: "c" }];
+  const queue = [a, b, c];
+  moveTaskToFront(queue, c);
+  assert.deepEqual(queue, [c, a, b]);
+});
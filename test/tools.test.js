@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mcData = require("minecraft-data")("1.20.1");
+const { findBestTool, getCheapestTool } = require("../utils/tools");
+
+/**
+ * Makes a fake bot holding some items
+ * @param {Array<string>} names - Item names in the inventory
+ * @returns {Object} - Just enough of a bot for tool selection
+ */
+function botHolding(names) {
+  return {
+    inventory: {
+      items: () =>
+        names.map((name) => ({ name, type: mcData.itemsByName[name].id })),
+    },
+  };
+}
+
+const { stone, iron_ore, diamond_ore, oak_log, dirt } = mcData.blocksByName;
+
+test("the cheapest tool is the lowest tier that can harvest the block", () => {
+  assert.equal(getCheapestTool(stone, mcData), "wooden_pickaxe");
+  assert.equal(getCheapestTool(iron_ore, mcData), "stone_pickaxe");
+  assert.equal(getCheapestTool(diamond_ore, mcData), "iron_pickaxe");
+  assert.equal(getCheapestTool(oak_log, mcData), null);
+});
+
+test("the fastest tool that can harvest the block is picked", () => {
+  const bot = botHolding([
+    "dirt",
+    "wooden_pickaxe",
+    "stone_pickaxe",
+    "iron_shovel",
+  ]);
+  assert.equal(findBestTool(bot, stone, mcData).tool.name, "stone_pickaxe");
+  assert.equal(findBestTool(bot, dirt, mcData).tool.name, "iron_shovel");
+
+  // Logs drop by hand; a pickaxe is no faster, so nothing is held
+  assert.deepEqual(findBestTool(bot, oak_log, mcData), {
+    tool: null,
+    canHarvest: true,
+  });
+});
+
+test("a block nothing in the inventory can harvest is reported", () => {
+  const bot = botHolding(["wooden_pickaxe"]);
+  assert.deepEqual(findBestTool(bot, iron_ore, mcData), {
+    tool: null,
+    canHarvest: false,
+  });
+  assert.equal(findBestTool(botHolding([]), stone, mcData).canHarvest, false);
+});
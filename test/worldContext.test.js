@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Vec3 } = require("vec3");
+const mcData = require("minecraft-data")("1.20.1");
+const {
+  buildWorldContext,
+  formatWorldContext,
+} = require("../utils/worldContext");
+
+/**
+ * Makes a fake bot standing at the origin
+ * @param {Object} blocks - { "x,y,z": blockName } around the bot
+ * @returns {Object} - Just enough of a bot to build a world snapshot
+ */
+function botAmong(blocks) {
+  const position = new Vec3(0.5, 64, 0.5);
+  return {
+    username: "AllenIverson",
+    entity: { position },
+    health: 18,
+    food: 20,
+    game: { dimension: "overworld" },
+    time: { timeOfDay: 1000, isDay: true },
+    inventory: {
+      items: () => [
+        { name: "oak_log", count: 3 },
+        { name: "stick", count: 2 },
+        { name: "oak_log", count: 1 },
+      ],
+    },
+    players: {
+      AllenIverson: { username: "AllenIverson" },
+      Steve: {
+        username: "Steve",
+        entity: { position: new Vec3(3.5, 64, 4.5) },
+      },
+      Alex: { username: "Alex" },
+    },
+    findBlocks: ({ matching }) =>
+      Object.entries(blocks)
+        .filter(([, name]) => matching.includes(mcData.blocksByName[name].id))
+        .map(([key]) => new Vec3(...key.split(",").map(Number))),
+    blockAt: (at) => ({ name: blocks[`${at.x},${at.y},${at.z}`] }),
+  };
+}
+
+test("the snapshot sums the inventory and lists what is nearby", () => {
+  const bot = botAmong({
+    "10,64,0": "oak_log",
+    "3,64,0": "oak_log",
+    "0,60,6": "iron_ore",
+    "1,64,0": "grass_block",
+  });
+  const queued = { id: "a", type: "collect", target: "oak_log", count: 5 };
+  queued.status = "running";
+  const context = buildWorldContext(bot, mcData, {
+    username: "Steve",
+    taskQueue: [queued],
+  });
+
+  assert.deepEqual(context.position, { x: 0, y: 64, z: 0 });
+  assert.deepEqual(context.inventory, [
+    { name: "oak_log", count: 4 },
+    { name: "stick", count: 2 },
+  ]);
+  assert.deepEqual(context.nearbyBlocks, [
+    { name: "oak_log", count: 2, distance: 3 },
+    { name: "iron_ore", count: 1, distance: 7 },
+  ]);
+  assert.deepEqual(context.nearbyPlayers, [
+    { name: "Steve", distance: 5 },
+    { name: "Alex", distance: null },
+  ]);
+  assert.deepEqual(context.queue, [
+    { type: "collect", target: "oak_log", count: 5, status: "running" },
+  ]);
+});
+
+test("the snapshot is formatted one fact per line", () => {
+  const context = buildWorldContext(botAmong({}), mcData);
+  assert.equal(
+    formatWorldContext(context),
+    [
+      "- Bot position: 0, 64, 0 in overworld",
+      "- Health: 18/20, food: 20/20",
+      "- Time: day (tick 1000)",
+      "- Inventory: 4 oak_log, 2 stick",
+      "- Nearby blocks: nothing notable",
+      "- Players: Steve (5m), Alex (out of sight)",
+      "- Current queue: empty",
+    ].join("\n")
+  );
+});
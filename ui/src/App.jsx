@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback, useMemo } from 'react';
 import { useBotSocket } from './hooks/useBotSocket';
 import { TaskBuilder } from './components/TaskBuilder';
 import { TaskQueue } from './components/TaskQueue';
+import { TaskHistory } from './components/TaskHistory';
 import { InventoryPanel } from './components/InventoryPanel';
 import { 
   projectInventory, 
@@ -15,6 +16,7 @@ function App() {
     botStatus,
     queue,
     isExecuting,
+    isPaused,
     currentTask,
     inventory,
     lastEvent,
@@ -22,6 +24,8 @@ function App() {
     addTasks,
     removeTask,
     clearQueue,
+    pauseExecution,
+    resumeExecution,
     fetchInventory,
     fetchStatus,
     fetchBlocks,
@@ -29,6 +33,7 @@ function App() {
     fetchAllItems,
     fetchRecipe,
     fetchPlayers,
+    fetchHistory,
   } = useBotSocket();
 
   // Data loaded from API
@@ -38,6 +43,7 @@ function App() {
   const [players, setPlayers] = useState([]);
   const [recipes, setRecipes] = useState({});
   const [notification, setNotification] = useState(null);
+  const [activeTab, setActiveTab] = useState('queue'); // 'queue', 'history'
 
   // Load initial data
   useEffect(() => {
@@ -127,9 +133,19 @@ function App() {
         type = 'success';
         break;
       case 'failed':
-        message = `Failed: ${lastEvent.message || lastEvent.task?.type}`;
+        message = lastEvent.policy
+          ? `Failed (${lastEvent.policy}): ${lastEvent.message || lastEvent.task?.type}`
+          : `Failed: ${lastEvent.message || lastEvent.task?.type}`;
         type = 'error';
         break;
+      case 'suspended':
+        message = `Suspended: ${lastEvent.task?.type} (${lastEvent.message})`;
+        type = 'warning';
+        break;
+      case 'retrying':
+        message = `Retrying in ${Math.round((lastEvent.retryInMs || 0) / 1000)}s: ${lastEvent.message || lastEvent.task?.type}`;
+        type = 'warning';
+        break;
     }
     
     if (message) {
@@ -152,8 +168,8 @@ function App() {
   }, [addTasks]);
 
   // Remove task handler
-  const handleRemoveTask = useCallback(async (index) => {
-    const result = await removeTask(index);
+  const handleRemoveTask = useCallback(async (taskId) => {
+    const result = await removeTask(taskId);
     if (!result.success) {
       setNotification({
         message: result.error || 'Failed to remove task',
@@ -177,6 +193,19 @@ function App() {
     }
   }, [clearQueue]);
 
+  // Pause/resume handler (keeps the queue intact)
+  const handleTogglePause = useCallback(async () => {
+    const result = isPaused ? await resumeExecution() : await pauseExecution();
+    setNotification({
+      message: result.success
+        ? (isPaused ? 'Resumed' : 'Paused')
+        : result.error || 'Failed to change pause state',
+      type: result.success ? 'info' : 'error',
+      timestamp: Date.now(),
+    });
+    setTimeout(() => setNotification(null), 2000);
+  }, [isPaused, pauseExecution, resumeExecution]);
+
   // Reorder queue handler (currently just updates local state - would need API support for persistence)
   const handleReorderQueue = useCallback(async (newQueue) => {
     // For now, we'd need to clear and re-add tasks to change order via API
@@ -195,11 +224,15 @@ function App() {
         <div className="app-header__status">
           <div className={`status-dot ${botStatus.connected ? 'status-dot--connected' : 'status-dot--disconnected'}`} />
           <span className="mc-text">
-            {botStatus.connected ? `Connected (${botStatus.version})` : 'Disconnected'}
+            {botStatus.connected
+              ? `Connected (${botStatus.version})`
+              : botStatus.reconnecting
+                ? `Reconnecting (attempt ${botStatus.attempt})...`
+                : 'Disconnected'}
           </span>
           {botStatus.connected && currentTask && (
-            <span className="mc-badge mc-badge--running">
-              {currentTask.type}
+            <span className={`mc-badge ${isPaused ? 'mc-badge--warning' : 'mc-badge--running'}`}>
+              {isPaused ? `${currentTask.type} (paused)` : currentTask.type}
             </span>
           )}
         </div>
@@ -216,7 +249,7 @@ function App() {
             animation: 'fadeIn 0.2s ease',
           }}
         >
-          <div className={`mc-badge mc-badge--${notification.type === 'success' ? 'success' : notification.type === 'error' ? 'error' : 'info'}`}
+          <div className={`mc-badge mc-badge--${['success', 'error', 'warning'].includes(notification.type) ? notification.type : 'info'}`}
             style={{ padding: '12px 20px', fontSize: '1.1rem' }}>
             {notification.message}
           </div>
@@ -225,15 +258,41 @@ function App() {
 
       {/* Main Content */}
       <main className="main-content">
-        {/* Task Queue */}
-        <TaskQueue
-          queue={queue}
-          isExecuting={isExecuting}
-          onRemoveTask={handleRemoveTask}
-          onClearQueue={handleClearQueue}
-          onReorderQueue={handleReorderQueue}
-          feasibilityMap={feasibilityMap}
-        />
+        {/* Queue / History tabs */}
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button
+            className={`mc-button mc-button--small ${activeTab === 'queue' ? 'mc-button--primary' : ''}`}
+            onClick={() => setActiveTab('queue')}
+          >
+            Queue
+          </button>
+          <button
+            className={`mc-button mc-button--small ${activeTab === 'history' ? 'mc-button--primary' : ''}`}
+            onClick={() => setActiveTab('history')}
+          >
+            History
+          </button>
+        </div>
+
+        {activeTab === 'queue' ? (
+          /* Task Queue */
+          <TaskQueue
+            queue={queue}
+            isExecuting={isExecuting}
+            isPaused={isPaused}
+            onTogglePause={handleTogglePause}
+            onRemoveTask={handleRemoveTask}
+            onClearQueue={handleClearQueue}
+            onReorderQueue={handleReorderQueue}
+            feasibilityMap={feasibilityMap}
+          />
+        ) : (
+          /* Task History */
+          <TaskHistory
+            fetchHistory={fetchHistory}
+            refreshKey={lastEvent?.timestamp}
+          />
+        )}
         
         {/* Task Builder */}
         <TaskBuilder
@@ -5,6 +5,7 @@ import { inventoryToMap, checkCraftFeasibility } from '../utils/inventoryProject
 
 const TASK_TYPES = [
   { value: 'collect', label: 'Collect', description: 'Gather blocks/items from the world' },
+  { value: 'mine', label: 'Mine', description: 'Branch mine underground for an ore' },
   { value: 'craft', label: 'Craft', description: 'Craft items using recipes' },
   { value: 'smelt', label: 'Smelt', description: 'Smelt items in a furnace' },
   { value: 'place', label: 'Place', description: 'Place a block from inventory' },
@@ -14,6 +15,23 @@ const TASK_TYPES = [
   { value: 'stop', label: 'Stop', description: 'Stop all actions' },
 ];
 
+// What to do if a task fails (empty = server default)
+const FAILURE_POLICIES = [
+  { value: '', label: 'Default' },
+  { value: 'retry', label: 'Retry with backoff' },
+  { value: 'skip', label: 'Skip and continue' },
+  { value: 'replan', label: 'Ask the brain to replan' },
+  { value: 'abort', label: 'Abort the whole queue' },
+];
+
+// Task priority (urgent tasks preempt the running task)
+const PRIORITIES = [
+  { value: '', label: 'Normal' },
+  { value: 'urgent', label: 'Urgent (interrupts current task)' },
+  { value: 'high', label: 'High' },
+  { value: 'low', label: 'Low' },
+];
+
 // Common smelting recipes (input -> output)
 const SMELT_RECIPES = [
   { input: 'raw_iron', output: 'iron_ingot', label: 'Iron Ingot (from Raw Iron)' },
@@ -60,6 +78,9 @@ export function TaskBuilder({
   const [feasibility, setFeasibility] = useState(null);
   const [isLoadingRecipe, setIsLoadingRecipe] = useState(false);
   const [smeltRecipe, setSmeltRecipe] = useState(''); // For smelt task
+  const [mineLevel, setMineLevel] = useState(''); // For mine task (empty = ore's usual level)
+  const [onFailure, setOnFailure] = useState('');
+  const [priority, setPriority] = useState('');
 
   // Check craft feasibility when target changes
   useEffect(() => {
@@ -113,6 +134,7 @@ export function TaskBuilder({
     setPlayerName('');
     setFeasibility(null);
     setSmeltRecipe('');
+    setMineLevel('');
   }, [taskType]);
 
   const handleSubmit = useCallback((e) => {
@@ -127,6 +149,15 @@ export function TaskBuilder({
         task.count = Math.max(1, parseInt(count) || 1);
         break;
         
+      case 'mine':
+        if (!target) return;
+        task.target = target;
+        task.count = Math.max(1, parseInt(count) || 1);
+        if (mineLevel !== '' && Number.isFinite(parseInt(mineLevel))) {
+          task.y = parseInt(mineLevel);
+        }
+        break;
+        
       case 'craft':
         if (!target) return;
         task.target = target;
@@ -169,17 +200,25 @@ export function TaskBuilder({
         break;
     }
     
+    if (onFailure) {
+      task.onFailure = onFailure;
+    }
+    if (priority) {
+      task.priority = priority;
+    }
+    
     onAddTask?.(task);
     
     // Reset form
     setTarget('');
     setCount(1);
     setPlayerName('');
-  }, [taskType, target, count, moveTarget, playerName, radius, onAddTask]);
+  }, [taskType, target, count, moveTarget, playerName, radius, smeltRecipe, mineLevel, onFailure, priority, onAddTask]);
 
   const getItemsForType = () => {
     switch (taskType) {
       case 'collect':
+      case 'mine':
         return blocks;
       case 'craft':
         return items;
@@ -219,6 +258,47 @@ export function TaskBuilder({
           </>
         );
         
+      case 'mine':
+        return (
+          <>
+            <div className="mc-form-group">
+              <label className="mc-form-group__label">Ore to Mine</label>
+              <BlockItemSelector
+                items={getItemsForType().filter((block) =>
+                  (typeof block === 'string' ? block : block.name)?.endsWith('_ore')
+                )}
+                value={target}
+                onChange={setTarget}
+                placeholder="Search ores..."
+              />
+            </div>
+            <div className="mc-form-group">
+              <label className="mc-form-group__label">Amount</label>
+              <input
+                type="number"
+                className="mc-input"
+                value={count}
+                onChange={(e) => setCount(e.target.value)}
+                min="1"
+                max="64"
+              />
+            </div>
+            <div className="mc-form-group">
+              <label className="mc-form-group__label">Y Level (optional)</label>
+              <input
+                type="number"
+                className="mc-input"
+                value={mineLevel}
+                onChange={(e) => setMineLevel(e.target.value)}
+                placeholder="Where the ore is most common"
+              />
+            </div>
+            <div className="mc-text-small" style={{ color: 'var(--mc-stone)', marginBottom: '8px' }}>
+              Bot digs a staircase down, branch mines, then comes back up.
+            </div>
+          </>
+        );
+        
       case 'craft':
         return (
           <>
@@ -420,6 +500,7 @@ export function TaskBuilder({
   const isFormValid = () => {
     switch (taskType) {
       case 'collect':
+      case 'mine':
       case 'craft':
       case 'place':
         return !!target;
@@ -466,6 +547,36 @@ export function TaskBuilder({
         
         {renderFields()}
         
+        <div className="mc-form-group">
+          <label className="mc-form-group__label">On Failure</label>
+          <select
+            className="mc-select"
+            value={onFailure}
+            onChange={(e) => setOnFailure(e.target.value)}
+          >
+            {FAILURE_POLICIES.map((policy) => (
+              <option key={policy.value} value={policy.value}>
+                {policy.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        
+        <div className="mc-form-group">
+          <label className="mc-form-group__label">Priority</label>
+          <select
+            className="mc-select"
+            value={priority}
+            onChange={(e) => setPriority(e.target.value)}
+          >
+            {PRIORITIES.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        
         <button
           type="submit"
           className="mc-button mc-button--primary"
@@ -0,0 +1,166 @@
+import { useState, useEffect, useCallback } from 'react';
+import { formatTaskDetails, ControlBody } from './TaskQueue';
+
+const PAGE_SIZE = 20;
+
+const OUTCOME_BADGES = {
+  succeeded: 'mc-badge--success',
+  failed: 'mc-badge--error',
+  cancelled: 'mc-badge--warning',
+};
+
+/**
+ * Format a duration in ms for display
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Format who issued a task for display
+ */
+function formatIssuedBy(issuedBy) {
+  if (!issuedBy) return 'bot';
+  if (issuedBy.user) return `${issuedBy.source}: ${issuedBy.user}`;
+  return issuedBy.source;
+}
+
+/**
+ * Single history entry
+ */
+function HistoryItem({ entry }) {
+  const delta = Object.entries(entry.inventoryDelta || {});
+
+  return (
+    <div className="mc-task">
+      <div className={`mc-task__type mc-task__type--${entry.type}`}>
+        {entry.type}
+      </div>
+
+      <div className="mc-task__details">
+        <div>{formatTaskDetails(entry.task || { type: entry.type })}</div>
+        {entry.task && <ControlBody task={entry.task} />}
+        <div className="mc-text-small" style={{ color: 'var(--mc-stone)', marginTop: '4px' }}>
+          {new Date(entry.finishedAt).toLocaleString()} • {formatIssuedBy(entry.issuedBy)} • {formatDuration(entry.durationMs)}
+        </div>
+        {entry.message && (
+          <div className="mc-text-small" style={{ marginTop: '4px' }}>
+            {entry.message}
+          </div>
+        )}
+        {delta.length > 0 && (
+          <div className="mc-text-small" style={{ marginTop: '4px' }}>
+            {delta.map(([name, change]) => (
+              <span
+                key={name}
+                style={{
+                  color: change > 0 ? 'var(--mc-success)' : 'var(--mc-error)',
+                  marginRight: '8px',
+                }}
+              >
+                {change > 0 ? `+${change}` : change} {name.replace(/_/g, ' ')}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className={`mc-badge ${OUTCOME_BADGES[entry.outcome] || 'mc-badge--info'}`}>
+        {entry.policy ? `${entry.outcome} (${entry.policy})` : entry.outcome}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Task History Component
+ * Shows finished tasks with filtering and paging
+ */
+export function TaskHistory({ fetchHistory, refreshKey }) {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [outcome, setOutcome] = useState('');
+  const [source, setSource] = useState('');
+
+  const loadHistory = useCallback(async () => {
+    const data = await fetchHistory({ outcome, source, limit: PAGE_SIZE, offset });
+    setEntries(data.entries || []);
+    setTotal(data.total || 0);
+  }, [fetchHistory, outcome, source, offset]);
+
+  // Reload when filters/page change or a task finishes
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory, refreshKey]);
+
+  const handleFilterChange = (setter) => (e) => {
+    setter(e.target.value);
+    setOffset(0);
+  };
+
+  const page = Math.floor(offset / PAGE_SIZE) + 1;
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="mc-panel" style={{ flex: 1 }}>
+      <div className="mc-panel__header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span>Task History ({total})</span>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <select className="mc-select" style={{ width: 'auto' }} value={outcome} onChange={handleFilterChange(setOutcome)}>
+            <option value="">All outcomes</option>
+            <option value="succeeded">Succeeded</option>
+            <option value="failed">Failed</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          <select className="mc-select" style={{ width: 'auto' }} value={source} onChange={handleFilterChange(setSource)}>
+            <option value="">All sources</option>
+            <option value="chat">Chat</option>
+            <option value="api">Web UI / API</option>
+            <option value="schedule">Schedule</option>
+            <option value="bot">Bot (prerequisites)</option>
+          </select>
+        </div>
+      </div>
+
+      {entries.length === 0 ? (
+        <div className="mc-empty-state">
+          <div className="mc-empty-state__icon">📜</div>
+          <div>No finished tasks yet</div>
+        </div>
+      ) : (
+        <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+          {entries.map((entry) => (
+            <HistoryItem key={`${entry.taskId}-${entry.finishedAt}`} entry={entry} />
+          ))}
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', marginTop: '12px' }}>
+          <button
+            className="mc-button mc-button--small"
+            onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+            disabled={offset === 0}
+          >
+            Newer
+          </button>
+          <span className="mc-text-small">Page {page} of {pageCount}</span>
+          <button
+            className="mc-button mc-button--small"
+            onClick={() => setOffset(offset + PAGE_SIZE)}
+            disabled={offset + PAGE_SIZE >= total}
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TaskHistory;
@@ -1,4 +1,4 @@
-import { useMemo } from 'react';
+import { useMemo, useState } from 'react';
 import {
   DndContext,
   closestCenter,
@@ -16,16 +16,60 @@ import {
 } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
 import FeasibilityIndicator from './FeasibilityIndicator';
+import { buildTaskTree, isTaskBlocked } from '../utils/taskTree';
+
+/**
+ * Describe a control-flow condition for display
+ */
+export function formatCondition(condition) {
+  if (!condition) return '?';
+  const threshold = ({ below, above }) =>
+    [below !== undefined && `< ${below}`, above !== undefined && `> ${above}`]
+      .filter(Boolean)
+      .join(' and ');
+
+  switch (condition.type) {
+    case 'has':
+      return `has ${condition.count || 1} ${condition.item?.replace(/_/g, ' ')}`;
+    case 'time':
+      return `it is ${condition.is}`;
+    case 'health':
+      return `health ${threshold(condition)}`;
+    case 'food':
+      return `food ${threshold(condition)}`;
+    case 'playerNearby':
+      return `${condition.player} nearby`;
+    case 'not':
+      return `not ${formatCondition(condition.condition)}`;
+    case 'all':
+    case 'any':
+      return (condition.conditions || [])
+        .map(formatCondition)
+        .join(condition.type === 'all' ? ' and ' : ' or ');
+    default:
+      return JSON.stringify(condition);
+  }
+}
 
 /**
  * Format task details for display
  */
-function formatTaskDetails(task) {
+export function formatTaskDetails(task) {
   const format = (name) => name?.replace(/_/g, ' ') || '';
   
   switch (task.type) {
     case 'collect':
+      if (task.progress) {
+        return `${format(task.target)} × ${task.count || 1} (${task.progress.have}/${task.progress.count})`;
+      }
       return `${format(task.target)} × ${task.count || 1}`;
+    case 'mine': {
+      const level = task.y !== undefined ? ` at y=${task.y}` : '';
+      if (task.progress) {
+        return `${format(task.target)} × ${task.count || 1}${level} (${task.progress.have}/${task.progress.count}, y=${task.progress.y})`;
+      }
+      return `${format(task.target)} × ${task.count || 1}${level}`;
+    }
     case 'craft':
       return `${format(task.target)} × ${task.count || 1}`;
     case 'smelt':
@@ -35,6 +79,7 @@ function formatTaskDetails(task) {
     case 'move':
       if (task.player) return `to player: ${task.player}`;
       if (task.block) return `to ${format(task.block)}`;
+      if (task.x !== undefined) return `to ${task.x}, ${task.y}, ${task.z}`;
       return 'to target';
     case 'follow':
       return task.player || 'player';
@@ -42,17 +87,113 @@ function formatTaskDetails(task) {
       return 'Check inventory';
     case 'stop':
       return 'Stop all actions';
+    case 'repeat': {
+      const parts = [];
+      if (task.times) parts.push(`${task.times} times`);
+      if (task.until) parts.push(`until ${formatCondition(task.until)}`);
+      if (task.progress) {
+        parts.push(`(${task.progress.iteration}${task.times ? `/${task.times}` : ''})`);
+      }
+      return parts.join(' ');
+    }
+    case 'if':
+      return `if ${formatCondition(task.condition)}`;
+    case 'wait':
+      if (task.until) return `until ${formatCondition(task.until)}`;
+      return `${task.seconds}s`;
     default:
       return JSON.stringify(task);
   }
 }
 
+/**
+ * Read-only block of the tasks nested in a control-flow task
+ */
+function NestedTasks({ label, tasks }) {
+  if (!tasks || tasks.length === 0) return null;
+
+  return (
+    <div className="mc-task__nested">
+      <div className="mc-text-small mc-task__nested-label">{label}</div>
+      {tasks.map((task, index) => (
+        <div key={index} className="mc-task mc-task--nested">
+          <div className={`mc-task__type mc-task__type--${task.type}`}>
+            {task.type}
+          </div>
+          <div className="mc-task__details">
+            <div>{formatTaskDetails(task)}</div>
+            <ControlBody task={task} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Nested task blocks of a repeat/if task (nothing for other tasks)
+ */
+export function ControlBody({ task }) {
+  switch (task.type) {
+    case 'repeat':
+      return <NestedTasks label="do" tasks={task.tasks} />;
+    case 'if':
+      return (
+        <>
+          <NestedTasks label="then" tasks={task.then} />
+          <NestedTasks label="else" tasks={task.else} />
+        </>
+      );
+    default:
+      return null;
+  }
+}
+
+/**
+ * Task node in the dependency tree view, with its prerequisites nested below
+ */
+function TaskTreeNode({ node, queue }) {
+  const { task, children } = node;
+  const isRunning = task.status === 'running';
+  const isBlocked = isTaskBlocked(task, queue);
+
+  return (
+    <div>
+      <div className={`mc-task ${isRunning ? 'mc-task--running' : ''}`}>
+        <div className={`mc-task__type mc-task__type--${task.type}`}>
+          {task.type}
+        </div>
+        <div className="mc-task__details">
+          <div>{formatTaskDetails(task)}</div>
+        </div>
+        {isRunning && (
+          <div className="mc-badge mc-badge--running">Running</div>
+        )}
+        {!isRunning && isBlocked && (
+          <div className="mc-badge mc-badge--info">Waiting</div>
+        )}
+        {task.retries > 0 && !isRunning && (
+          <div className="mc-badge mc-badge--warning" title={task.result || ''}>
+            Retry {task.retries}
+          </div>
+        )}
+      </div>
+      {children.length > 0 && (
+        <div className="mc-task__nested">
+          {children.map((child) => (
+            <TaskTreeNode key={child.task.id} node={child} queue={queue} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
 /**
  * Sortable Task Item
  */
 function SortableTaskItem({ 
   task, 
-  index, 
   isRunning, 
   onRemove,
   feasibility,
@@ -66,7 +207,7 @@ function SortableTaskItem({
     transition,
     isDragging,
   } = useSortable({ 
-    id: `task-${index}`,
+    id: task.id,
     disabled: isRunning,
   });
 
@@ -100,6 +241,7 @@ function SortableTaskItem({
       
       <div className="mc-task__details">
         <div>{formatTaskDetails(task)}</div>
+        <ControlBody task={task} />
         {task.type === 'craft' && feasibility && !feasibility.feasible && (
           <div style={{ marginTop: '4px' }}>
             <FeasibilityIndicator feasibility={feasibility} />
@@ -107,16 +249,40 @@ function SortableTaskItem({
         )}
       </div>
       
+      {task.retries > 0 && !isRunning && (
+        <div className="mc-badge mc-badge--warning" title={task.result || ''}>
+          Retry {task.retries}
+        </div>
+      )}
+      
       {isRunning && (
         <div className="mc-badge mc-badge--running">
           Running
         </div>
       )}
       
+      {task.status === 'paused' && (
+        <div className="mc-badge mc-badge--warning">
+          Paused
+        </div>
+      )}
+      
+      {task.status === 'suspended' && (
+        <div className="mc-badge mc-badge--warning">
+          Suspended
+        </div>
+      )}
+      
+      {task.priority && task.priority !== 'normal' && (
+        <div className={`mc-badge ${task.priority === 'urgent' ? 'mc-badge--error' : 'mc-badge--info'}`}>
+          {task.priority}
+        </div>
+      )}
+      
       {canRemove && (
         <button
           className="mc-task__remove"
-          onClick={() => onRemove(index)}
+          onClick={() => onRemove(task.id)}
           title="Remove task"
           disabled={isRunning}
         >
@@ -134,11 +300,15 @@ function SortableTaskItem({
 export function TaskQueue({ 
   queue = [], 
   isExecuting = false,
+  isPaused = false,
+  onTogglePause,
   onRemoveTask,
   onClearQueue,
   onReorderQueue,
   feasibilityMap = new Map(),
 }) {
+  const [view, setView] = useState('list');
+
   const sensors = useSensors(
     useSensor(PointerSensor, {
       activationConstraint: {
@@ -153,9 +323,9 @@ export function TaskQueue({
   const handleDragEnd = (event) => {
     const { active, over } = event;
 
-    if (active.id !== over?.id) {
-      const oldIndex = parseInt(active.id.replace('task-', ''), 10);
-      const newIndex = parseInt(over.id.replace('task-', ''), 10);
+    if (over && active.id !== over.id) {
+      const oldIndex = queue.findIndex((task) => task.id === active.id);
+      const newIndex = queue.findIndex((task) => task.id === over.id);
       
       // Don't allow moving the currently running task
       if (isExecuting && (oldIndex === 0 || newIndex === 0)) {
@@ -168,22 +338,43 @@ export function TaskQueue({
   };
 
   const sortableItems = useMemo(() => 
-    queue.map((_, index) => `task-${index}`),
+    queue.map((task) => task.id),
     [queue]
   );
 
+  const taskTree = useMemo(() => buildTaskTree(queue), [queue]);
+
   return (
     <div className="mc-panel" style={{ flex: 1 }}>
       <div className="mc-panel__header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-        <span>Task Queue ({queue.length})</span>
-        {queue.length > 0 && (
-          <button
-            className="mc-button mc-button--danger mc-button--small"
-            onClick={onClearQueue}
-          >
-            Clear All
-          </button>
-        )}
+        <span>Task Queue ({queue.length}){isPaused && ' - Paused'}</span>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          {queue.length > 0 && (
+            <button
+              className="mc-button mc-button--small"
+              onClick={() => setView(view === 'list' ? 'tree' : 'list')}
+              title={view === 'list' ? 'Show the plan as a dependency tree' : 'Show the queue in order'}
+            >
+              {view === 'list' ? 'Tree' : 'List'}
+            </button>
+          )}
+          {(queue.length > 0 || isPaused) && (
+            <button
+              className={`mc-button mc-button--small ${isPaused ? 'mc-button--primary' : ''}`}
+              onClick={onTogglePause}
+            >
+              {isPaused ? 'Resume' : 'Pause'}
+            </button>
+          )}
+          {queue.length > 0 && (
+            <button
+              className="mc-button mc-button--danger mc-button--small"
+              onClick={onClearQueue}
+            >
+              Clear All
+            </button>
+          )}
+        </div>
       </div>
 
       {queue.length === 0 ? (
@@ -194,6 +385,12 @@ export function TaskQueue({
             Add tasks using the form below
           </div>
         </div>
+      ) : view === 'tree' ? (
+        <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
+          {taskTree.map((node) => (
+            <TaskTreeNode key={node.task.id} node={node} queue={queue} />
+          ))}
+        </div>
       ) : (
         <DndContext
           sensors={sensors}
@@ -205,17 +402,19 @@ export function TaskQueue({
             strategy={verticalListSortingStrategy}
           >
             <div style={{ maxHeight: '400px', overflowY: 'auto' }}>
-              {queue.map((task, index) => (
-                <SortableTaskItem
-                  key={`task-${index}`}
-                  task={task}
-                  index={index}
-                  isRunning={isExecuting && index === 0}
-                  onRemove={onRemoveTask}
-                  feasibility={feasibilityMap.get(index)}
-                  canRemove={!(isExecuting && index === 0)}
-                />
-              ))}
+              {queue.map((task, index) => {
+                const isRunning = task.status === 'running';
+                return (
+                  <SortableTaskItem
+                    key={task.id}
+                    task={task}
+                    isRunning={isRunning}
+                    onRemove={onRemoveTask}
+                    feasibility={feasibilityMap.get(index)}
+                    canRemove={!isRunning}
+                  />
+                );
+              })}
             </div>
           </SortableContext>
         </DndContext>
@@ -223,7 +422,9 @@ export function TaskQueue({
 
       {queue.length > 0 && (
         <div className="mc-text-small" style={{ marginTop: '12px', color: 'var(--mc-stone)', textAlign: 'center' }}>
-          Drag tasks to reorder • Click × to remove
+          {view === 'tree'
+            ? 'Prerequisites are nested under the task that needs them'
+            : 'Drag tasks to reorder • Click × to remove'}
         </div>
       )}
     </div>
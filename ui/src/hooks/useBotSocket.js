@@ -17,6 +17,7 @@ export function useBotSocket() {
   });
   const [queue, setQueue] = useState([]);
   const [isExecuting, setIsExecuting] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [currentTask, setCurrentTask] = useState(null);
   const [inventory, setInventory] = useState([]);
   const [lastEvent, setLastEvent] = useState(null);
@@ -61,6 +62,7 @@ export function useBotSocket() {
       console.log('[Socket] Queue updated:', data);
       setQueue(data.queue || []);
       setIsExecuting(data.isExecuting || false);
+      setIsPaused(data.isPaused || false);
       setCurrentTask(data.currentTask || null);
     });
 
@@ -69,17 +71,32 @@ export function useBotSocket() {
       console.log('[Socket] Task started:', data);
       setCurrentTask(data.task);
       setIsExecuting(true);
-      setLastEvent({ type: 'started', task: data.task, timestamp: Date.now() });
+      setLastEvent({ type: 'started', taskId: data.taskId, task: data.task, timestamp: Date.now() });
     });
 
     socket.on('task:completed', (data) => {
       console.log('[Socket] Task completed:', data);
-      setLastEvent({ type: 'completed', task: data.task, timestamp: Date.now() });
+      setLastEvent({ type: 'completed', taskId: data.taskId, task: data.task, timestamp: Date.now() });
     });
 
     socket.on('task:failed', (data) => {
       console.log('[Socket] Task failed:', data);
-      setLastEvent({ type: 'failed', task: data.task, message: data.message, timestamp: Date.now() });
+      setLastEvent({ type: 'failed', taskId: data.taskId, task: data.task, message: data.message, policy: data.policy, timestamp: Date.now() });
+    });
+
+    socket.on('task:retrying', (data) => {
+      console.log('[Socket] Task retrying:', data);
+      setLastEvent({ type: 'retrying', taskId: data.taskId, task: data.task, message: data.message, policy: data.policy, retryInMs: data.retryInMs, timestamp: Date.now() });
+    });
+
+    socket.on('task:suspended', (data) => {
+      console.log('[Socket] Task suspended:', data);
+      setLastEvent({ type: 'suspended', taskId: data.taskId, task: data.task, message: data.reason, timestamp: Date.now() });
+    });
+
+    socket.on('task:cancelled', (data) => {
+      console.log('[Socket] Task cancelled:', data);
+      setLastEvent({ type: 'cancelled', taskId: data.taskId, task: data.task, message: data.reason, timestamp: Date.now() });
     });
 
     // Inventory events
@@ -101,6 +118,7 @@ export function useBotSocket() {
       const data = await res.json();
       setQueue(data.queue || []);
       setIsExecuting(data.isExecuting || false);
+      setIsPaused(data.isPaused || false);
       setCurrentTask(data.currentTask || null);
       return data;
     } catch (error) {
@@ -127,9 +145,9 @@ export function useBotSocket() {
     }
   }, []);
 
-  const removeTask = useCallback(async (index) => {
+  const removeTask = useCallback(async (taskId) => {
     try {
-      const res = await fetch(`/api/queue/${index}`, {
+      const res = await fetch(`/api/queue/${encodeURIComponent(taskId)}`, {
         method: 'DELETE',
       });
       const data = await res.json();
@@ -161,6 +179,34 @@ export function useBotSocket() {
     }
   }, []);
 
+  const pauseExecution = useCallback(async () => {
+    try {
+      const res = await fetch('/api/pause', { method: 'POST' });
+      const data = await res.json();
+      if (data.success) {
+        setIsPaused(true);
+      }
+      return data;
+    } catch (error) {
+      console.error('[API] Failed to pause:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
+  const resumeExecution = useCallback(async () => {
+    try {
+      const res = await fetch('/api/resume', { method: 'POST' });
+      const data = await res.json();
+      if (data.success) {
+        setIsPaused(false);
+      }
+      return data;
+    } catch (error) {
+      console.error('[API] Failed to resume:', error);
+      return { success: false, error: error.message };
+    }
+  }, []);
+
   const fetchInventory = useCallback(async () => {
     try {
       const res = await fetch('/api/inventory');
@@ -237,6 +283,25 @@ export function useBotSocket() {
     }
   }, []);
 
+  const fetchHistory = useCallback(async (filters = {}) => {
+    try {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(filters)) {
+        if (value !== undefined && value !== null && value !== '') {
+          params.set(key, value);
+        }
+      }
+      const res = await fetch(`/api/history?${params}`);
+      if (!res.ok) {
+        return { entries: [], total: 0 };
+      }
+      return await res.json();
+    } catch (error) {
+      console.error('[API] Failed to fetch history:', error);
+      return { entries: [], total: 0 };
+    }
+  }, []);
+
   const fetchPlayers = useCallback(async () => {
     try {
       const res = await fetch('/api/players');
@@ -256,6 +321,7 @@ export function useBotSocket() {
     // Queue state
     queue,
     isExecuting,
+    isPaused,
     currentTask,
     
     // Inventory state
@@ -269,6 +335,8 @@ export function useBotSocket() {
     addTasks,
     removeTask,
     clearQueue,
+    pauseExecution,
+    resumeExecution,
     fetchInventory,
     fetchStatus,
     fetchBlocks,
@@ -276,6 +344,7 @@ export function useBotSocket() {
     fetchAllItems,
     fetchRecipe,
     fetchPlayers,
+    fetchHistory,
   };
 }
 
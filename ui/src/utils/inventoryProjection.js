@@ -40,6 +40,7 @@ export function mapToInventory(map) {
 export function applyTaskToInventory(inventoryMap, task, recipes = {}) {
   switch (task.type) {
     case 'collect':
+    case 'mine':
       // Add collected items to inventory
       if (task.target && task.count) {
         inventoryMap[task.target] = (inventoryMap[task.target] || 0) + task.count;
@@ -92,7 +93,8 @@ export function applyTaskToInventory(inventoryMap, task, recipes = {}) {
       }
       break;
       
-    // move, follow, inventory, stop don't affect inventory
+    // move, follow, inventory, stop don't affect inventory; repeat, if and
+    // wait depend on conditions only known at run time
     default:
       break;
   }
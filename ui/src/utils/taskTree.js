@@ -0,0 +1,48 @@
+/**
+ * Task Tree Utilities
+ * Builds the dependency tree of the queue from each task's `dependsOn`
+ */
+
+/**
+ * Builds a tree of queued tasks: top-level tasks (that no other task
+ * depends on) with their prerequisites as children. A prerequisite shared
+ * by several tasks is shown under the first one only.
+ * @param {Array} queue - Queued tasks
+ * @returns {Array} - Root nodes { task, children: [nodes] } in queue order
+ */
+export function buildTaskTree(queue) {
+  const byId = new Map(queue.map((task) => [task.id, task]));
+  const prerequisiteIds = new Set(
+    queue.flatMap((task) => (task.dependsOn || []).filter((id) => byId.has(id)))
+  );
+  const placed = new Set();
+
+  const buildNode = (task) => {
+    placed.add(task.id);
+    const children = (task.dependsOn || [])
+      .filter((id) => byId.has(id) && !placed.has(id))
+      .map((id) => buildNode(byId.get(id)));
+    return { task, children };
+  };
+
+  const roots = queue
+    .filter((task) => !prerequisiteIds.has(task.id))
+    .map(buildNode);
+
+  // Anything left over is part of a cycle; show it at the top level
+  for (const task of queue) {
+    if (!placed.has(task.id)) roots.push(buildNode(task));
+  }
+  return roots;
+}
+
+/**
+ * Checks whether a task is waiting on prerequisites that are still queued
+ * @param {Object} task - The task
+ * @param {Array} queue - Queued tasks
+ * @returns {boolean} - True if blocked
+ */
+export function isTaskBlocked(task, queue) {
+  const queuedIds = new Set(queue.map((queued) => queued.id));
+  return (task.dependsOn || []).some((id) => queuedIds.has(id));
+}
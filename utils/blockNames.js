@@ -3,6 +3,8 @@
  * Uses minecraft-data to ensure correct block/item names
  */
 
+const { isItemGroup } = require("./blockSources");
+
 /**
  * Quick check if a name is a valid block in minecraft-data
  * @param {string} name - The block name to check
@@ -208,6 +210,11 @@ function validateAndCorrectName(name, mcData) {
     return { valid: true, corrected: normalized, original: name };
   }
 
+  // Item groups (e.g. "any_log") aren't in minecraft-data but are valid
+  if (isItemGroup(normalized)) {
+    return { valid: true, corrected: normalized, original: name };
+  }
+
   // Try to find a close match
   const corrected = findClosestName(normalized, mcData);
   if (corrected) {
@@ -218,7 +225,52 @@ function validateAndCorrectName(name, mcData) {
 }
 
 /**
- * Validates and corrects block/item names in a task object
+ * Validates and corrects a single name, logging the outcome
+ * @param {string} name - The name to validate
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {string} - The corrected name, or the original if it can't be corrected
+ */
+function correctName(name, mcData) {
+  const validation = validateAndCorrectName(name, mcData);
+  if (validation.valid && validation.corrected !== name) {
+    console.log(`[BlockNames] Corrected "${name}" to "${validation.corrected}"`);
+    return validation.corrected;
+  }
+  if (!validation.valid) {
+    console.warn(`[BlockNames] Could not validate or correct "${name}"`);
+  }
+  return name;
+}
+
+/**
+ * Validates and corrects item names in a control-flow condition
+ * (e.g. { type: "has", item: "oak_log" }), including nested conditions
+ * @param {Object} condition - The condition
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Object} - The corrected condition
+ */
+function validateConditionNames(condition, mcData) {
+  if (!condition || typeof condition !== "object") return condition;
+
+  const corrected = { ...condition };
+  if (typeof condition.item === "string") {
+    corrected.item = correctName(condition.item, mcData);
+  }
+  if (condition.condition) {
+    corrected.condition = validateConditionNames(condition.condition, mcData);
+  }
+  if (Array.isArray(condition.conditions)) {
+    corrected.conditions = condition.conditions.map((inner) =>
+      validateConditionNames(inner, mcData)
+    );
+  }
+  return corrected;
+}
+
+/**
+ * Validates and corrects block/item names in a task object. Control-flow
+ * tasks (repeat, if, wait) are validated recursively, including the item
+ * names in their conditions.
  * @param {Object} task - The task object to validate
  * @param {Object} mcData - Minecraft data instance
  * @returns {Object} - The corrected task object
@@ -230,16 +282,24 @@ function validateTask(task, mcData) {
 
   // Validate 'target' field (used in collect, craft, place tasks)
   if (task.target) {
-    const validation = validateAndCorrectName(task.target, mcData);
-    if (validation.valid && validation.corrected !== task.target) {
-      console.log(
-        `[BlockNames] Corrected "${task.target}" to "${validation.corrected}"`
-      );
-      correctedTask.target = validation.corrected;
-    } else if (!validation.valid) {
-      console.warn(
-        `[BlockNames] Could not validate or correct "${task.target}"`
-      );
+    correctedTask.target = correctName(task.target, mcData);
+  }
+  // Move destinations and smelt input/output
+  for (const field of ["block", "input", "output"]) {
+    if (typeof task[field] === "string") {
+      correctedTask[field] = correctName(task[field], mcData);
+    }
+  }
+
+  // Nested task lists (repeat body, if branches)
+  for (const field of ["tasks", "then", "else"]) {
+    if (Array.isArray(task[field])) {
+      correctedTask[field] = validateTasks(task[field], mcData);
+    }
+  }
+  for (const field of ["condition", "until"]) {
+    if (task[field]) {
+      correctedTask[field] = validateConditionNames(task[field], mcData);
     }
   }
 
@@ -258,37 +318,87 @@ function validateTasks(tasks, mcData) {
   return tasks.map((task) => validateTask(task, mcData));
 }
 
+// Relevance tiers for prompt name lists (lower comes first): basic
+// resources and workstations, then tools and food, then anything else;
+// decorative and technical variants come last
+const NAME_RELEVANCE_TIERS = [
+  /(_log|_planks|_ore|_ingot)$|^(raw_(iron|gold|copper)$|cobblestone$|stone$|dirt$|grass_block$|sand$|gravel$|clay|coal$|diamond$|emerald$|redstone$|lapis_lazuli$|stick$|crafting_table$|furnace$|chest$|torch$|obsidian$|glass$|wheat|sugar_cane$|water$|lava$)/,
+  /_(pickaxe|axe|shovel|hoe|sword)$|^(white_bed$|oak_door$|bread$|apple$|carrot$|potato$|beef$|porkchop$|chicken$|mutton$|bucket$|ladder$|bow$|arrow$|shield$|string$|leather$|feather$|flint$|cooked_)/,
+];
+const LOW_RELEVANCE_PATTERN =
+  /^(potted_|infested_|waxed_|exposed_|weathered_|oxidized_|stripped_|wall_|light$|structure_|jigsaw|debug|music_disc_)|_(stairs|slab|wall|fence_gate|button|pressure_plate|sign|banner|banner_pattern|carpet|candle|candle_cake|stained_glass|stained_glass_pane|terracotta|concrete|concrete_powder|shulker_box|spawn_egg|head|skull|coral|coral_block|coral_fan|coral_wall_fan|smithing_template|pottery_sherd|armor_trim_smithing_template)$/;
+
+// Technical blocks/items never worth mentioning
+const EXCLUDED_NAMES = [
+  "air",
+  "cave_air",
+  "void_air",
+  "barrier",
+  "structure_void",
+  "command_block",
+  "repeating_command_block",
+  "chain_command_block",
+  "command_block_minecart",
+  "debug_stick",
+  "knowledge_book",
+];
+
+// Ranked names per Minecraft version
+const rankedNamesCache = new Map();
+
+/**
+ * Gets how relevant a name is to the bot's work
+ * @param {string} name - Block or item name
+ * @returns {number} - Tier (lower is more relevant)
+ */
+function getNameRelevance(name) {
+  if (LOW_RELEVANCE_PATTERN.test(name)) return NAME_RELEVANCE_TIERS.length + 1;
+  const tier = NAME_RELEVANCE_TIERS.findIndex((pattern) => pattern.test(name));
+  return tier === -1 ? NAME_RELEVANCE_TIERS.length : tier;
+}
+
+/**
+ * Sorts names by relevance, then by ID (older, more basic content first)
+ * @param {Array<string>} names - Block or item names
+ * @param {Object} byName - mcData.blocksByName or mcData.itemsByName
+ * @returns {Array<string>} - The ranked names
+ */
+function rankNames(names, byName) {
+  return names
+    .filter((name) => !EXCLUDED_NAMES.includes(name))
+    .map((name) => ({
+      name,
+      relevance: getNameRelevance(name),
+      id: byName[name]?.id ?? Infinity,
+    }))
+    .sort((a, b) => a.relevance - b.relevance || a.id - b.id)
+    .map(({ name }) => name);
+}
+
 /**
- * Gets a list of common block/item names for use in prompts
- * Uses a default version to generate the list
- * @param {string} version - Minecraft version (default: '1.20.1')
+ * Gets the most relevant block/item names of a Minecraft version for use
+ * in prompts: collectible blocks and items, ranked by relevance
+ * @param {Object|string} mcData - Minecraft data instance (or a version string)
+ * @param {number} limit - Maximum names per list
  * @returns {Object} - { blocks: Array<string>, items: Array<string> }
  */
-function getCommonNames(version = "1.20.1") {
+function getCommonNames(mcData, limit = 100) {
   try {
-    const mcData = require("minecraft-data")(version);
-    const allBlocks = Object.keys(mcData.blocksByName || {});
-    const allItems = Object.keys(mcData.itemsByName || {});
-
-    // Filter out common blocks/items (exclude technical blocks like air, barriers, etc.)
-    const excludeList = [
-      "air",
-      "barrier",
-      "structure_void",
-      "command_block",
-      "repeating_command_block",
-      "chain_command_block",
-    ];
-
-    const commonBlocks = allBlocks
-      .filter((name) => !excludeList.includes(name))
-      .slice(0, 200); // Limit to 200 most common
-
-    const commonItems = allItems
-      .filter((name) => !excludeList.includes(name))
-      .slice(0, 200); // Limit to 200 most common
-
-    return { blocks: commonBlocks, items: commonItems };
+    const data =
+      typeof mcData === "string" ? require("minecraft-data")(mcData) : mcData;
+    const version = data.version.minecraftVersion;
+
+    if (!rankedNamesCache.has(version)) {
+      rankedNamesCache.set(version, {
+        blocks: rankNames(getCollectibleBlocks(data), data.blocksByName),
+        items: rankNames(Object.keys(data.itemsByName), data.itemsByName),
+      });
+    }
+    const ranked = rankedNamesCache.get(version);
+    return {
+      blocks: ranked.blocks.slice(0, limit),
+      items: ranked.items.slice(0, limit),
+    };
   } catch (error) {
     console.error(`[BlockNames] Error getting common names: ${error.message}`);
     return { blocks: [], items: [] };
@@ -0,0 +1,211 @@
+/**
+ * Block sources
+ * Works out which blocks to mine for an item from minecraft-data: each
+ * block's "drops", plus the loot tables (where the version has them) for
+ * chance drops like flint from gravel. Every variant that drops the item is
+ * found, e.g. raw_iron comes from iron_ore and deepslate_iron_ore.
+ * Item groups (ITEM_GROUPS, e.g. "any_log") stand for several items.
+ */
+
+const { ITEM_GROUPS } = require("../config/constants");
+
+// Blocks that only exist as part of something else (a potted plant, a
+// torch on a wall, placed redstone) aren't worth going out to mine
+const NON_NATURAL_SOURCES =
+  /^(potted_|attached_)|(^|_)wall_|^(redstone_wire|tripwire|moving_piston|piston_head)$/;
+
+// Blocks players make out of others (farmland and paths from dirt, filled
+// cauldrons); mining them would tear up the player's farms and builds
+const PLAYER_MADE_SOURCES =
+  /^(farmland|dirt_path|grass_path|composter)$|_cauldron$|(^|_)candle_cake$/;
+
+// Craftable blocks that also generate in the world (stone variants, desert
+// sandstone, crops); every other block with a recipe was crafted and placed
+const NATURAL_CRAFTABLES =
+  /^(granite|diorite|andesite|coarse_dirt|(red_)?sandstone|mossy_cobblestone|bone_block|magma_block|dripstone_block|amethyst_block|muddy_mangrove_roots|moss_carpet|hay_block|wheat|melon|clay|snow|snow_block|glowstone|packed_ice|blue_ice)$|_terracotta$/;
+
+const sourceIndexCache = new Map();
+
+/**
+ * Checks whether a name is an item group rather than a single item
+ * @param {string} name - The name
+ * @returns {boolean} - True if it is a group (e.g. "any_log")
+ */
+function isItemGroup(name) {
+  return Object.prototype.hasOwnProperty.call(ITEM_GROUPS, name);
+}
+
+/**
+ * Checks whether an item is the wanted item or belongs to the wanted group
+ * @param {string} itemName - The item's name
+ * @param {string} wanted - An item name or group name
+ * @returns {boolean} - True if it matches
+ */
+function itemMatches(itemName, wanted) {
+  return isItemGroup(wanted)
+    ? ITEM_GROUPS[wanted].test(itemName)
+    : itemName === wanted;
+}
+
+/**
+ * Gets the items in a group that exist in a version
+ * @param {string} name - Item or group name
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Array<string>} - The group's items, or just the item itself
+ */
+function getGroupMembers(name, mcData) {
+  if (!isItemGroup(name)) return [name];
+  return mcData.itemsArray
+    .map((item) => item.name)
+    .filter((itemName) => ITEM_GROUPS[name].test(itemName));
+}
+
+/**
+ * Gets the item ID of a block drop; older versions wrap it in an object
+ * @param {number|Object} drop - Entry of a block's "drops"
+ * @returns {number|undefined} - The item ID
+ */
+function getDropId(drop) {
+  if (typeof drop === "number") return drop;
+  return typeof drop?.drop === "number" ? drop.drop : drop?.drop?.id;
+}
+
+/**
+ * Gets the items a block drops when mined without silk touch
+ * @param {Object} block - Block (or minecraft-data block type)
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Array<string>} - Item names
+ */
+function getBlockDrops(block, mcData) {
+  const blockType = mcData.blocks[block.type ?? block.id];
+  if (!blockType) return [];
+  const drops = (blockType.drops || [])
+    .map((drop) => mcData.items[getDropId(drop)]?.name)
+    .filter(Boolean);
+
+  // Some versions list the silk touch drop (1.16 stone drops "stone"), so
+  // the loot table has the last word where there is one
+  const loot = mcData.blockLoot?.[blockType.name]?.drops;
+  if (!loot) return drops;
+  const lootDrops = loot
+    .filter((drop) => !drop.silkTouch)
+    .map((drop) => drop.item);
+  const kept = drops.filter((itemName) => lootDrops.includes(itemName));
+  return kept.length > 0 ? kept : [...new Set(lootDrops)];
+}
+
+/**
+ * Checks whether a block only exists because a player crafted and placed it
+ * (planks, torches, crafting tables), so mining it would take apart a build
+ * @param {Object} block - minecraft-data block type
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {boolean} - True if its item has a recipe and it isn't natural
+ */
+function isCraftedBlock(block, mcData) {
+  const item = mcData.itemsByName[block.name];
+  return (
+    Boolean(item && mcData.recipes[item.id]?.length) &&
+    !NATURAL_CRAFTABLES.test(block.name)
+  );
+}
+
+/**
+ * Builds (once per version) the map of item name -> blocks that drop it
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Map<string, Array<string>>} - Block names, in block ID order
+ */
+function getSourceIndex(mcData) {
+  const version = mcData.version?.minecraftVersion || "default";
+  if (sourceIndexCache.has(version)) return sourceIndexCache.get(version);
+
+  const index = new Map();
+  const add = (itemName, blockName) => {
+    const sources = index.get(itemName) || [];
+    if (!sources.includes(blockName)) sources.push(blockName);
+    index.set(itemName, sources);
+  };
+  for (const block of mcData.blocksArray) {
+    if (
+      NON_NATURAL_SOURCES.test(block.name) ||
+      PLAYER_MADE_SOURCES.test(block.name) ||
+      isCraftedBlock(block, mcData)
+    ) {
+      continue;
+    }
+    for (const itemName of getBlockDrops(block, mcData)) {
+      add(itemName, block.name);
+    }
+    // Chance drops too, like flint from gravel
+    for (const drop of mcData.blockLoot?.[block.name]?.drops || []) {
+      if (!drop.silkTouch) add(drop.item, block.name);
+    }
+  }
+  sourceIndexCache.set(version, index);
+  return index;
+}
+
+/**
+ * Checks whether any block drops an item (loot table chance drops included),
+ * e.g. wheat from the wheat crop, whose "drops" only list wheat_seeds
+ * @param {string} itemName - The item name
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {boolean} - True if some block drops it
+ */
+function isDroppedItem(itemName, mcData) {
+  return getSourceIndex(mcData).has(itemName);
+}
+
+/**
+ * Gets the item that collecting something gives: the item itself if a block
+ * drops it, otherwise what the named block drops (raw_iron for iron_ore)
+ * @param {string} name - Item, block or group name
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {string} - Item (or group) name to count in the inventory
+ */
+function getCollectedItem(name, mcData) {
+  if (isItemGroup(name) || isDroppedItem(name, mcData)) return name;
+  const block = mcData.blocksByName[name];
+  return (block && getBlockDrops(block, mcData)[0]) || name;
+}
+
+/**
+ * Gets every block to mine for an item (or an item group). A block that
+ * drops something else stands for every block dropping the same thing, so
+ * "iron_ore" also matches deepslate_iron_ore.
+ * @param {string} name - Item, block or group name
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Array<string>} - Block names, the block named like the item
+ *   first; empty if nothing in the world drops it (glass, oak_planks), so
+ *   it has to be crafted or smelted
+ */
+function getBlockSources(name, mcData) {
+  const index = getSourceIndex(mcData);
+  const block = mcData.blocksByName[name];
+  const dropped = block ? getBlockDrops(block, mcData) : [];
+  const items =
+    block && dropped.length > 0 && !isDroppedItem(name, mcData)
+      ? dropped
+      : getGroupMembers(name, mcData);
+
+  const sources = new Set();
+  for (const itemName of items) {
+    // A block that drops itself (dirt, cobblestone) is the obvious source
+    if (index.get(itemName)?.includes(itemName)) sources.add(itemName);
+    for (const source of index.get(itemName) || []) {
+      sources.add(source);
+    }
+  }
+  // The block asked for comes first (it's what the resolver will name)
+  return block && sources.has(name)
+    ? [name, ...[...sources].filter((source) => source !== name)]
+    : [...sources];
+}
+
+module.exports = {
+  isItemGroup,
+  itemMatches,
+  getGroupMembers,
+  getBlockDrops,
+  getCollectedItem,
+  getBlockSources,
+};
@@ -0,0 +1,118 @@
+/**
+ * Cancellation utilities
+ * Every task execution gets an AbortSignal; handlers use these helpers so
+ * interrupted work stops promptly and never touches the queue afterwards
+ */
+
+/**
+ * Checks whether a task execution has been cancelled
+ * @param {AbortSignal} signal - The execution's signal (may be undefined)
+ * @returns {boolean} - True if cancelled
+ */
+function isCancelled(signal) {
+  return !!signal && signal.aborted;
+}
+
+/**
+ * Checks whether an error was thrown because the execution was cancelled
+ * @param {Error} error - The caught error
+ * @returns {boolean} - True if it is a cancellation error
+ */
+function isCancellationError(error) {
+  return !!error && error.name === "AbortError";
+}
+
+/**
+ * Creates the error used to unwind a cancelled handler
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} - An error named "AbortError"
+ */
+function createCancellationError(signal) {
+  const reason = signal && signal.reason;
+  const error = new Error(
+    typeof reason === "string" ? reason : "Task was cancelled"
+  );
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Throws if the execution has been cancelled. Call after every await that
+ * may take a while, before acting on its result.
+ * @param {AbortSignal} signal - The execution's signal
+ * @throws {Error} - AbortError if cancelled
+ */
+function throwIfCancelled(signal) {
+  if (isCancelled(signal)) {
+    throw createCancellationError(signal);
+  }
+}
+
+/**
+ * Races a promise against cancellation. The underlying operation is not
+ * stopped by this (the supervisor halts pathfinding/digging separately),
+ * but the handler stops waiting for it immediately.
+ * @param {Promise} promise - The operation to wait for
+ * @param {AbortSignal} signal - The execution's signal
+ * @returns {Promise} - Resolves/rejects with the operation, or rejects with AbortError
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) {
+    promise.catch(() => {}); // The result no longer matters
+    return Promise.reject(createCancellationError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      promise.catch(() => {});
+      reject(createCancellationError(signal));
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(
+      (value) => {
+        signal.removeEventListener("abort", onAbort);
+        resolve(value);
+      },
+      (error) => {
+        signal.removeEventListener("abort", onAbort);
+        reject(error);
+      }
+    );
+  });
+}
+
+/**
+ * Waits for a delay, rejecting early if the execution is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - The execution's signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  let timer;
+  const delay = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms);
+  });
+  return abortable(delay, signal).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Waits until the execution is cancelled (for continuous tasks like follow)
+ * @param {AbortSignal} signal - The execution's signal
+ * @returns {Promise<void>} - Resolves once cancelled
+ */
+function waitForCancellation(signal) {
+  if (!signal || signal.aborted) return Promise.resolve();
+  return new Promise((resolve) => {
+    signal.addEventListener("abort", () => resolve(), { once: true });
+  });
+}
+
+module.exports = {
+  isCancelled,
+  isCancellationError,
+  throwIfCancelled,
+  abortable,
+  sleep,
+  waitForCancellation,
+};
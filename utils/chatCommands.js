@@ -0,0 +1,87 @@
+/**
+ * Chat command parsing utilities
+ * Works out how a chat command should affect the existing task queue
+ */
+
+const { GAME_TIME_EVENTS } = require("../config/constants");
+
+const INTERVAL_UNITS_MS = {
+  second: 1000,
+  sec: 1000,
+  minute: 60000,
+  min: 60000,
+  hour: 3600000,
+  hr: 3600000,
+};
+
+/**
+ * Queue modes a chat command can use, selected by its first word:
+ * - "Allen then ..."  appends the new plan after everything already queued
+ * - "Allen first ..." runs the new plan next, before the rest of the queue
+ * - "Allen now ..."   interrupts and replaces the current plan (the default)
+ */
+const QUEUE_MODE_KEYWORDS = {
+  then: "append",
+  first: "first",
+  now: "interrupt",
+};
+
+/**
+ * Splits a chat command into its queue mode and the actual request
+ * @param {string} command - The command with the "Allen" prefix removed
+ * @returns {{ mode: string, request: string }} - mode is "append", "first" or "interrupt"
+ */
+function parseQueueMode(command) {
+  const match = command.match(/^(then|first|now)\b[\s,:]*(.*)$/i);
+  if (match && match[2].trim()) {
+    return {
+      mode: QUEUE_MODE_KEYWORDS[match[1].toLowerCase()],
+      request: match[2].trim(),
+    };
+  }
+  return { mode: "interrupt", request: command };
+}
+
+/**
+ * Recognizes recurring commands and splits off their trigger:
+ * - "every 10 minutes collect wheat"       -> interval trigger
+ * - "every morning go to the bed"          -> gameTime trigger
+ * - "at nightfall go to the bed"           -> gameTime trigger
+ * @param {string} command - The command with the "Allen" prefix removed
+ * @returns {{ trigger: Object, request: string }|null} - null if not a schedule
+ */
+function parseScheduleCommand(command) {
+  const units = Object.keys(INTERVAL_UNITS_MS).join("|");
+  const interval = command.match(
+    new RegExp(`^every\\s+(\\d+\\s*)?(${units})s?\\b[\\s,:]*(.+)$`, "i")
+  );
+  if (interval) {
+    const amount = interval[1] ? parseInt(interval[1], 10) : 1;
+    return {
+      trigger: {
+        type: "interval",
+        everyMs: amount * INTERVAL_UNITS_MS[interval[2].toLowerCase()],
+      },
+      request: interval[3].trim(),
+    };
+  }
+
+  const events = Object.keys(GAME_TIME_EVENTS).join("|");
+  const gameTime = command.match(
+    new RegExp(`^(?:every|each|at)\\s+(${events})\\b[\\s,:]*(.+)$`, "i")
+  );
+  if (gameTime) {
+    return {
+      trigger: { type: "gameTime", at: gameTime[1].toLowerCase() },
+      request: gameTime[2].trim(),
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  QUEUE_MODE_KEYWORDS,
+  parseQueueMode,
+  parseScheduleCommand,
+};
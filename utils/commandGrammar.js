@@ -0,0 +1,125 @@
+/**
+ * Command grammar
+ * Turns simple, unambiguous chat commands straight into tasks, so they don't
+ * need a round trip through the LLM:
+ * - "stop"
+ * - "inventory" / "what do you have"
+ * - "come" / "come here" / "come to me"
+ * - "follow me" / "follow <player>"
+ * - "collect <n> <block>" (also mine, gather, chop)
+ * - "craft <n> <item>" (also make)
+ * - "goto <x> <y> <z>" (also "go to", "move to"; commas allowed)
+ * Anything else, or a name that isn't an exact block/item, returns null and
+ * is left to the LLM.
+ */
+
+const { isValidName } = require("./blockNames");
+const { validateCraftRequest } = require("./recipes");
+const { isItemGroup } = require("./blockSources");
+
+const COUNT = "(\\d+|an?)\\s+";
+const RULES = [
+  {
+    pattern: /^(stop|halt|stop (it|everything|that))$/i,
+    tasks: () => [{ type: "stop" }],
+  },
+  {
+    pattern:
+      /^(inventory|inv|what do you have|what('s| is) in your inventory|show (me )?(your )?inventory)$/i,
+    tasks: () => [{ type: "inventory" }],
+  },
+  {
+    pattern: /^come( here| to me)?$/i,
+    tasks: (match, { username }) =>
+      username ? [{ type: "move", player: username }] : null,
+  },
+  {
+    pattern: /^follow (\w+)$/i,
+    tasks: (match, { username }) => {
+      const player = match[1].toLowerCase() === "me" ? username : match[1];
+      return player ? [{ type: "follow", player }] : null;
+    },
+  },
+  {
+    pattern: new RegExp(
+      `^(?:collect|mine|gather|chop)\\s+(?:${COUNT})?(.+)$`,
+      "i"
+    ),
+    tasks: (match, { mcData }) => {
+      const target = toName(match[2], mcData);
+      return target
+        ? [{ type: "collect", target, count: toCount(match[1]) }]
+        : null;
+    },
+  },
+  {
+    pattern: new RegExp(`^(?:craft|make)\\s+(?:${COUNT})?(.+)$`, "i"),
+    tasks: (match, { mcData }) => {
+      const target = toName(match[2], mcData);
+      if (!target || !validateCraftRequest(target, mcData).valid) return null;
+      return [{ type: "craft", target, count: toCount(match[1]) }];
+    },
+  },
+  {
+    pattern: /^(?:go ?to|move to)\s+(-?\d+)[\s,]+(-?\d+)[\s,]+(-?\d+)$/i,
+    tasks: (match) => [
+      {
+        type: "move",
+        x: parseInt(match[1], 10),
+        y: parseInt(match[2], 10),
+        z: parseInt(match[3], 10),
+      },
+    ],
+  },
+];
+
+/**
+ * Parses a count word
+ * @param {string|undefined} word - A number, "a" or "an", or nothing
+ * @returns {number} - The count (1 if not given)
+ */
+function toCount(word) {
+  const count = parseInt(word, 10);
+  return Number.isInteger(count) && count > 0 ? count : 1;
+}
+
+/**
+ * Turns words into an exact block/item name ("oak logs" -> "oak_log") or
+ * item group ("any logs" -> "any_log").
+ * Fuzzy matches are left to the LLM, which knows what the player meant.
+ * @param {string} words - The name as typed
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {string|null} - The name, or null if it isn't an exact match
+ */
+function toName(words, mcData) {
+  if (!mcData) return null;
+  const name = words.trim().toLowerCase().replace(/\s+/g, "_");
+  const candidates = [name, name.replace(/es$/, ""), name.replace(/s$/, "")];
+  return (
+    candidates.find(
+      (candidate) => isValidName(candidate, mcData) || isItemGroup(candidate)
+    ) || null
+  );
+}
+
+/**
+ * Parses a simple command into tasks without the LLM
+ * @param {string} command - The request, with the "Allen" prefix and queue
+ *   mode keyword removed
+ * @param {Object} context - { username: who said it, mcData }
+ * @returns {Array|null} - The tasks, or null if the LLM should handle it
+ */
+function parseSimpleCommand(command, { username = null, mcData = null } = {}) {
+  const text = command.trim().replace(/[.!?]+$/, "");
+  for (const rule of RULES) {
+    const match = text.match(rule.pattern);
+    if (match) {
+      return rule.tasks(match, { username, mcData });
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseSimpleCommand,
+};
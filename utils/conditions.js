@@ -0,0 +1,189 @@
+/**
+ * Conditions for control-flow tasks (repeat until, if, wait until)
+ *
+ * Condition formats:
+ * - { type: "has", item: "oak_log", count: 5 }       inventory has at least count (default 1)
+ * - { type: "time", is: "day" | "night" }            in-game time of day
+ * - { type: "health", below: 10 } / { above: 15 }    bot health (0-20)
+ * - { type: "food", below: 6 } / { above: 15 }       bot food level (0-20)
+ * - { type: "playerNearby", player: "Steve", distance: 8 }
+ * - { type: "not", condition: {...} }
+ * - { type: "all" | "any", conditions: [...] }
+ */
+
+const { getInventoryCount } = require("./inventory");
+
+const CONDITION_TYPES = [
+  "has",
+  "time",
+  "health",
+  "food",
+  "playerNearby",
+  "not",
+  "all",
+  "any",
+];
+
+/**
+ * Validates a threshold condition ({ below } and/or { above })
+ * @param {Object} condition - The condition
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateThreshold(condition) {
+  const { below, above } = condition;
+  if (below === undefined && above === undefined) {
+    return `"${condition.type}" condition needs "below" or "above"`;
+  }
+  if (
+    (below !== undefined && !Number.isFinite(below)) ||
+    (above !== undefined && !Number.isFinite(above))
+  ) {
+    return `"${condition.type}" thresholds must be numbers`;
+  }
+  return null;
+}
+
+/**
+ * Validates a condition
+ * @param {Object} condition - The condition
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateCondition(condition) {
+  if (!condition || typeof condition !== "object") {
+    return "Condition must be an object";
+  }
+
+  switch (condition.type) {
+    case "has":
+      if (!condition.item) return '"has" condition needs an "item"';
+      if (condition.count !== undefined && !Number.isFinite(condition.count)) {
+        return '"has" count must be a number';
+      }
+      return null;
+    case "time":
+      return ["day", "night"].includes(condition.is)
+        ? null
+        : '"time" condition needs "is": "day" or "night"';
+    case "health":
+    case "food":
+      return validateThreshold(condition);
+    case "playerNearby":
+      return condition.player
+        ? null
+        : '"playerNearby" condition needs a "player"';
+    case "not":
+      return validateCondition(condition.condition);
+    case "all":
+    case "any":
+      if (
+        !Array.isArray(condition.conditions) ||
+        condition.conditions.length === 0
+      ) {
+        return `"${condition.type}" condition needs a "conditions" array`;
+      }
+      for (const inner of condition.conditions) {
+        const error = validateCondition(inner);
+        if (error) return error;
+      }
+      return null;
+    default:
+      return `Unknown condition type "${
+        condition.type
+      }" (use ${CONDITION_TYPES.join(", ")})`;
+  }
+}
+
+/**
+ * Checks a value against a { below, above } threshold
+ * @param {number} value - The current value
+ * @param {Object} condition - { below?, above? }
+ * @returns {boolean} - True if within the threshold
+ */
+function matchesThreshold(value, { below, above }) {
+  if (typeof value !== "number") return false;
+  if (below !== undefined && !(value < below)) return false;
+  if (above !== undefined && !(value > above)) return false;
+  return true;
+}
+
+/**
+ * Evaluates a condition against the bot's current state
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} condition - A validated condition
+ * @returns {boolean} - True if the condition holds
+ */
+function evaluateCondition(bot, condition) {
+  switch (condition.type) {
+    case "has":
+      return getInventoryCount(bot, condition.item) >= (condition.count || 1);
+    case "time":
+      return condition.is === "day" ? !!bot.time?.isDay : !bot.time?.isDay;
+    case "health":
+      return matchesThreshold(bot.health, condition);
+    case "food":
+      return matchesThreshold(bot.food, condition);
+    case "playerNearby": {
+      const player = bot.players[condition.player];
+      if (!player || !player.entity || !bot.entity) return false;
+      return (
+        bot.entity.position.distanceTo(player.entity.position) <=
+        (condition.distance || 8)
+      );
+    }
+    case "not":
+      return !evaluateCondition(bot, condition.condition);
+    case "all":
+      return condition.conditions.every((inner) =>
+        evaluateCondition(bot, inner)
+      );
+    case "any":
+      return condition.conditions.some((inner) =>
+        evaluateCondition(bot, inner)
+      );
+    default:
+      return false;
+  }
+}
+
+/**
+ * Describes a condition in words (for chat messages)
+ * @param {Object} condition - The condition
+ * @returns {string} - e.g. "I have 5 oak_log"
+ */
+function describeCondition(condition) {
+  const threshold = ({ below, above }) =>
+    [
+      below !== undefined && `below ${below}`,
+      above !== undefined && `above ${above}`,
+    ]
+      .filter(Boolean)
+      .join(" and ");
+
+  switch (condition.type) {
+    case "has":
+      return `I have ${condition.count || 1} ${condition.item}`;
+    case "time":
+      return `it is ${condition.is}`;
+    case "health":
+      return `health is ${threshold(condition)}`;
+    case "food":
+      return `food is ${threshold(condition)}`;
+    case "playerNearby":
+      return `${condition.player} is nearby`;
+    case "not":
+      return `not (${describeCondition(condition.condition)})`;
+    case "all":
+      return condition.conditions.map(describeCondition).join(" and ");
+    case "any":
+      return condition.conditions.map(describeCondition).join(" or ");
+    default:
+      return "unknown condition";
+  }
+}
+
+module.exports = {
+  CONDITION_TYPES,
+  validateCondition,
+  evaluateCondition,
+  describeCondition,
+};
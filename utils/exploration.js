@@ -0,0 +1,194 @@
+/**
+ * Exploration
+ * Searches further afield for a block that isn't within the normal search
+ * distance: first digging down to the height where an ore is most common,
+ * then walking an outward square spiral and looking around each waypoint,
+ * until the block is found or the distance/time budget runs out.
+ */
+
+const { GoalY, GoalNearXZ } = require("mineflayer-pathfinder").goals;
+const { EXPLORATION, ORE_Y_LEVELS } = require("../config/constants");
+const {
+  abortable,
+  throwIfCancelled,
+  isCancellationError,
+} = require("./cancellation");
+
+/**
+ * Generates waypoints on an outward square spiral around a point
+ * @param {Object} center - { x, z } to spiral around
+ * @param {number} step - Distance between waypoints
+ * @param {number} maxDistance - Furthest a waypoint may be (per axis)
+ * @yields {Object} - { x, z, distance }
+ */
+function* spiralWaypoints(center, step, maxDistance) {
+  for (let ring = 1; ring * step <= maxDistance; ring++) {
+    // Walk the ring's perimeter, starting at its north-west corner
+    const sides = [
+      [1, 0],
+      [0, 1],
+      [-1, 0],
+      [0, -1],
+    ];
+    let dx = -ring;
+    let dz = -ring;
+    for (const [stepX, stepZ] of sides) {
+      for (let i = 0; i < ring * 2; i++) {
+        yield {
+          x: Math.round(center.x + dx * step),
+          z: Math.round(center.z + dz * step),
+          distance: ring * step,
+        };
+        dx += stepX;
+        dz += stepZ;
+      }
+    }
+  }
+}
+
+/**
+ * Gets the height to dig down to before exploring for a block
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {string} blockName - The block being looked for
+ * @returns {number|null} - The Y level, or null if the block isn't an ore
+ *   found deeper than the bot is
+ */
+function getOreLevel(bot, blockName) {
+  if (!(blockName in ORE_Y_LEVELS)) return null;
+
+  // Worlds before 1.18 stop at y=0
+  const minY = bot.game?.minY ?? 0;
+  const level = Math.max(ORE_Y_LEVELS[blockName], minY + 5);
+  return bot.entity.position.y - level > 8 ? level : null;
+}
+
+/**
+ * Pathfinds towards a goal for at most a while
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} goal - Pathfinder goal
+ * @param {number} timeoutMs - How long to try
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ * @returns {Promise<boolean>} - True if the goal was reached
+ */
+async function gotoWithin(bot, goal, timeoutMs, signal) {
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  try {
+    const reached = await abortable(
+      Promise.race([bot.pathfinder.goto(goal).then(() => true), timeout]),
+      signal
+    );
+    if (!reached) bot.pathfinder.stop();
+    return reached;
+  } catch (error) {
+    if (isCancellationError(error)) throw error;
+    throwIfCancelled(signal);
+    console.log(`[Explore] Couldn't reach goal: ${error.message}`);
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Explores for a block until some are found or the budget runs out
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Array<Object>} blockTypes - minecraft-data block types to look for
+ *   (variants of one block, e.g. iron_ore and deepslate_iron_ore)
+ * @param {Object} options - {
+ *   count: how many positions to return,
+ *   signal: AbortSignal cancelled when the task is interrupted,
+ *   onProgress: called with a progress message for the player,
+ *   maxDistance, maxTimeMs: the budget (default from EXPLORATION) }
+ * @returns {Promise<Object>} - { blocks: positions found (empty if none),
+ *   explored: furthest distance covered, waypoints: waypoints visited }
+ */
+async function exploreFor(
+  bot,
+  blockTypes,
+  {
+    count = 1,
+    signal = null,
+    onProgress = () => {},
+    maxDistance = EXPLORATION.maxDistance,
+    maxTimeMs = EXPLORATION.maxTimeMs,
+  } = {}
+) {
+  const [blockType] = blockTypes;
+  const started = Date.now();
+  const start = bot.entity.position.clone();
+  const timeLeft = () => maxTimeMs - (Date.now() - started);
+  const search = () =>
+    bot.findBlocks({
+      matching: blockTypes.map((type) => type.id),
+      maxDistance: EXPLORATION.searchRadius,
+      count,
+    });
+  const result = { blocks: [], explored: 0, waypoints: 0 };
+  if (maxDistance <= 0) return result;
+
+  // Ores are far more common at certain heights
+  const oreLevel = getOreLevel(bot, blockType.name);
+  if (oreLevel !== null) {
+    onProgress(
+      `Digging down to y=${oreLevel} to look for ${blockType.name}...`
+    );
+    await gotoWithin(
+      bot,
+      new GoalY(oreLevel),
+      Math.min(timeLeft(), EXPLORATION.legTimeoutMs * 2),
+      signal
+    );
+    result.blocks = search();
+    if (result.blocks.length > 0) return result;
+  }
+
+  for (const waypoint of spiralWaypoints(
+    start,
+    EXPLORATION.stepDistance,
+    maxDistance
+  )) {
+    if (timeLeft() <= 0) {
+      console.log(`[Explore] Out of time after ${result.waypoints} waypoints`);
+      break;
+    }
+    throwIfCancelled(signal);
+
+    // Report each time the spiral moves out to a new ring
+    if (waypoint.distance > result.explored) {
+      const seconds = Math.ceil(timeLeft() / 1000);
+      onProgress(
+        `Exploring ${waypoint.distance} blocks out for ${blockType.name} (${seconds}s left)...`
+      );
+    }
+    result.explored = waypoint.distance;
+    result.waypoints++;
+
+    console.log(
+      `[Explore] Waypoint ${result.waypoints}: x=${waypoint.x}, z=${waypoint.z}`
+    );
+    await gotoWithin(
+      bot,
+      new GoalNearXZ(waypoint.x, waypoint.z, 4),
+      Math.min(timeLeft(), EXPLORATION.legTimeoutMs),
+      signal
+    );
+    result.blocks = search();
+    if (result.blocks.length > 0) {
+      console.log(
+        `[Explore] Found ${result.blocks.length} ${blockType.name} after ${result.waypoints} waypoints`
+      );
+      return result;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  spiralWaypoints,
+  getOreLevel,
+  gotoWithin,
+  exploreFor,
+};
@@ -2,16 +2,18 @@
  * Inventory utility functions
  */
 
+const { itemMatches } = require("./blockSources");
+
 /**
  * Gets the count of an item in the bot's inventory
  * @param {Object} bot - The mineflayer bot instance
- * @param {string} itemName - Name of the item to count
+ * @param {string} itemName - Name of the item (or item group) to count
  * @returns {number} - Count of items in inventory
  */
 function getInventoryCount(bot, itemName) {
   return bot.inventory
     .items()
-    .filter((item) => item.name === itemName)
+    .filter((item) => itemMatches(item.name, itemName))
     .reduce((sum, item) => sum + item.count, 0);
 }
 
@@ -0,0 +1,309 @@
+/**
+ * Plan validation
+ * Checks a plan from the LLM before it is queued: task types, required
+ * fields, block/item names and whether crafts and smelts can actually be
+ * done. The errors are written for the LLM, so it can correct its plan.
+ */
+
+const {
+  validateTasks,
+  validateAndCorrectName,
+  isValidBlockName,
+  getSuggestions,
+} = require("./blockNames");
+const {
+  validateCraftRequest,
+  resolveAllDependencies,
+  getSmeltInfo,
+} = require("./recipes");
+const { getBlockSources } = require("./blockSources");
+const { validateTaskSpecs } = require("./queue");
+
+const TASK_TYPES = [
+  "collect",
+  "mine",
+  "craft",
+  "smelt",
+  "place",
+  "move",
+  "follow",
+  "inventory",
+  "stop",
+  "repeat",
+  "if",
+  "wait",
+  "clarify",
+  "unknown",
+];
+
+// Fields each task type needs (move needs "block", "player" or x/y/z)
+const REQUIRED_FIELDS = {
+  collect: ["target"],
+  mine: ["target"],
+  craft: ["target"],
+  smelt: ["input", "output"],
+  place: ["target"],
+  follow: ["player"],
+  clarify: ["question"],
+};
+
+/**
+ * Describes a task for an error message
+ * @param {Object} task - The task
+ * @param {string} path - Where the task is in the plan (e.g. "Step 2")
+ * @returns {string} - e.g. 'Step 2 (craft "stick")'
+ */
+function describeTask(task, path) {
+  const name = task.target || task.output || task.block || task.player;
+  return name ? `${path} (${task.type} "${name}")` : `${path} (${task.type})`;
+}
+
+/**
+ * Checks that a name is a known block or item
+ * @param {string} name - The name
+ * @param {Object} mcData - Minecraft data instance
+ * @param {boolean} blockOnly - Whether it must be a block
+ * @returns {string|null} - Error message, or null if valid
+ */
+function checkName(name, mcData, blockOnly = false) {
+  const known = blockOnly
+    ? isValidBlockName(name, mcData)
+    : validateAndCorrectName(name, mcData).valid;
+  if (known) return null;
+
+  const suggestions = getSuggestions(name, mcData);
+  return `"${name}" is not a Minecraft ${blockOnly ? "block" : "block or item"}${
+    suggestions.length > 0 ? ` (did you mean ${suggestions.join(", ")}?)` : ""
+  }`;
+}
+
+/**
+ * Checks the item names in a condition, including nested conditions
+ * @param {Object} condition - The condition
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Array<string>} - Error messages
+ */
+function checkCondition(condition, mcData) {
+  if (!condition || typeof condition !== "object") return [];
+
+  const errors = [];
+  if (typeof condition.item === "string") {
+    const error = checkName(condition.item, mcData);
+    if (error) errors.push(error);
+  }
+  errors.push(...checkCondition(condition.condition, mcData));
+  for (const inner of condition.conditions || []) {
+    errors.push(...checkCondition(inner, mcData));
+  }
+  return errors;
+}
+
+/**
+ * Checks that a craft can be done, the same way the craft handler will
+ * @param {Object} task - The craft task
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Object} inventoryMap - Current inventory as { itemName: count }
+ * @returns {string|null} - Error message, or null if feasible
+ */
+function checkCraft(task, mcData, inventoryMap) {
+  const craftValidation = validateCraftRequest(task.target, mcData);
+  if (!craftValidation.valid) {
+    const smeltInfo = getSmeltInfo(task.target);
+    return smeltInfo
+      ? `${craftValidation.message}; use a smelt task with input "${smeltInfo.input}" instead`
+      : craftValidation.message;
+  }
+
+  const resolution = resolveAllDependencies(
+    task.target,
+    task.count || 1,
+    mcData,
+    inventoryMap
+  );
+  return resolution.feasible
+    ? null
+    : `can't be crafted: ${resolution.reason}`;
+}
+
+/**
+ * Checks that something in the world drops what a collect task wants, so
+ * crafted and smelted things (oak_planks, glass) are made instead
+ * @param {Object} task - The collect task
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {string|null} - Error message, or null if it can be collected
+ */
+function checkCollect(task, mcData) {
+  if (getBlockSources(task.target, mcData).length > 0) return null;
+
+  const smeltInfo = getSmeltInfo(task.target);
+  if (smeltInfo) {
+    return `no block drops "${task.target}"; use a smelt task with input "${smeltInfo.input}" instead`;
+  }
+  return validateCraftRequest(task.target, mcData).valid
+    ? `no block drops "${task.target}"; use a craft task instead`
+    : `no block drops "${task.target}", so it can't be collected`;
+}
+
+/**
+ * Checks one task (and the tasks nested in it)
+ * @param {Object} task - The task
+ * @param {string} path - Where the task is in the plan
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Object} inventoryMap - Current inventory as { itemName: count }
+ * @returns {Array<string>} - Error messages
+ */
+function checkTask(task, path, mcData, inventoryMap) {
+  if (!task || typeof task !== "object" || !task.type) {
+    return [`${path} is missing "type"`];
+  }
+  if (!TASK_TYPES.includes(task.type)) {
+    return [
+      `${path} has unknown type "${task.type}" (use one of ${TASK_TYPES.join(
+        ", "
+      )})`,
+    ];
+  }
+
+  const label = describeTask(task, path);
+  const errors = [];
+  const missing = (REQUIRED_FIELDS[task.type] || []).filter(
+    (field) => typeof task[field] !== "string" || task[field].trim() === ""
+  );
+  if (
+    task.type === "move" &&
+    !task.block &&
+    !task.player &&
+    ![task.x, task.y, task.z].every(Number.isFinite)
+  ) {
+    missing.push('"block", "player" or "x", "y" and "z"');
+  }
+  if (missing.length > 0) {
+    errors.push(`${label} is missing ${missing.join(", ")}`);
+    return errors;
+  }
+  if (
+    task.count !== undefined &&
+    (!Number.isFinite(task.count) || task.count < 1)
+  ) {
+    errors.push(`${label}: count must be a positive number`);
+  }
+
+  const nameErrors = [];
+  switch (task.type) {
+    case "collect":
+    case "mine":
+    case "craft":
+      nameErrors.push(checkName(task.target, mcData));
+      break;
+    case "place":
+      nameErrors.push(checkName(task.target, mcData, true));
+      break;
+    case "move":
+      if (task.block) nameErrors.push(checkName(task.block, mcData, true));
+      break;
+    case "smelt":
+      nameErrors.push(checkName(task.input, mcData));
+      nameErrors.push(checkName(task.output, mcData));
+      break;
+  }
+  for (const field of ["condition", "until"]) {
+    nameErrors.push(...checkCondition(task[field], mcData));
+  }
+  const invalidNames = nameErrors.filter(Boolean);
+  errors.push(...invalidNames.map((error) => `${label}: ${error}`));
+
+  // Only check feasibility once the names are right
+  if (invalidNames.length === 0) {
+    if (task.type === "collect") {
+      const error = checkCollect(task, mcData);
+      if (error) errors.push(`${label}: ${error}`);
+    }
+    if (task.type === "craft") {
+      const error = checkCraft(task, mcData, inventoryMap);
+      if (error) errors.push(`${label}: ${error}`);
+    }
+    if (task.type === "smelt") {
+      const smeltInfo = getSmeltInfo(task.output);
+      if (!smeltInfo) {
+        errors.push(`${label}: "${task.output}" can't be smelted`);
+      } else if (smeltInfo.input !== task.input) {
+        errors.push(
+          `${label}: ${task.output} is smelted from "${smeltInfo.input}", not "${task.input}"`
+        );
+      }
+    }
+  }
+
+  for (const field of ["tasks", "then", "else"]) {
+    if (Array.isArray(task[field])) {
+      task[field].forEach((inner, i) => {
+        const innerPath = `${path} ${field}[${i}]`;
+        if (inner?.type === "clarify") {
+          errors.push(
+            `${innerPath}: a clarify can't be nested in a ${task.type}`
+          );
+          return;
+        }
+        errors.push(...checkTask(inner, innerPath, mcData, inventoryMap));
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Validates a plan, correcting names where it safely can
+ * @param {Array} tasks - The planned tasks
+ * @param {Object} mcData - Minecraft data instance (names and recipes are
+ *   only checked if given)
+ * @param {Object} inventoryMap - Current inventory as { itemName: count },
+ *   used to check that crafts are feasible
+ * @param {Object} options - { allowClarify: whether a clarifying question
+ *   may be returned instead of a plan (default true) }
+ * @returns {Object} - { tasks: corrected tasks, errors: Array<string> }
+ */
+function validatePlan(
+  tasks,
+  mcData = null,
+  inventoryMap = {},
+  { allowClarify = true } = {}
+) {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return { tasks, errors: ["The plan must be a non-empty JSON array"] };
+  }
+  if (tasks.some((task) => task?.type === "clarify")) {
+    if (!allowClarify) {
+      return {
+        tasks,
+        errors: [
+          "There is nobody to ask: make the best plan you can, or reply with an unknown task",
+        ],
+      };
+    }
+    if (tasks.length > 1) {
+      return {
+        tasks,
+        errors: ["A clarify question must be the only item in the array"],
+      };
+    }
+  }
+
+  const corrected = mcData ? validateTasks(tasks, mcData) : tasks;
+  const errors = mcData
+    ? corrected.flatMap((task, i) =>
+        checkTask(task, `Step ${i + 1}`, mcData, inventoryMap)
+      )
+    : [];
+
+  // Structure of control-flow tasks, failure policies and priorities
+  if (errors.length === 0) {
+    const structureError = validateTaskSpecs(corrected);
+    if (structureError) errors.push(structureError);
+  }
+  return { tasks: corrected, errors };
+}
+
+module.exports = {
+  TASK_TYPES,
+  validatePlan,
+};
@@ -3,25 +3,89 @@
  * Uses shared botState for event emission
  */
 
-const { botState } = require("../state/botState");
+const { botState, TASK_STATUS } = require("../state/botState");
+const {
+  FAILURE_POLICIES,
+  DEFAULT_FAILURE_POLICY,
+  TASK_PRIORITIES,
+  DEFAULT_TASK_PRIORITY,
+} = require("../config/constants");
+const { isCancelled } = require("./cancellation");
+const { validateCondition } = require("./conditions");
+const { linkPrerequisites, replaceDependency } = require("./taskGraph");
+
+// Fields added to a task while it is queued and executed, as opposed to
+// the fields describing what the task should do
+const RUNTIME_FIELDS = [
+  "id",
+  "status",
+  "createdAt",
+  "startedAt",
+  "finishedAt",
+  "attempts",
+  "result",
+  "retries",
+  "retryAt",
+  "failurePolicy",
+  "progress",
+  "issuedBy",
+  "dependsOn",
+];
+
+/**
+ * Strips runtime/lifecycle fields from a task, leaving only its description
+ * (e.g. to show it to the LLM or queue a fresh copy of it)
+ * @param {Object} task - The task
+ * @returns {Object} - A new task object without runtime fields
+ */
+function toTaskSpec(task) {
+  const spec = { ...task };
+  for (const field of RUNTIME_FIELDS) {
+    delete spec[field];
+  }
+  return spec;
+}
+
+/**
+ * Gets the index of the task being executed. It is usually at the front,
+ * but a more urgent task can be queued ahead of it before the supervisor
+ * preempts it, so the running task is looked up by its status.
+ * @param {Array} taskQueue - The task queue array
+ * @returns {number} - Index of the running task (0 if none is running)
+ */
+function getCurrentTaskIndex(taskQueue) {
+  const index = taskQueue.findIndex(
+    (task) => task.status === TASK_STATUS.RUNNING
+  );
+  return index === -1 ? 0 : index;
+}
 
 /**
  * Completes the current task and moves to the next one in the queue.
+ * Does nothing if the execution was cancelled (interrupt, pause, disconnect):
+ * by then the front of the queue may belong to a different plan.
  * @param {Object} bot - The mineflayer bot instance
  * @param {Array} taskQueue - The task queue array
  * @param {string} message - Optional completion message to chat
+ * @param {AbortSignal} signal - The execution's cancellation signal
  */
-function completeCurrentTask(bot, taskQueue, message = null) {
+function completeCurrentTask(bot, taskQueue, message = null, signal = null) {
+  if (isCancelled(signal)) {
+    console.log("[Queue] Execution was cancelled, ignoring completion");
+    return;
+  }
+
   if (message) {
     bot.chat(message);
   }
   
-  const completedTask = taskQueue.shift(); // Remove completed task from front of queue
+  // Remove the completed task (normally the front of the queue)
+  const [completedTask] = taskQueue.splice(getCurrentTaskIndex(taskQueue), 1);
   
   // Sync with botState and emit event
   botState.setQueue(taskQueue);
   if (completedTask) {
-    botState.emit("task:completed", { task: completedTask });
+    botState.markTaskSucceeded(completedTask, message);
   }
 
   if (taskQueue.length > 0) {
@@ -36,79 +100,406 @@ function completeCurrentTask(bot, taskQueue, message = null) {
 }
 
 /**
- * Fails the current task and clears the entire queue.
+ * Resolves the failure policy for a task, merging its `onFailure` field
+ * (a policy name or an options object) over the configured default
+ * @param {Object} task - The task
+ * @returns {Object} - { policy, maxRetries, backoffMs, fallback }
+ */
+function resolveFailurePolicy(task) {
+  const override =
+    typeof task?.onFailure === "string"
+      ? { policy: task.onFailure }
+      : task?.onFailure || {};
+  const resolved = { ...DEFAULT_FAILURE_POLICY, ...override };
+
+  if (!FAILURE_POLICIES.includes(resolved.policy)) {
+    console.warn(
+      `[Queue] Unknown failure policy "${resolved.policy}", using "${DEFAULT_FAILURE_POLICY.policy}"`
+    );
+    resolved.policy = DEFAULT_FAILURE_POLICY.policy;
+  }
+  if (!FAILURE_POLICIES.includes(resolved.fallback) || resolved.fallback === "retry") {
+    resolved.fallback = "abort";
+  }
+  return resolved;
+}
+
+/**
+ * Checks whether an `onFailure` value is a valid policy name or options object
+ * @param {string|Object} onFailure - The value to check
+ * @returns {boolean} - True if valid
+ */
+function isValidFailurePolicy(onFailure) {
+  if (onFailure === undefined) return true;
+  if (typeof onFailure === "string") return FAILURE_POLICIES.includes(onFailure);
+  return (
+    !!onFailure &&
+    typeof onFailure === "object" &&
+    FAILURE_POLICIES.includes(onFailure.policy)
+  );
+}
+
+/**
+ * Fails the current task and applies its failure policy (see
+ * DEFAULT_FAILURE_POLICY): retry it after a backoff, skip it, hand it to the
+ * brain to replan, or abort by clearing the entire queue.
  * @param {Object} bot - The mineflayer bot instance
- * @param {Array} taskQueue - The task queue array (will be cleared)
+ * @param {Array} taskQueue - The task queue array
  * @param {string} message - Error message to chat
+ * @param {AbortSignal} signal - The execution's cancellation signal
+ * @returns {string|null} - The policy that was applied
  */
-function failTask(bot, taskQueue, message) {
-  bot.chat(message);
-  const failedTask = taskQueue[0];
-  taskQueue.length = 0; // Clear the entire queue on failure
-  
-  // Sync with botState and emit event
-  botState.setQueue(taskQueue);
-  botState.emit("task:failed", { task: failedTask, message });
-  
-  console.log("[Queue] Task failed, queue cleared");
+function failTask(bot, taskQueue, message, signal = null) {
+  if (isCancelled(signal)) {
+    // Failures caused by cancelling the task shouldn't affect the plan
+    console.log(`[Queue] Execution was cancelled, ignoring failure (${message})`);
+    return null;
+  }
+
+  const failedIndex = getCurrentTaskIndex(taskQueue);
+  const failedTask = taskQueue[failedIndex];
+  if (!failedTask) {
+    bot.chat(message);
+    return null;
+  }
+
+  const { policy, maxRetries, backoffMs, fallback } =
+    resolveFailurePolicy(failedTask);
+  let action = policy;
+  if (action === "retry" && (failedTask.retries || 0) >= maxRetries) {
+    action = fallback;
+  }
+
+  switch (action) {
+    case "retry": {
+      // Exponential backoff: backoffMs, 2x, 4x, ...
+      const retryInMs = backoffMs * Math.pow(2, failedTask.retries || 0);
+      botState.markTaskRetrying(failedTask, message, retryInMs);
+      syncQueue(taskQueue);
+      bot.chat(
+        `${message} Retrying in ${Math.round(retryInMs / 1000)}s (${
+          failedTask.retries
+        }/${maxRetries}).`
+      );
+      console.log(`[Queue] Task failed, retry ${failedTask.retries}/${maxRetries}`);
+      break;
+    }
+    case "skip":
+      bot.chat(`${message} Skipping it.`);
+      taskQueue.splice(failedIndex, 1);
+      syncQueue(taskQueue);
+      botState.markTaskFailed(failedTask, message, action);
+      console.log("[Queue] Task failed, skipped");
+      break;
+    case "replan":
+      bot.chat(`${message} Let me find another way...`);
+      taskQueue.splice(failedIndex, 1);
+      syncQueue(taskQueue);
+      botState.markTaskFailed(failedTask, message, action);
+      // The supervisor listens for this and asks the brain for a new plan
+      botState.emit("task:replan", { task: failedTask, message });
+      console.log("[Queue] Task failed, replanning");
+      break;
+    default: {
+      bot.chat(message);
+      const droppedTasks = taskQueue.filter((task) => task !== failedTask);
+      taskQueue.length = 0; // Clear the entire queue on failure
+      syncQueue(taskQueue);
+      botState.markTaskFailed(failedTask, message, "abort");
+      for (const task of droppedTasks) {
+        botState.markTaskCancelled(task, "An earlier task failed");
+      }
+      console.log("[Queue] Task failed, queue cleared");
+    }
+  }
+
+  return action;
+}
+
+/**
+ * Gets the rank of a task's priority (0 = most urgent)
+ * @param {Object} task - The task
+ * @returns {number} - Index into TASK_PRIORITIES
+ */
+function getPriorityRank(task) {
+  const rank = TASK_PRIORITIES.indexOf(task?.priority);
+  return rank === -1 ? TASK_PRIORITIES.indexOf(DEFAULT_TASK_PRIORITY) : rank;
+}
+
+/**
+ * Checks whether a priority value is valid (or left out)
+ * @param {string} priority - The value to check
+ * @returns {boolean} - True if valid
+ */
+function isValidPriority(priority) {
+  return priority === undefined || TASK_PRIORITIES.includes(priority);
+}
+
+/**
+ * Validates the fields specific to a control-flow task (repeat, if, wait)
+ * @param {Object} task - The task definition
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateControlTask(task) {
+  switch (task.type) {
+    case "repeat":
+      if (task.times === undefined && !task.until) {
+        return 'A repeat task needs "times" or "until"';
+      }
+      if (
+        task.times !== undefined &&
+        (!Number.isInteger(task.times) || task.times < 1)
+      ) {
+        return "A repeat task's times must be a positive integer";
+      }
+      if (!Array.isArray(task.tasks) || task.tasks.length === 0) {
+        return 'A repeat task needs a non-empty "tasks" array';
+      }
+      return (
+        (task.until && validateCondition(task.until)) ||
+        validateTaskSpecs(task.tasks)
+      );
+    case "if":
+      if (!Array.isArray(task.then)) {
+        return 'An if task needs a "then" array';
+      }
+      if (task.else !== undefined && !Array.isArray(task.else)) {
+        return 'An if task\'s "else" must be an array';
+      }
+      return (
+        validateCondition(task.condition) ||
+        validateTaskSpecs(task.then) ||
+        (task.else ? validateTaskSpecs(task.else) : null)
+      );
+    case "wait":
+      if (task.seconds === undefined && !task.until) {
+        return 'A wait task needs "seconds" or "until"';
+      }
+      if (
+        task.seconds !== undefined &&
+        (!Number.isFinite(task.seconds) || task.seconds < 0)
+      ) {
+        return "A wait task's seconds must be a non-negative number";
+      }
+      return task.until ? validateCondition(task.until) : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validates task definitions submitted from outside (REST API, schedules),
+ * including the tasks nested in control-flow tasks
+ * @param {Array} tasks - The task definitions
+ * @returns {string|null} - Error message, or null if all are valid
+ */
+function validateTaskSpecs(tasks) {
+  if (!Array.isArray(tasks)) {
+    return "Tasks must be an array";
+  }
+  for (const task of tasks) {
+    if (!task || !task.type) {
+      return "Each task must have a type";
+    }
+    if (!isValidFailurePolicy(task.onFailure)) {
+      return `Invalid onFailure policy: ${JSON.stringify(task.onFailure)}`;
+    }
+    if (!isValidPriority(task.priority)) {
+      return `Invalid priority: ${JSON.stringify(task.priority)}`;
+    }
+    const controlError = validateControlTask(task);
+    if (controlError) {
+      return controlError;
+    }
+  }
+  return null;
+}
+
+/**
+ * Inserts a task after every queued task of the same or higher priority.
+ * A task more urgent than the running task goes in front of it, which makes
+ * the supervisor preempt the running task.
+ * @param {Array} taskQueue - The task queue array
+ * @param {Object} task - The task to insert
+ */
+function insertByPriority(taskQueue, task) {
+  const rank = getPriorityRank(task);
+  const index = taskQueue.findIndex((queued) => getPriorityRank(queued) > rank);
+  taskQueue.splice(index === -1 ? taskQueue.length : index, 0, task);
 }
 
 /**
- * Adds a task to the queue
+ * Adds a task to the queue, ordered by priority
  * @param {Array} taskQueue - The task queue array
  * @param {Object} task - The task to add
  */
 function addTask(taskQueue, task) {
-  taskQueue.push(task);
+  insertByPriority(taskQueue, task);
   botState.setQueue(taskQueue);
 }
 
 /**
- * Adds multiple tasks to the queue
+ * Adds multiple tasks to the queue, ordered by priority (tasks with the
+ * same priority keep their order)
  * @param {Array} taskQueue - The task queue array
  * @param {Array} tasks - Array of tasks to add
  */
 function addTasks(taskQueue, tasks) {
-  taskQueue.push(...tasks);
+  for (const task of tasks) {
+    insertByPriority(taskQueue, task);
+  }
   botState.setQueue(taskQueue);
 }
 
 /**
- * Inserts tasks at the front of the queue
+ * Inserts tasks as prerequisites of a parent task, right before it: the
+ * parent won't run again until they are done (see linkPrerequisites).
+ * Tasks without a priority inherit its priority, keeping the queue in
+ * priority order.
  * @param {Array} taskQueue - The task queue array
  * @param {Array} tasks - Array of tasks to insert
+ * @param {AbortSignal} signal - Cancellation signal of the handler inserting
+ *   prerequisites; nothing is inserted once it is cancelled
+ * @param {Array<string>|null} requires - Keys of the resolved tasks the
+ *   parent needs directly (defaults to the last tasks of the inserted plan)
+ * @param {Object|null} parent - The task that needs them (defaults to the
+ *   running task); null inserts them at the front without a parent
+ * @returns {boolean} - False if the tasks were not inserted
  */
-function insertTasksAtFront(taskQueue, tasks) {
-  for (let i = tasks.length - 1; i >= 0; i--) {
-    taskQueue.unshift(tasks[i]);
+function insertTasksAtFront(
+  taskQueue,
+  tasks,
+  signal = null,
+  requires = null,
+  parent = taskQueue[getCurrentTaskIndex(taskQueue)] || null
+) {
+  if (isCancelled(signal)) {
+    console.log("[Queue] Execution was cancelled, not inserting tasks");
+    return false;
+  }
+  linkPrerequisites(taskQueue, parent, tasks, requires);
+  const inheritedPriority = parent?.priority;
+  for (const task of tasks) {
+    if (!task.priority && inheritedPriority) {
+      task.priority = inheritedPriority;
+    }
   }
+  const index = parent ? Math.max(taskQueue.indexOf(parent), 0) : 0;
+  taskQueue.splice(index, 0, ...tasks);
   botState.setQueue(taskQueue);
+  return true;
 }
 
 /**
- * Removes a task at a specific index
+ * Completes the current task by replacing it with the tasks it expands into
+ * (e.g. the chosen branch of an if task). The new tasks run in sequence,
+ * inherit the replaced task's priority and issuer, and take its place as
+ * a prerequisite of any task that depended on it.
+ * @param {Object} bot - The mineflayer bot instance
  * @param {Array} taskQueue - The task queue array
- * @param {number} index - Index of task to remove
- * @returns {Object|null} The removed task or null
+ * @param {Array} tasks - The tasks to run in its place
+ * @param {string} message - Optional completion message to chat
+ * @param {AbortSignal} signal - The execution's cancellation signal
  */
-function removeTaskAtIndex(taskQueue, index) {
-  if (index >= 0 && index < taskQueue.length) {
-    const removed = taskQueue.splice(index, 1)[0];
-    botState.setQueue(taskQueue);
-    return removed;
+function expandCurrentTask(
+  bot,
+  taskQueue,
+  tasks,
+  message = null,
+  signal = null
+) {
+  if (tasks.length === 0) {
+    completeCurrentTask(bot, taskQueue, message, signal);
+    return;
   }
-  return null;
+  if (isCancelled(signal)) {
+    console.log("[Queue] Execution was cancelled, ignoring expansion");
+    return;
+  }
+
+  if (message) {
+    bot.chat(message);
+  }
+
+  const index = getCurrentTaskIndex(taskQueue);
+  const [expandedTask] = taskQueue.splice(index, 1);
+  const lastIds = linkPrerequisites(taskQueue, null, tasks);
+  replaceDependency(taskQueue, expandedTask.id, lastIds);
+  for (const task of tasks) {
+    if (!task.priority && expandedTask.priority) {
+      task.priority = expandedTask.priority;
+    }
+    if (!task.issuedBy && expandedTask.issuedBy) {
+      task.issuedBy = expandedTask.issuedBy;
+    }
+  }
+  taskQueue.splice(index, 0, ...tasks);
+  botState.setQueue(taskQueue);
+  botState.markTaskSucceeded(expandedTask, message);
+  console.log(
+    `[Queue] Expanded ${expandedTask.type} task into ${tasks.length} task(s)`
+  );
 }
 
 /**
- * Clears the entire queue
+ * Inserts a plan so it runs next: right after the task that is currently
+ * running (or paused), or at the front if nothing has started yet, but
+ * behind any queued task with a higher priority. Its steps are linked to
+ * run in sequence, like a prerequisite plan (see linkPrerequisites).
  * @param {Array} taskQueue - The task queue array
+ * @param {Array} tasks - Array of tasks to insert
  */
-function clearQueue(taskQueue) {
-  taskQueue.length = 0;
+function insertTasksNext(taskQueue, tasks) {
+  const index = getCurrentTaskIndex(taskQueue);
+  const current = taskQueue[index];
+  const inProgress =
+    current &&
+    (current.status === TASK_STATUS.RUNNING ||
+      current.status === TASK_STATUS.PAUSED);
+
+  const rank = Math.min(...tasks.map(getPriorityRank));
+  let position = inProgress ? index + 1 : 0;
+  while (
+    position < taskQueue.length &&
+    getPriorityRank(taskQueue[position]) < rank
+  ) {
+    position++;
+  }
+
+  linkPrerequisites(taskQueue, null, tasks);
+  taskQueue.splice(position, 0, ...tasks);
   botState.setQueue(taskQueue);
 }
 
+/**
+ * Removes a task by its ID
+ * @param {Array} taskQueue - The task queue array
+ * @param {string} taskId - ID of the task to remove
+ * @returns {Object|null} The removed task or null if not queued
+ */
+function removeTaskById(taskQueue, taskId) {
+  const index = taskQueue.findIndex((task) => task.id === taskId);
+  if (index === -1) return null;
+
+  const removed = taskQueue.splice(index, 1)[0];
+  botState.setQueue(taskQueue);
+  botState.markTaskCancelled(removed, "Removed from queue");
+  return removed;
+}
+
+/**
+ * Clears the entire queue, marking every queued task as cancelled
+ * @param {Array} taskQueue - The task queue array
+ * @param {string} reason - Why the tasks were cancelled
+ */
+function clearQueue(taskQueue, reason = "Queue cleared") {
+  const cancelledTasks = taskQueue.splice(0, taskQueue.length);
+  botState.setQueue(taskQueue);
+  for (const task of cancelledTasks) {
+    botState.markTaskCancelled(task, reason);
+  }
+}
+
 /**
  * Syncs the taskQueue with botState (call after direct modifications)
  * @param {Array} taskQueue - The task queue array
@@ -118,12 +509,21 @@ function syncQueue(taskQueue) {
 }
 
 module.exports = {
+  getCurrentTaskIndex,
   completeCurrentTask,
   failTask,
+  resolveFailurePolicy,
+  isValidFailurePolicy,
+  getPriorityRank,
+  isValidPriority,
+  validateTaskSpecs,
+  toTaskSpec,
   addTask,
   addTasks,
   insertTasksAtFront,
-  removeTaskAtIndex,
+  insertTasksNext,
+  expandCurrentTask,
+  removeTaskById,
   clearQueue,
   syncQueue,
 };
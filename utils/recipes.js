@@ -2,7 +2,9 @@
  * Recipe validation and lookup utilities using minecraft-data
  */
 
-const { ITEM_TO_BLOCK_SOURCE, SMELTABLE_ITEMS, FUEL_ITEMS } = require("../config/constants");
+const { SMELTABLE_ITEMS, FUEL_ITEMS } = require("../config/constants");
+const { getBlockSources } = require("./blockSources");
+const { getCheapestTool } = require("./tools");
 
 /**
  * Checks if an item is obtained through smelting
@@ -429,6 +431,31 @@ function formatRecipesForPrompt(mcData, limit = 30) {
   return lines.join("\n");
 }
 
+/**
+ * Formats the smelting recipes that exist in this Minecraft version for use
+ * in LLM prompts
+ * @param {Object} mcData - Minecraft data instance
+ * @param {number} limit - Maximum number of recipes to include
+ * @returns {string} - One "- output: input" line per recipe
+ */
+function formatSmeltingForPrompt(mcData, limit = 15) {
+  if (!mcData) return "";
+
+  return Object.entries(SMELTABLE_ITEMS)
+    .filter(
+      ([output, { input }]) =>
+        mcData.itemsByName[output] && mcData.itemsByName[input]
+    )
+    .slice(0, limit)
+    .map(([output, { input }]) => {
+      const source = getBlockSources(input, mcData)[0];
+      return source && source !== input
+        ? `- ${output}: ${input} (from ${source})`
+        : `- ${output}: ${input}`;
+    })
+    .join("\n");
+}
+
 /**
  * Validates that an item can be crafted and returns helpful info
  * @param {string} itemName - The item to validate
@@ -481,36 +508,70 @@ function isRawMaterial(itemName, mcData) {
   if (!item) return true; // Unknown items treated as raw materials
   
   const recipes = mcData.recipes[item.id];
-  return !recipes || recipes.length === 0;
+  if (!recipes || recipes.length === 0) return true;
+  
+  // Items a block drops are mined if their only recipes unpack a storage
+  // block made of them (diamond from diamond_block, wheat from hay_bale),
+  // which would otherwise be a circular dependency
+  const unpacksStorageBlock = (recipe) => {
+    const ingredients = getRecipeIngredients(recipe, mcData);
+    if (ingredients.length !== 1) return false;
+    const block = mcData.itemsByName[ingredients[0].name];
+    return (mcData.recipes[block?.id] || []).some((blockRecipe) =>
+      getRecipeIngredients(blockRecipe, mcData).some((i) => i.name === itemName)
+    );
+  };
+  return (
+    recipes.every(unpacksStorageBlock) &&
+    getBlockSources(itemName, mcData).length > 0
+  );
 }
 
 /**
  * Gets the collectible block name for an item
- * Some items are dropped from different blocks (e.g., cobblestone from stone)
+ * Some items are dropped from different blocks (e.g., raw_iron from iron_ore)
  * @param {string} itemName - The item name
  * @param {Object} mcData - Minecraft data instance
  * @returns {string} - The block name to collect
  */
 function getCollectibleBlock(itemName, mcData) {
-  // Check if this item has a special block source
-  if (ITEM_TO_BLOCK_SOURCE[itemName]) {
-    return ITEM_TO_BLOCK_SOURCE[itemName];
-  }
-  
-  // Check if a block with this name exists
-  const block = mcData.blocksByName[itemName];
-  if (block) {
-    return itemName;
-  }
+  // The collect handler also mines the other blocks that drop it
+  // (e.g. deepslate_iron_ore as well as iron_ore)
+  const [source] = getBlockSources(itemName, mcData);
   
-  // For items without a direct block, return the item name
+  // For items no block drops, return the item name
   // The collect handler will deal with it or fail gracefully
-  return itemName;
+  return source || itemName;
+}
+
+/**
+ * Gets the key identifying a resolved task. Tasks producing the same thing
+ * share a key, which is how mergeTasks() combines them.
+ * @param {Object} task - A collect, craft or smelt task
+ * @returns {string} - e.g. "craft:stick", "smelt:raw_iron->iron_ingot"
+ */
+function getTaskKey(task) {
+  if (task.type === "smelt") {
+    return `smelt:${task.input}->${task.output}`;
+  }
+  return `${task.type}:${task.target}`;
+}
+
+/**
+ * Creates a resolved task with its dependency key
+ * @param {Object} spec - The task fields
+ * @param {Array<string>} requires - Keys of the tasks it needs first
+ * @returns {Object} - The task with `key` and `requires`
+ */
+function resolvedTask(spec, requires = []) {
+  return { ...spec, key: getTaskKey(spec), requires };
 }
 
 /**
  * Recursively resolves all dependencies needed to craft an item.
  * Returns an ordered list of tasks (collect raw materials first, then crafts in dependency order).
+ * Each task carries a `key` and the keys of the tasks it `requires`, so the
+ * plan can be queued as a dependency graph.
  * 
  * @param {string} itemName - The item to craft
  * @param {number} count - How many to craft
@@ -518,7 +579,9 @@ function getCollectibleBlock(itemName, mcData) {
  * @param {Object} inventoryMap - Current inventory as { itemName: count } map
  * @param {Set} visited - Set of items being processed (for cycle detection)
  * @param {Object} pendingCrafts - Map of items being crafted and their counts (to avoid duplicates)
- * @returns {Object} - { feasible: boolean, tasks: Array, reason?: string }
+ * @param {Object} producers - Map of items being crafted to the key of the task producing them
+ * @returns {Object} - { feasible: boolean, tasks: Array, key: string|null, reason?: string }
+ *   where key is the task producing itemName (null if the inventory has enough)
  */
 function resolveCraftingDependencies(
   itemName,
@@ -526,7 +589,8 @@ function resolveCraftingDependencies(
   mcData,
   inventoryMap = {},
   visited = new Set(),
-  pendingCrafts = {}
+  pendingCrafts = {},
+  producers = {}
 ) {
   const tasks = [];
   const depth = visited.size;
@@ -536,9 +600,11 @@ function resolveCraftingDependencies(
   const alreadyPending = pendingCrafts[itemName] || 0;
   const effectiveHave = have + alreadyPending;
   
-  // If we already have enough (including pending crafts), no tasks needed
+  // If we already have enough (including pending crafts), no tasks needed,
+  // but we still depend on whichever task is producing the pending items
   if (effectiveHave >= count) {
-    return { feasible: true, tasks: [] };
+    const key = have >= count ? null : producers[itemName] || null;
+    return { feasible: true, tasks: [], key };
   }
   
   const needed = count - effectiveHave;
@@ -550,8 +616,9 @@ function resolveCraftingDependencies(
     const block = mcData.blocksByName[itemName];
     if (block) {
       const collectTarget = getCollectibleBlock(itemName, mcData);
-      tasks.push({ type: "collect", target: collectTarget, count: needed });
-      return { feasible: true, tasks };
+      const collectTask = resolvedTask({ type: "collect", target: collectTarget, count: needed });
+      tasks.push(collectTask);
+      return { feasible: true, tasks, key: collectTask.key };
     }
     return { 
       feasible: false, 
@@ -577,13 +644,15 @@ function resolveCraftingDependencies(
       mcData,
       inventoryMap,
       new Set(visited),
-      { ...pendingCrafts }
+      { ...pendingCrafts },
+      { ...producers }
     );
     
     if (!inputResult.feasible) {
       return inputResult;
     }
     tasks.push(...inputResult.tasks);
+    const smeltRequires = inputResult.key ? [inputResult.key] : [];
     
     // Add fuel collection if needed (prefer coal)
     const coalHave = inventoryMap["coal"] || 0;
@@ -592,21 +661,25 @@ function resolveCraftingDependencies(
     
     if (totalFuelHave < fuelNeeded) {
       const fuelToCollect = fuelNeeded - totalFuelHave;
-      tasks.push({ type: "collect", target: "coal_ore", count: fuelToCollect });
+      const fuelTask = resolvedTask({ type: "collect", target: "coal_ore", count: fuelToCollect });
+      tasks.push(fuelTask);
+      smeltRequires.push(fuelTask.key);
     }
     
     // Add smelt task
-    tasks.push({ 
+    const smeltTask = resolvedTask({ 
       type: "smelt", 
       input: smeltInfo.input, 
       output: itemName, 
       count: needed 
-    });
+    }, smeltRequires);
+    tasks.push(smeltTask);
     
     // Track pending
     pendingCrafts[itemName] = (pendingCrafts[itemName] || 0) + needed;
+    producers[itemName] = smeltTask.key;
     
-    return { feasible: true, tasks };
+    return { feasible: true, tasks, key: smeltTask.key };
   }
   
   // Check if this is a raw material (no recipe)
@@ -615,8 +688,9 @@ function resolveCraftingDependencies(
     if (depth === 0) {
       console.log(`[Resolver] ${itemName} is a raw material -> collect ${collectTarget}`);
     }
-    tasks.push({ type: "collect", target: collectTarget, count: needed });
-    return { feasible: true, tasks };
+    const collectTask = resolvedTask({ type: "collect", target: collectTarget, count: needed });
+    tasks.push(collectTask);
+    return { feasible: true, tasks, key: collectTask.key };
   }
   
   // Circular dependency check
@@ -634,8 +708,9 @@ function resolveCraftingDependencies(
   if (!recipes || recipes.length === 0) {
     // Treat as raw material if no recipe found
     const collectTarget = getCollectibleBlock(itemName, mcData);
-    tasks.push({ type: "collect", target: collectTarget, count: needed });
-    return { feasible: true, tasks };
+    const collectTask = resolvedTask({ type: "collect", target: collectTarget, count: needed });
+    tasks.push(collectTask);
+    return { feasible: true, tasks, key: collectTask.key };
   }
   
   // Select best recipe based on ingredient preferences (prefers oak over cherry, cobblestone over deepslate, etc.)
@@ -659,6 +734,7 @@ function resolveCraftingDependencies(
   const craftTimes = Math.ceil(needed / outputPerCraft);
   
   // Resolve each ingredient recursively
+  const craftRequires = [];
   for (const { name: ingredientName, count: countPerCraft } of ingredients) {
     const totalIngredientNeeded = countPerCraft * craftTimes;
     
@@ -669,7 +745,8 @@ function resolveCraftingDependencies(
       mcData,
       inventoryMap,
       new Set(visited), // Copy visited set for each branch
-      { ...pendingCrafts } // Copy pending crafts
+      { ...pendingCrafts }, // Copy pending crafts
+      { ...producers }
     );
     
     if (!subResult.feasible) {
@@ -678,29 +755,38 @@ function resolveCraftingDependencies(
     
     // Add sub-tasks (these are already in correct order)
     tasks.push(...subResult.tasks);
+    if (subResult.key && !craftRequires.includes(subResult.key)) {
+      craftRequires.push(subResult.key);
+    }
     
     // Track that we'll have this ingredient after sub-tasks complete
     // This is for subsequent ingredients that might also need this item
     pendingCrafts[ingredientName] = (pendingCrafts[ingredientName] || 0) + totalIngredientNeeded;
+    if (subResult.key) {
+      producers[ingredientName] = subResult.key;
+    }
   }
   
   // Add the craft task for this item
   // NOTE: count is the TOTAL TARGET AMOUNT we want (not additional needed)
   // handleCraft will re-check inventory and calculate how many more to craft
   // We use 'count' (the original parameter) not 'needed' (which subtracts current inventory)
-  tasks.push({ type: "craft", target: itemName, count: count });
+  const craftTask = resolvedTask({ type: "craft", target: itemName, count: count }, craftRequires);
+  tasks.push(craftTask);
   
   // Track the actual items we'll get in pending (for dependency calculation)
   const actualOutputCount = craftTimes * outputPerCraft;
   pendingCrafts[itemName] = (pendingCrafts[itemName] || 0) + actualOutputCount;
+  producers[itemName] = craftTask.key;
   
   visited.delete(itemName);
   
-  return { feasible: true, tasks };
+  return { feasible: true, tasks, key: craftTask.key };
 }
 
 /**
- * Merges and deduplicates tasks (combines multiple collects/crafts/smelts of same item)
+ * Merges and deduplicates tasks (combines multiple collects/crafts/smelts of same item).
+ * Merged tasks keep their key and require everything the combined tasks required.
  * @param {Array} tasks - Array of tasks to merge
  * @returns {Array} - Merged task array
  */
@@ -708,6 +794,7 @@ function mergeTasks(tasks) {
   const collectMap = {};
   const craftMap = {};
   const smeltMap = {}; // key: "input->output", value: { input, output, count }
+  const requiresMap = {}; // task key -> Set of required keys
   const otherTasks = [];
   
   // Group collect, craft, and smelt tasks
@@ -724,15 +811,27 @@ function mergeTasks(tasks) {
       smeltMap[key].count += task.count;
     } else {
       otherTasks.push(task);
+      continue;
+    }
+    const taskKey = getTaskKey(task);
+    requiresMap[taskKey] = requiresMap[taskKey] || new Set();
+    for (const required of task.requires || []) {
+      requiresMap[taskKey].add(required);
     }
   }
+
+  // Keep the dependency keys on the merged task
+  const withDependencies = (task) => {
+    const key = getTaskKey(task);
+    return { ...task, key, requires: [...requiresMap[key]] };
+  };
   
   // Build merged task list: collects first, then smelts, then crafts in order
   const merged = [];
   
   // Add all collect tasks first
   for (const [target, count] of Object.entries(collectMap)) {
-    merged.push({ type: "collect", target, count });
+    merged.push(withDependencies({ type: "collect", target, count }));
   }
   
   // Add smelt tasks (after collection, before crafting)
@@ -743,7 +842,7 @@ function mergeTasks(tasks) {
       if (!seenSmelts.has(key)) {
         seenSmelts.add(key);
         const smeltInfo = smeltMap[key];
-        merged.push({ type: "smelt", input: smeltInfo.input, output: smeltInfo.output, count: smeltInfo.count });
+        merged.push(withDependencies({ type: "smelt", input: smeltInfo.input, output: smeltInfo.output, count: smeltInfo.count }));
       }
     }
   }
@@ -753,7 +852,7 @@ function mergeTasks(tasks) {
   for (const task of tasks) {
     if (task.type === "craft" && !seenCrafts.has(task.target)) {
       seenCrafts.add(task.target);
-      merged.push({ type: "craft", target: task.target, count: craftMap[task.target] });
+      merged.push(withDependencies({ type: "craft", target: task.target, count: craftMap[task.target] }));
     }
   }
   
@@ -764,8 +863,96 @@ function mergeTasks(tasks) {
 }
 
 /**
- * Main entry point: resolves all dependencies for crafting an item.
- * Returns a deduplicated, ordered list of tasks.
+ * Gets the tool a collect task has to wait for
+ * @param {string} blockName - The block to collect
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Object} inventoryMap - Current inventory as { itemName: count } map
+ * @param {Object} tools - Tools already planned, as { toolName: taskKey }
+ * @returns {Object|null} - { tool, key: the task making it, or null if it
+ *   isn't planned yet }, or null if the block needs no tool or one is owned
+ */
+function getToolRequirement(blockName, mcData, inventoryMap, tools) {
+  const block = mcData.blocksByName[blockName];
+  if (!block?.harvestTools) return null;
+
+  const usable = Object.keys(block.harvestTools)
+    .map((id) => mcData.items[id]?.name)
+    .filter(Boolean);
+  if (usable.some((name) => inventoryMap[name] > 0)) return null;
+
+  const planned = usable.find((name) => tools[name]);
+  if (planned) return { tool: planned, key: tools[planned] };
+  const tool = getCheapestTool(block, mcData);
+  return tool ? { tool, key: null } : null;
+}
+
+/**
+ * Prepends the tools that collect tasks need (e.g. a stone_pickaxe before
+ * collecting iron_ore), including the tools those tools need in turn, so
+ * the plan climbs the tool progression from what the bot already owns.
+ * Each collect task requires the task crafting its tool.
+ * @param {Array} tasks - Resolved tasks
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Object} inventoryMap - Current inventory as { itemName: count } map
+ * @param {Object} tools - Tools already planned, as { toolName: taskKey }
+ * @param {Set} resolving - Tools whose chains are being resolved
+ * @returns {Object} - { feasible: boolean, tasks: Array, reason?: string }
+ */
+function addToolRequirements(
+  tasks,
+  mcData,
+  inventoryMap,
+  tools = {},
+  resolving = new Set()
+) {
+  const withTools = [];
+  for (const task of tasks) {
+    const requirement =
+      task.type === "collect"
+        ? getToolRequirement(task.target, mcData, inventoryMap, tools)
+        : null;
+    if (!requirement) {
+      withTools.push(task);
+      continue;
+    }
+
+    const { tool } = requirement;
+    if (!requirement.key) {
+      if (resolving.has(tool)) {
+        return {
+          feasible: false,
+          tasks: [],
+          reason: `Making a ${tool} needs a ${tool}`,
+        };
+      }
+      resolving.add(tool);
+      const toolResult = resolveCraftingDependencies(tool, 1, mcData, inventoryMap);
+      const chain = toolResult.feasible
+        ? addToolRequirements(toolResult.tasks, mcData, inventoryMap, tools, resolving)
+        : toolResult;
+      resolving.delete(tool);
+      if (!chain.feasible) {
+        return {
+          feasible: false,
+          tasks: [],
+          reason: `Can't make a ${tool} to mine ${task.target}: ${chain.reason}`,
+        };
+      }
+
+      console.log(`[Resolver] ${task.target} needs a ${tool} -> adding it to the plan`);
+      tools[tool] = toolResult.key;
+      withTools.push(...chain.tasks);
+    }
+    withTools.push({ ...task, requires: [...(task.requires || []), tools[tool]] });
+  }
+  return { feasible: true, tasks: withTools };
+}
+
+/**
+ * Main entry point: resolves all dependencies for crafting an item,
+ * including the tools needed to collect its materials.
+ * Returns a deduplicated, ordered list of tasks, each with a `key` and the
+ * keys of the tasks it `requires` (see linkPrerequisites() in utils/taskGraph.js).
  * 
  * @param {string} itemName - The item to craft
  * @param {number} count - How many to craft
@@ -780,8 +967,14 @@ function resolveAllDependencies(itemName, count, mcData, inventoryMap = {}) {
     return result;
   }
   
+  // Make the tools needed to harvest the collected blocks
+  const withTools = addToolRequirements(result.tasks, mcData, inventoryMap);
+  if (!withTools.feasible) {
+    return withTools;
+  }
+  
   // Merge and deduplicate tasks
-  const mergedTasks = mergeTasks(result.tasks);
+  const mergedTasks = mergeTasks(withTools.tasks);
   
   return { feasible: true, tasks: mergedTasks };
 }
@@ -793,6 +986,7 @@ module.exports = {
   requiresCraftingTable,
   getCommonCraftableItems,
   formatRecipesForPrompt,
+  formatSmeltingForPrompt,
   validateCraftRequest,
   isRawMaterial,
   isSmeltable,
@@ -801,6 +995,7 @@ module.exports = {
   resolveCraftingDependencies,
   resolveAllDependencies,
   mergeTasks,
+  getTaskKey,
   selectBestRecipe,
   getRecipePreferenceScore,
   getPreferenceScore,
@@ -0,0 +1,25 @@
+/**
+ * Reconnect backoff
+ * How long the reconnect supervisor waits before each attempt, and when it
+ * gives up
+ */
+
+const { RECONNECT } = require("../config/constants");
+
+/**
+ * Gets the delay before a reconnect attempt: initialDelayMs, multiplied
+ * after every failed attempt and capped at maxDelayMs
+ * @param {number} attempts - Attempts already made since the bot last spawned
+ * @param {Object} options - Defaults to RECONNECT from config/constants.js
+ * @returns {number|null} - Delay in ms, or null once maxAttempts is reached
+ */
+function getReconnectDelay(attempts, options = RECONNECT) {
+  const { initialDelayMs, maxDelayMs, multiplier, maxAttempts } = options;
+  if (maxAttempts > 0 && attempts >= maxAttempts) return null;
+
+  return Math.min(initialDelayMs * Math.pow(multiplier, attempts), maxDelayMs);
+}
+
+module.exports = {
+  getReconnectDelay,
+};
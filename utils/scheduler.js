@@ -0,0 +1,347 @@
+/**
+ * Task scheduler
+ * Stores recurring schedules that enqueue task templates when their trigger
+ * fires. Checked alongside the supervision loop.
+ *
+ * Trigger types:
+ * - { type: "interval", everyMs: 600000 }            every 10 minutes
+ * - { type: "cron", expression: "0 * * * *" }        5-field cron, local time
+ * - { type: "gameTime", at: "nightfall" | 13000 }    in-game time (bot.time)
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { PERSISTENCE, GAME_TIME_EVENTS } = require("../config/constants");
+const { writeJsonAtomic } = require("../state/persistence");
+
+const TRIGGER_TYPES = ["interval", "cron", "gameTime"];
+
+// Shortest allowed interval, so a typo can't flood the queue
+const MIN_INTERVAL_MS = 10000;
+
+const TICKS_PER_DAY = 24000;
+
+// Cron field ranges: minute, hour, day of month, month, day of week
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12 },
+  { min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+
+let schedules = [];
+let schedulesFile = PERSISTENCE.schedulesFile;
+
+// Last seen in-game time of day per schedule, to detect when it passes the target
+const lastTimeOfDay = new Map();
+
+/**
+ * Parses one cron field into the set of values it matches
+ * @param {string} field - e.g. "*", "5", "1-5", "*\/15", "0,30"
+ * @param {Object} range - { min, max }
+ * @returns {Set<number>|null} - Matching values, or null if invalid
+ */
+function parseCronField(field, { min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(",")) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) return null;
+
+    let start = match[1] === "*" ? min : parseInt(match[1], 10);
+    let end = match[1] === "*" ? max : start;
+    if (match[2] !== undefined) end = parseInt(match[2], 10);
+    const step = match[3] !== undefined ? parseInt(match[3], 10) : 1;
+
+    // "5/15" means "from 5 to the end, every 15"
+    if (match[3] !== undefined && match[2] === undefined && match[1] !== "*") {
+      end = max;
+    }
+    if (start < min || end > max || start > end || step < 1) return null;
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a 5-field cron expression
+ * @param {string} expression - "minute hour day-of-month month day-of-week"
+ * @returns {Array<Set<number>>|null} - Parsed fields, or null if invalid
+ */
+function parseCron(expression) {
+  const fields = String(expression || "").trim().split(/\s+/);
+  if (fields.length !== 5) return null;
+
+  const parsed = fields.map((field, i) => parseCronField(field, CRON_FIELDS[i]));
+  if (parsed.some((values) => values === null)) return null;
+
+  // Treat 7 as Sunday
+  if (parsed[4].has(7)) parsed[4].add(0);
+  parsed.restricted = { dayOfMonth: fields[2] !== "*", dayOfWeek: fields[4] !== "*" };
+  return parsed;
+}
+
+/**
+ * Checks whether a cron expression matches a date (to the minute)
+ * @param {string} expression - The cron expression
+ * @param {Date} date - The date to check
+ * @returns {boolean} - True if it matches
+ */
+function cronMatches(expression, date) {
+  const cron = parseCron(expression);
+  if (!cron) return false;
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = cron;
+  if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours())) {
+    return false;
+  }
+  if (!months.has(date.getMonth() + 1)) return false;
+
+  // Like cron: if both day fields are restricted, either may match
+  const dayOfMonthMatches = daysOfMonth.has(date.getDate());
+  const dayOfWeekMatches = daysOfWeek.has(date.getDay());
+  if (cron.restricted.dayOfMonth && cron.restricted.dayOfWeek) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+/**
+ * Resolves a gameTime trigger's target to ticks
+ * @param {string|number} at - Event name (see GAME_TIME_EVENTS) or ticks
+ * @returns {number|null} - Time of day in ticks, or null if invalid
+ */
+function resolveGameTime(at) {
+  if (typeof at === "number") {
+    return at >= 0 && at < TICKS_PER_DAY ? Math.floor(at) : null;
+  }
+  const ticks = GAME_TIME_EVENTS[String(at || "").toLowerCase()];
+  return ticks === undefined ? null : ticks;
+}
+
+/**
+ * Validates a trigger definition
+ * @param {Object} trigger - The trigger
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validateTrigger(trigger) {
+  if (!trigger || !TRIGGER_TYPES.includes(trigger.type)) {
+    return `Trigger type must be one of: ${TRIGGER_TYPES.join(", ")}`;
+  }
+  switch (trigger.type) {
+    case "interval":
+      if (!Number.isFinite(trigger.everyMs) || trigger.everyMs < MIN_INTERVAL_MS) {
+        return `Interval triggers need everyMs of at least ${MIN_INTERVAL_MS}`;
+      }
+      return null;
+    case "cron":
+      return parseCron(trigger.expression)
+        ? null
+        : `Invalid cron expression: "${trigger.expression}"`;
+    case "gameTime":
+      return resolveGameTime(trigger.at) === null
+        ? `Invalid game time "${trigger.at}" (use ${Object.keys(
+            GAME_TIME_EVENTS
+          ).join(", ")} or ticks 0-23999)`
+        : null;
+  }
+  return null;
+}
+
+/**
+ * Describes a trigger in words (for chat and the UI)
+ * @param {Object} trigger - The trigger
+ * @returns {string} - e.g. "every 10 minutes", "at nightfall"
+ */
+function describeTrigger(trigger) {
+  switch (trigger.type) {
+    case "interval": {
+      const minutes = trigger.everyMs / 60000;
+      if (minutes >= 60 && minutes % 60 === 0) return `every ${minutes / 60} hour(s)`;
+      if (minutes >= 1 && Number.isInteger(minutes)) return `every ${minutes} minute(s)`;
+      return `every ${Math.round(trigger.everyMs / 1000)} second(s)`;
+    }
+    case "cron":
+      return `cron "${trigger.expression}"`;
+    case "gameTime":
+      return typeof trigger.at === "number"
+        ? `at game time ${trigger.at}`
+        : `at ${trigger.at}`;
+    default:
+      return "unknown trigger";
+  }
+}
+
+/**
+ * Checks whether the in-game clock passed a target time between two readings
+ * @param {number} previous - Previous time of day (ticks)
+ * @param {number} current - Current time of day (ticks)
+ * @param {number} target - Target time of day (ticks)
+ * @returns {boolean} - True if target is in (previous, current], wrapping at midnight
+ */
+function passedGameTime(previous, current, target) {
+  if (previous <= current) {
+    return previous < target && target <= current;
+  }
+  // The day wrapped around (or the night was skipped by sleeping)
+  return target > previous || target <= current;
+}
+
+/**
+ * Checks whether a schedule should fire now
+ * @param {Object} schedule - The schedule
+ * @param {Object} context - { now: ms timestamp, timeOfDay: ticks or null if not in game }
+ * @returns {boolean} - True if due
+ */
+function isScheduleDue(schedule, { now, timeOfDay }) {
+  const { trigger } = schedule;
+
+  switch (trigger.type) {
+    case "interval":
+      return now - (schedule.lastRunAt || schedule.createdAt) >= trigger.everyMs;
+    case "cron": {
+      // Fire at most once per matching minute
+      const sameMinute =
+        schedule.lastRunAt &&
+        Math.floor(schedule.lastRunAt / 60000) === Math.floor(now / 60000);
+      return !sameMinute && cronMatches(trigger.expression, new Date(now));
+    }
+    case "gameTime": {
+      if (timeOfDay === null || timeOfDay === undefined) return false;
+      const previous = lastTimeOfDay.get(schedule.id);
+      lastTimeOfDay.set(schedule.id, timeOfDay);
+      if (previous === undefined) return false;
+      return passedGameTime(previous, timeOfDay, resolveGameTime(trigger.at));
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Saves all schedules to disk
+ */
+function saveSchedules() {
+  try {
+    writeJsonAtomic(schedulesFile, { schedules });
+  } catch (error) {
+    console.error(`[Scheduler] Failed to save schedules: ${error.message}`);
+  }
+}
+
+/**
+ * Loads schedules from disk (call once at startup)
+ * @param {string} file - Schedules file path
+ * @returns {Array} - The loaded schedules
+ */
+function loadSchedules(file = PERSISTENCE.schedulesFile) {
+  schedulesFile = file;
+  schedules = [];
+  if (!fs.existsSync(file)) return schedules;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    schedules = (data.schedules || []).filter(
+      (schedule) => !validateTrigger(schedule.trigger)
+    );
+    console.log(`[Scheduler] Loaded ${schedules.length} schedule(s)`);
+  } catch (error) {
+    console.error(`[Scheduler] Failed to load schedules: ${error.message}`);
+  }
+  return schedules;
+}
+
+/**
+ * Gets all schedules
+ * @returns {Array} - The schedules
+ */
+function getSchedules() {
+  return schedules;
+}
+
+/**
+ * Finds a schedule by ID (or a unique ID prefix, as typed in chat)
+ * @param {string} scheduleId - Full ID or prefix
+ * @returns {Object|null} - The schedule or null
+ */
+function findSchedule(scheduleId) {
+  const exact = schedules.find((schedule) => schedule.id === scheduleId);
+  if (exact) return exact;
+  const matches = schedules.filter((schedule) =>
+    schedule.id.startsWith(scheduleId)
+  );
+  return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Adds a schedule
+ * @param {Object} definition - { trigger, tasks, description?, issuedBy? }
+ * @returns {Object} - The stored schedule (with id, createdAt, lastRunAt)
+ */
+function addSchedule({ trigger, tasks, description = null, issuedBy = null }) {
+  const schedule = {
+    id: crypto.randomUUID(),
+    trigger,
+    tasks,
+    description: description || describeTrigger(trigger),
+    issuedBy,
+    createdAt: Date.now(),
+    lastRunAt: null,
+    runCount: 0,
+  };
+  schedules.push(schedule);
+  saveSchedules();
+  console.log(`[Scheduler] Added schedule ${schedule.id}: ${schedule.description}`);
+  return schedule;
+}
+
+/**
+ * Removes a schedule
+ * @param {string} scheduleId - Full ID or unique prefix
+ * @returns {Object|null} - The removed schedule or null if not found
+ */
+function removeSchedule(scheduleId) {
+  const schedule = findSchedule(scheduleId);
+  if (!schedule) return null;
+
+  schedules = schedules.filter((s) => s !== schedule);
+  lastTimeOfDay.delete(schedule.id);
+  saveSchedules();
+  console.log(`[Scheduler] Removed schedule ${schedule.id}`);
+  return schedule;
+}
+
+/**
+ * Finds every schedule that is due and records that it ran
+ * @param {Object} context - { now: ms timestamp, timeOfDay: ticks or null }
+ * @returns {Array} - Schedules whose tasks should be enqueued now
+ */
+function collectDueSchedules(context) {
+  const due = schedules.filter((schedule) => isScheduleDue(schedule, context));
+  if (due.length === 0) return due;
+
+  for (const schedule of due) {
+    schedule.lastRunAt = context.now;
+    schedule.runCount = (schedule.runCount || 0) + 1;
+  }
+  saveSchedules();
+  return due;
+}
+
+module.exports = {
+  TRIGGER_TYPES,
+  validateTrigger,
+  describeTrigger,
+  cronMatches,
+  resolveGameTime,
+  loadSchedules,
+  getSchedules,
+  findSchedule,
+  addSchedule,
+  removeSchedule,
+  collectDueSchedules,
+};
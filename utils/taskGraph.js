@@ -0,0 +1,248 @@
+/**
+ * Task dependency graph
+ * Queued tasks can list prerequisite task IDs in `dependsOn`. A task is
+ * ready once none of its prerequisites are still queued, so the supervisor
+ * can run any ready prerequisite of the current plan instead of strictly
+ * the front of the queue.
+ */
+
+const { botState } = require("../state/botState");
+const { getInventoryCount } = require("./inventory");
+const { getCollectedItem } = require("./blockSources");
+
+/**
+ * Gets the IDs of a task's prerequisites that are still queued
+ * @param {Object} task - The task
+ * @param {Set<string>} queuedIds - IDs of every queued task
+ * @returns {Array<string>} - Pending prerequisite IDs
+ */
+function getPendingDependencies(task, queuedIds) {
+  return (task.dependsOn || []).filter((id) => queuedIds.has(id));
+}
+
+/**
+ * Checks whether a task can run now
+ * @param {Object} task - The task
+ * @param {Set<string>} queuedIds - IDs of every queued task
+ * @param {number} now - Current time (ms)
+ * @returns {boolean} - True if no prerequisites are queued and no retry backoff is pending
+ */
+function isTaskReady(task, queuedIds, now = Date.now()) {
+  if (task.retryAt && task.retryAt > now) return false;
+  return getPendingDependencies(task, queuedIds).length === 0;
+}
+
+/**
+ * Collects every queued task a task depends on, directly or indirectly
+ * @param {Array} taskQueue - The task queue array
+ * @param {Object} task - The task
+ * @returns {Set<string>} - IDs of its queued prerequisites
+ */
+function getPrerequisiteIds(taskQueue, task) {
+  const byId = new Map(taskQueue.map((queued) => [queued.id, queued]));
+  const found = new Set();
+  const stack = [...(task.dependsOn || [])];
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (found.has(id) || !byId.has(id)) continue;
+    found.add(id);
+    stack.push(...(byId.get(id).dependsOn || []));
+  }
+  return found;
+}
+
+/**
+ * Picks the task the supervisor should run next: the first ready task
+ * (in queue order) of the first plan in the queue. A plan is a top-level
+ * task plus its prerequisites, so separate plans still run in order.
+ * @param {Array} taskQueue - The task queue array
+ * @param {number} now - Current time (ms)
+ * @returns {Object|null} - The task to run, or null if nothing is ready
+ */
+function selectNextTask(taskQueue, now = Date.now()) {
+  if (taskQueue.length === 0) return null;
+
+  const queuedIds = new Set(taskQueue.map((task) => task.id));
+  const prerequisites = new Set(
+    taskQueue.flatMap((task) => getPendingDependencies(task, queuedIds))
+  );
+
+  // Fall back to the front if the graph has no top-level task (a cycle)
+  const root =
+    taskQueue.find((task) => !prerequisites.has(task.id)) || taskQueue[0];
+  const plan = getPrerequisiteIds(taskQueue, root);
+  plan.add(root.id);
+
+  return (
+    taskQueue.find(
+      (task) => plan.has(task.id) && isTaskReady(task, queuedIds, now)
+    ) || null
+  );
+}
+
+/**
+ * Records tasks as prerequisites of a parent task. Tasks from the recipe
+ * resolver name their own prerequisites (`key` / `requires`); any other
+ * list is treated as a sequence, each task depending on the one before.
+ * The parent depends on the tasks named by `parentRequires` if given,
+ * otherwise on every new task no other new task depends on.
+ * @param {Array} taskQueue - The task queue array (before inserting the tasks)
+ * @param {Object|null} parent - The task that needs them, if any
+ * @param {Array} tasks - The new tasks (given IDs and mutated in place)
+ * @param {Array<string>|null} parentRequires - Keys of the new tasks the parent needs directly
+ * @returns {Array<string>} - IDs of the new tasks no other new task depends on
+ */
+function linkPrerequisites(taskQueue, parent, tasks, parentRequires = null) {
+  for (const task of tasks) {
+    botState.trackTask(task);
+  }
+  const idsByKey = new Map(
+    tasks.filter((task) => task.key).map((task) => [task.key, task.id])
+  );
+
+  tasks.forEach((task, i) => {
+    let dependsOn;
+    if (Array.isArray(task.requires)) {
+      dependsOn = task.requires
+        .map((key) => idsByKey.get(key))
+        .filter(Boolean);
+    } else {
+      dependsOn = i > 0 ? [tasks[i - 1].id] : [];
+    }
+    task.dependsOn = [...new Set([...(task.dependsOn || []), ...dependsOn])];
+    delete task.key;
+    delete task.requires;
+  });
+
+  const required = new Set(tasks.flatMap((task) => task.dependsOn));
+  const lastIds = tasks
+    .filter((task) => !required.has(task.id))
+    .map((task) => task.id);
+
+  if (parent) {
+    const queuedIds = new Set(taskQueue.map((task) => task.id));
+    const direct = parentRequires
+      ? parentRequires.map((key) => idsByKey.get(key)).filter(Boolean)
+      : lastIds;
+    parent.dependsOn = [
+      ...new Set([...getPendingDependencies(parent, queuedIds), ...direct]),
+    ];
+  }
+  return lastIds;
+}
+
+/**
+ * Makes tasks that depended on a replaced task depend on its replacements
+ * @param {Array} taskQueue - The task queue array
+ * @param {string} oldId - ID of the replaced task
+ * @param {Array<string>} newIds - IDs of the tasks replacing it
+ */
+function replaceDependency(taskQueue, oldId, newIds) {
+  for (const task of taskQueue) {
+    if (task.dependsOn?.includes(oldId)) {
+      task.dependsOn = [
+        ...new Set([...task.dependsOn.filter((id) => id !== oldId), ...newIds]),
+      ];
+    }
+  }
+}
+
+/**
+ * Checks whether the inventory already holds what a task would produce.
+ * Only collect and craft tasks are checked: their count is a total to reach.
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Object} task - The task
+ * @returns {boolean} - True if the task has nothing left to do
+ */
+function isSatisfiedByInventory(bot, mcData, task) {
+  if (task.type !== "collect" && task.type !== "craft") return false;
+  if (!task.target) return false;
+  // Collecting iron_ore is counted in the raw_iron it drops
+  const item =
+    task.type === "collect"
+      ? getCollectedItem(task.target, mcData)
+      : task.target;
+  return getInventoryCount(bot, item) >= (task.count || 1);
+}
+
+/**
+ * Drops the prerequisites of tasks whose result is already in the inventory
+ * (e.g. a player handed the bot the sticks it was about to craft).
+ * Prerequisites still needed by another queued task are kept.
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Array} taskQueue - The task queue array
+ * @returns {number} - How many tasks were dropped
+ */
+function skipSatisfiedPrerequisites(bot, mcData, taskQueue) {
+  let skipped = 0;
+
+  for (const task of [...taskQueue]) {
+    const queuedIds = new Set(taskQueue.map((queued) => queued.id));
+    if (!queuedIds.has(task.id)) continue;
+    if (getPendingDependencies(task, queuedIds).length === 0) continue;
+    if (!isSatisfiedByInventory(bot, mcData, task)) continue;
+
+    const subtree = getPrerequisiteIds(taskQueue, task);
+    // Keep prerequisites other tasks still need, and everything they need
+    const keep = new Set();
+    for (const other of taskQueue) {
+      if (other === task || subtree.has(other.id)) continue;
+      for (const id of other.dependsOn || []) {
+        if (subtree.has(id)) {
+          keep.add(id);
+          const byId = taskQueue.find((queued) => queued.id === id);
+          for (const nested of getPrerequisiteIds(taskQueue, byId)) {
+            keep.add(nested);
+          }
+        }
+      }
+    }
+
+    const reason = `Not needed: already have ${task.count || 1} ${task.target}`;
+    const removable = [...subtree].filter((id) => !keep.has(id));
+    for (const id of removable) {
+      const index = taskQueue.findIndex((queued) => queued.id === id);
+      const [removed] = taskQueue.splice(index, 1);
+      botState.markTaskCancelled(removed, reason);
+    }
+    skipped += removable.length;
+    // The task itself runs next and finds it has nothing left to do
+    task.dependsOn = [];
+    console.log(
+      `[TaskGraph] ${reason}, skipped ${removable.length} prerequisite(s)`
+    );
+  }
+
+  if (skipped > 0) {
+    botState.setQueue(taskQueue);
+  }
+  return skipped;
+}
+
+/**
+ * Moves a task to the front of the queue, where handlers expect the task
+ * they are running to be
+ * @param {Array} taskQueue - The task queue array
+ * @param {Object} task - The task to move
+ */
+function moveTaskToFront(taskQueue, task) {
+  const index = taskQueue.indexOf(task);
+  if (index <= 0) return;
+  taskQueue.splice(index, 1);
+  taskQueue.unshift(task);
+  botState.setQueue(taskQueue);
+}
+
+module.exports = {
+  isTaskReady,
+  getPrerequisiteIds,
+  selectNextTask,
+  linkPrerequisites,
+  replaceDependency,
+  isSatisfiedByInventory,
+  skipSatisfiedPrerequisites,
+  moveTaskToFront,
+};
@@ -0,0 +1,149 @@
+/**
+ * Tool selection
+ * Picks the tool to dig a block with from minecraft-data: a block's
+ * "material" (e.g. "mineable/pickaxe") maps tool item IDs to dig speed
+ * multipliers, and its "harvestTools" lists the tools that make it drop
+ * anything (absent if it drops with any tool or by hand).
+ */
+
+const { failTask, insertTasksAtFront } = require("./queue");
+
+// Tool tiers from cheapest to most expensive to make
+const TOOL_TIERS = [
+  "wooden",
+  "stone",
+  "iron",
+  "golden",
+  "diamond",
+  "netherite",
+];
+
+/**
+ * Gets the dig speed multiplier of each tool for a block
+ * @param {Object} block - Block (or minecraft-data block type)
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Object} - Map of tool item ID -> speed multiplier
+ */
+function getToolSpeeds(block, mcData) {
+  const speeds = {};
+  for (const material of (block.material || "").split(";")) {
+    const tools = mcData.materials?.[material] || {};
+    for (const [id, speed] of Object.entries(tools)) {
+      speeds[id] = Math.max(speeds[id] || 1, speed);
+    }
+  }
+  return speeds;
+}
+
+/**
+ * Checks whether a block drops anything when dug with an item
+ * @param {Object} block - Block (or minecraft-data block type)
+ * @param {number|null} itemId - The item's ID, or null for an empty hand
+ * @returns {boolean} - True if it can be harvested
+ */
+function canHarvestWith(block, itemId) {
+  return (
+    !block.harvestTools || (itemId != null && !!block.harvestTools[itemId])
+  );
+}
+
+/**
+ * Finds the fastest tool in the inventory that can harvest a block
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} block - Block (or minecraft-data block type)
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Object} - { tool: the item, or null to dig by hand,
+ *   canHarvest: false if nothing in the inventory can harvest it }
+ */
+function findBestTool(bot, block, mcData) {
+  const speeds = getToolSpeeds(block, mcData);
+  let best = null;
+  let bestSpeed = 1;
+  for (const item of bot.inventory.items()) {
+    if (!canHarvestWith(block, item.type)) continue;
+    const speed = speeds[item.type] || 1;
+    // Without a speed bonus a tool is only worth holding if it's required
+    if (speed > bestSpeed || (!best && block.harvestTools)) {
+      best = item;
+      bestSpeed = speed;
+    }
+  }
+  return { tool: best, canHarvest: !!best || canHarvestWith(block, null) };
+}
+
+/**
+ * Equips the fastest tool in the inventory that can harvest a block
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} block - Block (or minecraft-data block type)
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Promise<Object>} - { tool, canHarvest } as from findBestTool()
+ */
+async function equipBestTool(bot, block, mcData) {
+  const best = findBestTool(bot, block, mcData);
+  if (best.tool && bot.heldItem?.type !== best.tool.type) {
+    console.log(`[Tools] Equipping ${best.tool.name} for ${block.name}`);
+    await bot.equip(best.tool, "hand");
+  }
+  return best;
+}
+
+/**
+ * Gets the cheapest tool that can harvest a block
+ * @param {Object} block - Block (or minecraft-data block type)
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {string|null} - Tool item name (e.g. "stone_pickaxe"), or null if
+ *   the block doesn't need one
+ */
+function getCheapestTool(block, mcData) {
+  if (!block.harvestTools) return null;
+
+  const tier = (name) => {
+    const index = TOOL_TIERS.indexOf(name.split("_")[0]);
+    return index === -1 ? TOOL_TIERS.length : index;
+  };
+  const names = Object.keys(block.harvestTools)
+    .map((id) => mcData.items[id]?.name)
+    .filter(Boolean)
+    .sort((a, b) => tier(a) - tier(b));
+  return names[0] || null;
+}
+
+/**
+ * Queues a craft task for the cheapest tool that can harvest a block, ahead
+ * of the current task, which runs again once the tool is made
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Array} taskQueue - The task queue array
+ * @param {Object} blockType - The block that needs the tool
+ * @param {AbortSignal} signal - Cancelled when the task is interrupted
+ */
+function queueToolCraft(bot, mcData, taskQueue, blockType, signal) {
+  const tool = getCheapestTool(blockType, mcData);
+  if (!tool) {
+    failTask(
+      bot,
+      taskQueue,
+      `I don't know a tool that can mine ${blockType.name}.`,
+      signal
+    );
+    return;
+  }
+  console.log(`[Tools] Need a ${tool} to harvest ${blockType.name}`);
+  bot.chat(
+    `I need a ${tool} to mine ${blockType.name}. Let me make one first...`
+  );
+  insertTasksAtFront(
+    taskQueue,
+    [{ type: "craft", target: tool, count: 1 }],
+    signal
+  );
+}
+
+module.exports = {
+  getToolSpeeds,
+  canHarvestWith,
+  findBestTool,
+  equipBestTool,
+  getCheapestTool,
+  queueToolCraft,
+};
@@ -0,0 +1,200 @@
+/**
+ * World context for the LLM
+ * Takes a compact snapshot of what the bot can see and has (inventory,
+ * position, nearby blocks and players, time of day, current queue) so the
+ * brain can plan around it
+ */
+
+const { WORLD_CONTEXT } = require("../config/constants");
+const { toTaskSpec } = require("./queue");
+
+// Blocks worth mentioning to the LLM: things it may plan to collect or use
+const NOTABLE_BLOCK_PATTERN =
+  /(_log|_ore|^crafting_table|^furnace|^chest|_bed|^water|^lava|^sand|^gravel|^clay|^sugar_cane|^wheat|^pumpkin|^melon)$/;
+
+// Notable block IDs per Minecraft version
+const notableBlockIds = new Map();
+
+/**
+ * Gets the IDs of notable blocks for a version
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Array<number>} - Block IDs
+ */
+function getNotableBlockIds(mcData) {
+  if (!notableBlockIds.has(mcData.version.minecraftVersion)) {
+    notableBlockIds.set(
+      mcData.version.minecraftVersion,
+      Object.values(mcData.blocksByName)
+        .filter((block) => NOTABLE_BLOCK_PATTERN.test(block.name))
+        .map((block) => block.id)
+    );
+  }
+  return notableBlockIds.get(mcData.version.minecraftVersion);
+}
+
+/**
+ * Summarizes the notable blocks around the bot
+ * @param {Object} bot - The mineflayer bot instance
+ * @param {Object} mcData - Minecraft data instance
+ * @returns {Array} - [{ name, count, distance }] nearest first
+ */
+function getNearbyBlocks(bot, mcData) {
+  const positions = bot.findBlocks({
+    matching: getNotableBlockIds(mcData),
+    maxDistance: WORLD_CONTEXT.blockRadius,
+    count: WORLD_CONTEXT.maxBlocksScanned,
+  });
+
+  const byName = new Map();
+  for (const position of positions) {
+    const block = bot.blockAt(position);
+    if (!block) continue;
+    const distance = Math.round(bot.entity.position.distanceTo(position));
+    const entry = byName.get(block.name);
+    if (entry) {
+      entry.count += 1;
+      entry.distance = Math.min(entry.distance, distance);
+    } else {
+      byName.set(block.name, { name: block.name, count: 1, distance });
+    }
+  }
+
+  return [...byName.values()]
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, WORLD_CONTEXT.maxBlockTypes);
+}
+
+/**
+ * Lists the other players the bot can see
+ * @param {Object} bot - The mineflayer bot instance
+ * @returns {Array} - [{ name, distance }] nearest first (distance null if out of sight)
+ */
+function getNearbyPlayers(bot) {
+  return Object.values(bot.players)
+    .filter((player) => player.username !== bot.username)
+    .map((player) => ({
+      name: player.username,
+      distance: player.entity
+        ? Math.round(bot.entity.position.distanceTo(player.entity.position))
+        : null,
+    }))
+    .sort((a, b) => (a.distance ?? Infinity) - (b.distance ?? Infinity))
+    .slice(0, WORLD_CONTEXT.maxPlayers);
+}
+
+/**
+ * Builds a snapshot of the bot's world
+ * @param {Object} bot - The mineflayer bot instance (must be spawned)
+ * @param {Object} mcData - Minecraft data instance
+ * @param {Object} options - { username: player talking to the bot, taskQueue }
+ * @returns {Object} - The snapshot
+ */
+function buildWorldContext(
+  bot,
+  mcData,
+  { username = null, taskQueue = [] } = {}
+) {
+  const position = bot.entity.position;
+  const inventory = {};
+  for (const item of bot.inventory.items()) {
+    inventory[item.name] = (inventory[item.name] || 0) + item.count;
+  }
+
+  return {
+    username,
+    position: {
+      x: Math.floor(position.x),
+      y: Math.floor(position.y),
+      z: Math.floor(position.z),
+    },
+    dimension: bot.game?.dimension || null,
+    health: bot.health,
+    food: bot.food,
+    timeOfDay: bot.time?.timeOfDay ?? null,
+    isDay: bot.time?.isDay ?? null,
+    inventory: Object.entries(inventory)
+      .slice(0, WORLD_CONTEXT.maxInventoryItems)
+      .map(([name, count]) => ({ name, count })),
+    nearbyBlocks: mcData ? getNearbyBlocks(bot, mcData) : [],
+    nearbyPlayers: getNearbyPlayers(bot),
+    queue: taskQueue.slice(0, WORLD_CONTEXT.maxQueuedTasks).map((task) => ({
+      ...toTaskSpec(task),
+      status: task.status,
+    })),
+  };
+}
+
+/**
+ * Formats a world snapshot as compact prompt text
+ * @param {Object} context - Snapshot from buildWorldContext()
+ * @returns {string} - One fact per line
+ */
+function formatWorldContext(context) {
+  const lines = [];
+  const { position } = context;
+
+  if (context.username) {
+    lines.push(
+      `- Talking to: ${context.username} ("me"/"here" means this player)`
+    );
+  }
+  lines.push(
+    `- Bot position: ${position.x}, ${position.y}, ${position.z}${
+      context.dimension ? ` in ${context.dimension}` : ""
+    }`
+  );
+  lines.push(`- Health: ${context.health}/20, food: ${context.food}/20`);
+  if (context.timeOfDay !== null) {
+    lines.push(
+      `- Time: ${context.isDay ? "day" : "night"} (tick ${context.timeOfDay})`
+    );
+  }
+  lines.push(
+    `- Inventory: ${
+      context.inventory.length > 0
+        ? context.inventory
+            .map((item) => `${item.count} ${item.name}`)
+            .join(", ")
+        : "empty"
+    }`
+  );
+  lines.push(
+    `- Nearby blocks: ${
+      context.nearbyBlocks.length > 0
+        ? context.nearbyBlocks
+            .map(
+              (block) => `${block.name} x${block.count} (${block.distance}m)`
+            )
+            .join(", ")
+        : "nothing notable"
+    }`
+  );
+  lines.push(
+    `- Players: ${
+      context.nearbyPlayers.length > 0
+        ? context.nearbyPlayers
+            .map((player) =>
+              player.distance === null
+                ? `${player.name} (out of sight)`
+                : `${player.name} (${player.distance}m)`
+            )
+            .join(", ")
+        : "none"
+    }`
+  );
+  lines.push(
+    `- Current queue: ${
+      context.queue.length > 0
+        ? context.queue
+            .map(({ status, ...task }) => `${JSON.stringify(task)} [${status}]`)
+            .join(", ")
+        : "empty"
+    }`
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  buildWorldContext,
+  formatWorldContext,
+};